@@ -116,6 +116,10 @@
                             templateUrl: 'views/settings/index.html',
                             controller: "EMSettings"
                         },
+                        'basemaps': {
+                            templateUrl: 'views/settings/basemaps.html',
+                            controller: "EMBaseMaps"
+                        },
                         'about': {
                             templateUrl: 'views/settings/about.html',
                             controller: "EMAbout"
@@ -68,6 +68,11 @@
                     },
                     controller: 'EMFormSectionController',
                     templateUrl: 'views/wizard/form.html'
+                })
+                .state('wizard.review', {
+                    cache: false,
+                    controller: 'EMFormReviewController',
+                    templateUrl: 'views/wizard/review.html'
                 });
 
             // Default to survey list (for now)
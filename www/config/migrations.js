@@ -0,0 +1,121 @@
+/**
+ * Sahana Eden Mobile - Schema Migrations
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Migration steps for the default schema (em_* tables)
+ *
+ * - the key is the schema version to migrate from, i.e. the step '6'
+ *   migrates the database from version 6 to version 7 (up), or from
+ *   version 7 back to version 6 (down)
+ * - when adding a step, the schema in config/schema.js must be updated
+ *   accordingly, and emSchemaVersion be increased
+ * - new system tables need no migration step, they are created
+ *   automatically once the database has been migrated
+ * - both up and down receive a Migration object (see emMigrations)
+ *   to queue the necessary operations, e.g.:
+ *
+ *      '6': {
+ *          up: function(migration) {
+ *              migration.addColumn('em_sync_log', 'run_id', {
+ *                  type: 'string'
+ *              });
+ *              migration.backfill('em_sync_log', {
+ *                  run_id: function(row) {
+ *                      return row.timestamp;
+ *                  }
+ *              });
+ *          },
+ *          down: function(migration) {
+ *              migration.dropColumns('em_sync_log', ['run_id']);
+ *          }
+ *      }
+ */
+EdenMobile.value('emSchemaMigrations', {
+
+    // Version 6 => 7: archive for dropped user table columns
+    '6': {
+        up: function(migration) {
+            migration.createTable('em_archive');
+        },
+        down: function(migration) {
+            migration.dropTable('em_archive');
+        }
+    },
+
+    // Version 7 => 8: queue for synchronization conflicts
+    '7': {
+        up: function(migration) {
+            migration.createTable('em_conflict');
+        },
+        down: function(migration) {
+            migration.dropTable('em_conflict');
+        }
+    },
+
+    // Version 8 => 9: synchronization history
+    '8': {
+        up: function(migration) {
+            migration.createTable('em_sync_run');
+            migration.addColumn('em_sync_log', 'run_id', {
+                type: 'reference em_sync_run',
+                ondelete: 'CASCADE'
+            });
+            ['uploaded', 'accepted', 'rejected', 'downloaded'].forEach(function(fieldName) {
+                migration.addColumn('em_sync_log', fieldName, {
+                    type: 'integer',
+                    defaultValue: 0
+                });
+            });
+        },
+        down: function(migration) {
+            migration.dropColumns('em_sync_log', [
+                'run_id', 'uploaded', 'accepted', 'rejected', 'downloaded'
+            ]);
+            migration.dropTable('em_sync_run');
+        }
+    },
+
+    // Version 9 => 10: records rejected by the server
+    '9': {
+        up: function(migration) {
+            migration.createTable('em_rejection');
+        },
+        down: function(migration) {
+            migration.dropTable('em_rejection');
+        }
+    },
+
+    // Version 10 => 11: saved record list filters
+    '10': {
+        up: function(migration) {
+            migration.createTable('em_filter');
+        },
+        down: function(migration) {
+            migration.dropTable('em_filter');
+        }
+    }
+});
+
+// END ========================================================================
@@ -26,7 +26,7 @@
 /**
  * The version number for the default schema
  */
-var emSchemaVersion = '6';
+var emSchemaVersion = '11';
 
 /**
  * The default schema for the local database
@@ -159,11 +159,58 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
             }
         },
 
+        /**
+         * Synchronization runs (history)
+         */
+        {
+            _name: 'em_sync_run',
+            'started_on': {
+                type: 'datetime',
+                label: 'Started On'
+            },
+            'finished_on': {
+                type: 'datetime',
+                label: 'Finished On'
+            },
+            'trigger': {
+                type: 'string',
+                label: 'Trigger'
+            },
+            'result': {
+                type: 'string',
+                label: 'Result'
+            },
+            'uploaded': {
+                type: 'integer',
+                label: 'Uploaded',
+                defaultValue: 0
+            },
+            'accepted': {
+                type: 'integer',
+                label: 'Accepted',
+                defaultValue: 0
+            },
+            'rejected': {
+                type: 'integer',
+                label: 'Rejected',
+                defaultValue: 0
+            },
+            'downloaded': {
+                type: 'integer',
+                label: 'Downloaded',
+                defaultValue: 0
+            }
+        },
+
         /**
          * Synchronization log
          */
         {
             _name: 'em_sync_log',
+            'run_id': {
+                type: 'reference em_sync_run',
+                ondelete: 'CASCADE'
+            },
             'timestamp': {
                 type: 'datetime',
                 label: 'Date/Time'
@@ -193,10 +240,145 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
                 type: 'string',
                 label: 'Message'
             },
+            'uploaded': {
+                type: 'integer',
+                label: 'Uploaded',
+                defaultValue: 0
+            },
+            'accepted': {
+                type: 'integer',
+                label: 'Accepted',
+                defaultValue: 0
+            },
+            'rejected': {
+                type: 'integer',
+                label: 'Rejected',
+                defaultValue: 0
+            },
+            'downloaded': {
+                type: 'integer',
+                label: 'Downloaded',
+                defaultValue: 0
+            },
             'current': {
                 type: 'boolean',
                 defaultValue: true
             }
+        },
+
+        /**
+         * Archive for data of dropped columns in user tables
+         */
+        {
+            _name: 'em_archive',
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'uuid': {
+                type: 'string',
+                label: 'Record UUID'
+            },
+            'data': {
+                type: 'json',
+                label: 'Data'
+            },
+            'archived_on': {
+                type: 'datetime',
+                label: 'Archived on'
+            }
+        },
+
+        /**
+         * Synchronization conflicts pending manual resolution
+         */
+        {
+            _name: 'em_conflict',
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'resource': {
+                type: 'string',
+                label: 'Resource Name'
+            },
+            'uuid': {
+                type: 'string',
+                label: 'Record UUID',
+                notnull: true
+            },
+            'local_data': {
+                type: 'json',
+                label: 'Local Data'
+            },
+            'remote_data': {
+                type: 'json',
+                label: 'Remote Data'
+            },
+            'remote_modified_on': {
+                type: 'datetime',
+                label: 'Remote Modified on'
+            },
+            'detected_on': {
+                type: 'datetime',
+                label: 'Detected on'
+            }
+        },
+
+        /**
+         * Records rejected by the server during upload
+         */
+        {
+            _name: 'em_rejection',
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'uuid': {
+                type: 'string',
+                label: 'Record UUID',
+                notnull: true
+            },
+            'error': {
+                type: 'string',
+                label: 'Error'
+            },
+            'field_errors': {
+                type: 'json',
+                label: 'Field Errors'
+            },
+            'rejected_on': {
+                type: 'datetime',
+                label: 'Rejected on'
+            }
+        },
+
+        /**
+         * Saved record list filters
+         */
+        {
+            _name: 'em_filter',
+            'resource': {
+                type: 'string',
+                label: 'Resource',
+                notnull: true
+            },
+            'name': {
+                type: 'string',
+                label: 'Name',
+                notnull: true
+            },
+            'filter': {
+                type: 'json',
+                label: 'Filter'
+            },
+            'saved_on': {
+                type: 'datetime',
+                label: 'Saved on'
+            }
         }
     ];
 
@@ -77,5 +77,184 @@ EdenMobile.value('emSettings', {
             readable: false,
             writable: false
         }
+    },
+
+    'sync': {
+
+        _title: 'Synchronization Settings',
+
+        'conflictPolicy': {
+            // Default policy for records modified both on the device and
+            // on the server since the last synchronization
+            // - can be overridden per resource by the conflict_policy
+            //   setting in the resource schema
+            type: 'options',
+            label: 'Conflict Resolution',
+            options: [
+                ['newest-wins', 'Newest version wins'],
+                ['server-wins', 'Server version wins'],
+                ['device-wins', 'Device version wins'],
+                ['manual', 'Resolve manually']
+            ],
+            defaultValue: 'newest-wins'
+        },
+        'uploadChunkSize': {
+            // Maximum number of records per upload request
+            type: 'options',
+            label: 'Records per Upload',
+            options: [
+                ['10', '10'],
+                ['25', '25'],
+                ['50', '50'],
+                ['100', '100'],
+                ['0', 'Unlimited']
+            ],
+            defaultValue: '50'
+        },
+        'uploadChunkBytes': {
+            // Maximum size of the data (JSON, without attachments)
+            // per upload request
+            type: 'options',
+            label: 'Data Volume per Upload',
+            options: [
+                ['65536', '64 KB'],
+                ['262144', '256 KB'],
+                ['1048576', '1 MB'],
+                ['0', 'Unlimited']
+            ],
+            defaultValue: '262144'
+        },
+        'autoSync': {
+            type: 'boolean',
+            label: 'Automatic Synchronization',
+            defaultValue: false
+        },
+        'autoSyncInterval': {
+            // Interval for automatic synchronization in minutes
+            type: 'options',
+            label: 'Synchronization Interval',
+            options: [
+                ['0', 'Never'],
+                ['15', 'Every 15 minutes'],
+                ['60', 'Every hour'],
+                ['240', 'Every 4 hours'],
+                ['1440', 'Daily']
+            ],
+            defaultValue: '60'
+        },
+        'autoSyncOnline': {
+            type: 'boolean',
+            label: 'Synchronize when online',
+            defaultValue: true
+        },
+        'autoSyncOnSubmit': {
+            type: 'boolean',
+            label: 'Synchronize after form submission',
+            defaultValue: true
+        },
+        'autoSyncWifiOnly': {
+            type: 'boolean',
+            label: 'Synchronize only via Wi-Fi',
+            defaultValue: true
+        },
+        'autoSyncUploadOnly': {
+            // Automatic synchronization only uploads data, but does
+            // not download forms or data
+            type: 'boolean',
+            label: 'Automatic upload only',
+            defaultValue: true
+        },
+        'logRetention': {
+            // Number of days to keep synchronization history
+            type: 'options',
+            label: 'Keep Synchronization History',
+            options: [
+                ['7', '1 week'],
+                ['30', '1 month'],
+                ['90', '3 months'],
+                ['365', '1 year'],
+                ['0', 'Unlimited']
+            ],
+            defaultValue: '30'
+        },
+        'logMaxRuns': {
+            // Maximum number of synchronization runs to keep in history
+            type: 'options',
+            label: 'Maximum Synchronization History',
+            options: [
+                ['20', '20 runs'],
+                ['100', '100 runs'],
+                ['500', '500 runs'],
+                ['0', 'Unlimited']
+            ],
+            defaultValue: '100'
+        },
+        'packageKey': {
+            // Shared key to sign and verify offline data packages
+            // and peer synchronization requests
+            // - required for both, there is no fallback to server.appKey
+            type: 'password',
+            label: 'Data Package Key',
+            empty: 'not specified',
+            placeholder: 'Enter the data package key'
+        },
+        'peerURL': {
+            // Address of the hub device for peer synchronization
+            // (shown on the hub when started)
+            type: 'url',
+            label: 'Peer Hub Address',
+            help: 'e.g. http://192.168.43.1:8080',
+            placeholder: 'Enter the hub address'
+        },
+        'peerShareData': {
+            // When acting as hub, provide the data collected on this
+            // device to peers (otherwise peers only get the forms)
+            type: 'boolean',
+            label: 'Share data with peers',
+            defaultValue: false
+        }
+    },
+
+    'forms': {
+
+        _title: 'Form Settings',
+
+        'autosaveInterval': {
+            // Interval for saving in-progress form entries as drafts,
+            // in seconds
+            type: 'options',
+            label: 'Save Drafts',
+            options: [
+                ['0', 'Never'],
+                ['15', 'Every 15 seconds'],
+                ['30', 'Every 30 seconds'],
+                ['60', 'Every minute'],
+                ['300', 'Every 5 minutes']
+            ],
+            defaultValue: '30'
+        }
+    },
+
+    'map': {
+
+        _title: 'Map Settings',
+
+        'onlineBaseMap': {
+            // Use OpenStreetMap as base map when no offline base
+            // map is selected (requires a network connection)
+            type: 'boolean',
+            label: 'Use online map',
+            defaultValue: true
+        },
+
+        // Hidden setting for the active offline base map
+        // - selected in the Offline Maps section (emBaseMaps)
+        'baseMap': {
+            type: 'string',
+            label: 'Offline Map',
+            readable: false,
+            writable: false,
+            defaultValue: ''
+        }
     }
 });
@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller('EMDataCreate', [
-    '$q', '$scope', '$state', '$stateParams', 'emDialogs', 'emFiles', 'emResources',
-    function($q, $scope, $state, $stateParams, emDialogs, emFiles, emResources) {
+    '$q', '$scope', '$state', '$stateParams', 'emCalculate', 'emDialogs', 'emDrafts', 'emFiles', 'emResources', 'emValidate',
+    function($q, $scope, $state, $stateParams, emCalculate, emDialogs, emDrafts, emFiles, emResources, emValidate) {
 
         "use strict";
 
@@ -47,6 +47,26 @@ EdenMobile.controller('EMDataCreate', [
         $scope.recordID = recordID;
         $scope.componentName = componentName;
 
+        // The draft of the new record, and its autosave
+        var draft = null,
+            autosave = null,
+            submitting = false;
+
+        // --------------------------------------------------------------------
+        /**
+         * Save the current form as draft
+         *
+         * @returns {promise} - a promise that is resolved when the draft
+         *                      has been saved
+         */
+        var saveDraft = function() {
+
+            if (!draft || $scope.saved || submitting) {
+                return;
+            }
+            return draft.save($scope.form);
+        };
+
         // --------------------------------------------------------------------
         /**
          * Redirection after successful create
@@ -116,9 +136,13 @@ EdenMobile.controller('EMDataCreate', [
 
                 // Broadcast form submission
                 $scope.$broadcast('FormSubmission');
+                submitting = true;
 
-                // Proceed when all form data are ready for submission
-                $q.all(form).then(function(formData) {
+                // Proceed when all form data are ready for submission,
+                // and no draft is being saved
+                $q.all([$q.all(form), autosave && autosave.wait()]).then(function(results) {
+
+                    var formData = results[0];
                     console.log(formData);
                     // Check if empty (@todo: form onvalidation)
                     var empty = true;
@@ -129,13 +153,38 @@ EdenMobile.controller('EMDataCreate', [
                         }
                     }
                     if (!empty) {
-                        subset.insert(formData).then(
+                        // Re-evaluate calculated fields
+                        emCalculate.apply(resource, formData, $scope.rosters);
+
+                        // Check cross-field validation rules
+                        var errors = emValidate.checkRules(resource, formData, $scope.rosters);
+                        if (errors) {
+                            submitting = false;
+                            emDialogs.error('Invalid input', emValidate.getMessages(errors).join('<br>'));
+                            return;
+                        }
+
+                        var saved,
+                            draftID = draft && draft.recordID;
+                        if (draftID) {
+                            // Complete the draft
+                            var table = subset.table;
+                            formData.em_incomplete = false;
+                            saved = subset.where(table.$('id').is(draftID)).update(formData);
+                        } else {
+                            saved = subset.insert(formData);
+                        }
+                        saved.then(
                             function() {
+                                $scope.$emit('emDataSubmitted', resourceName);
                                 confirmCreate();
                             },
                             function(error) {
+                                submitting = false;
                                 emDialogs.error('Could not create record', error, $scope.returnToParentView);
                             });
+                    } else {
+                        submitting = false;
                     }
                 });
             };
@@ -157,6 +206,32 @@ EdenMobile.controller('EMDataCreate', [
                     }
                 }
             }
+
+            // Save in-progress entries as drafts
+            draft = emDrafts.draft(subset, null, form);
+            if (!autosave) {
+                autosave = emDrafts.autosave($scope, saveDraft);
+            }
+
+            // Offer to resume the most recent draft
+            emDrafts.resumePrompt(subset, function(draftID) {
+
+                // Do not save the current form as another draft
+                if (draft.recordID != draftID) {
+                    draft.discard();
+                }
+
+                var params = {resourceName: resourceName};
+                if (componentName) {
+                    params.recordID = recordID;
+                    params.componentName = componentName;
+                    params.componentID = draftID;
+                    $state.go('data.componentUpdate', params, {location: 'replace'});
+                } else {
+                    params.recordID = draftID;
+                    $state.go('data.update', params, {location: 'replace'});
+                }
+            });
         };
 
         // --------------------------------------------------------------------
@@ -238,8 +313,14 @@ EdenMobile.controller('EMDataCreate', [
                 // Record saved => remove orphaned files
                 emFiles.removeAll($scope.orphanedFiles);
             } else {
-                // Record not saved => remove pending files
-                emFiles.removeAll($scope.pendingFiles);
+                // Record not saved => save the draft, remove pending
+                // files unless they are referenced by the draft
+                var pendingFiles = $scope.pendingFiles;
+                $q.when(autosave && autosave.save()).then(function() {
+                    if (!draft || !draft.recordID) {
+                        emFiles.removeAll(pendingFiles);
+                    }
+                });
             }
         });
     }
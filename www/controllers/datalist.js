@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMDataList", [
-    '$scope', '$state', '$stateParams', 'emDialogs', 'emResources',
-    function($scope, $state, $stateParams, emDialogs, emResources) {
+    '$ionicModal', '$q', '$scope', '$state', '$stateParams', 'emDialogs', 'emExport', 'emFilters', 'emRejections', 'emResources', 'Pager',
+    function($ionicModal, $q, $scope, $state, $stateParams, emDialogs, emExport, emFilters, emRejections, emResources, Pager) {
 
         "use strict";
 
@@ -45,17 +45,110 @@ EdenMobile.controller("EMDataList", [
         $scope.recordID = recordID;
         $scope.componentName = componentName;
 
+        // List or map view
+        $scope.view = {
+            mode: 'list'
+        };
+
+        // Search, filter and sort order
+        var emptyFilter = function() {
+            return {
+                search: '',
+                criteria: [],
+                sort: {field: '', desc: false}
+            };
+        };
+        $scope.filter = emptyFilter();
+        $scope.filterActive = false;
+
+        // The subset currently shown in the list (without filter)
+        var currentSubset = null;
+
+        // The pager for the list (records are loaded page by page)
+        var pager = null;
+
+        /**
+         * Load the locations of the records in a subset for the map view
+         *
+         * @param {Subset} subset - the subset (same as for the list)
+         * @param {string} locationField - the name of the location field
+         */
+        var updateDataMap = function(subset, locationField) {
+
+            var locationIDs = {},
+                titles = {};
+
+            subset.select(['id', 'llrepr', locationField]).then(function(rows) {
+
+                rows.forEach(function(row) {
+                    var locationID = row.$(locationField);
+                    titles[row.$('id')] = row.$('llrepr');
+                    if (locationID) {
+                        if (!locationIDs[locationID]) {
+                            locationIDs[locationID] = [];
+                        }
+                        locationIDs[locationID].push(row.$('id'));
+                    }
+                });
+
+                var ids = Object.keys(locationIDs).map(function(id) {
+                    return id - 0;
+                });
+                if (!ids.length) {
+                    return [];
+                }
+                return emResources.open('gis_location').then(function(locations) {
+                    if (!locations) {
+                        return [];
+                    }
+                    var table = locations.table;
+                    return locations.where(table.$('id').in(ids))
+                                    .select(['id', 'lat', 'lon']);
+                });
+
+            }).then(function(rows) {
+
+                var mapRecords = [];
+                rows.forEach(function(row) {
+                    var lat = row.$('lat'),
+                        lon = row.$('lon');
+                    if (lat === null || lon === null) {
+                        return;
+                    }
+                    locationIDs[row.$('id')].forEach(function(recordID) {
+                        mapRecords.push({
+                            id: recordID,
+                            lat: lat,
+                            lon: lon,
+                            title: titles[recordID] || 'Record #' + recordID
+                        });
+                    });
+                });
+                $scope.mapRecords = mapRecords;
+
+            }, function(error) {
+                console.log('Could not load record locations: ' + error);
+                $scope.mapRecords = [];
+            });
+        };
+
         /**
          * Refresh the scope with resource and record data
          *
-         * @param {Resource} resource - the resource
-         * @param {string} query - SQL where expression to select the
-         *                         records, e.g. a subset linked to a
-         *                         particular master record (components)
+         * @param {Subset} subset - the subset of records to show, e.g.
+         *                          a subset linked to a particular master
+         *                          record (components)
          */
         var updateDataList = function(subset) {
 
-            var resource = subset.resource;
+            var resource = subset.resource,
+                filter = $scope.filter;
+
+            currentSubset = subset;
+
+            // Apply search and filter
+            subset = emFilters.apply(subset, filter);
+            $scope.filterActive = emFilters.isActive(filter);
 
             // List title
             $scope.listTitle = resource.getLabel(true);
@@ -82,18 +175,50 @@ EdenMobile.controller("EMDataList", [
                 fields.push('id');
             }
 
-            // Select all existing records
-            subset.select(fields, function(rows) {
+            // Load the matching records page by page
+            pager = new Pager(subset, fields, {
+                orderby: emFilters.getOrderBy(resource, filter),
+                represent: true
+            });
+            $scope.records = [];
+            $scope.moreRecords = true;
 
-                // TODO change representRecords to accept rows
-                var records = [];
-                rows.forEach(function(row) {
-                    records.push(row._());
-                });
-                resource.representRecords(records).then(function(result) {
-                    $scope.records = result;
-                });
+            var recordsLoaded = $q.all([
+                pager.count().then(function(numRecords) {
+                    $scope.totalRecords = numRecords;
+                }),
+                $scope.loadMore()
+            ]);
+
+            // Records rejected by the server (need attention)
+            emRejections.records(resource.tableName).then(function(rejections) {
+                $scope.rejections = rejections;
             });
+
+            // Map view (if the resource has a location field)
+            var locationField = emExport.getLocationField(resource);
+            if (locationField && typeof ol != 'undefined') {
+                $scope.hasMap = true;
+                $scope.toggleView = function() {
+                    var view = $scope.view;
+                    if (view.mode == 'list') {
+                        view.mode = 'map';
+                        recordsLoaded.then(function() {
+                            updateDataMap(subset, locationField);
+                        });
+                    } else {
+                        view.mode = 'list';
+                    }
+                };
+                if ($scope.view.mode == 'map') {
+                    recordsLoaded.then(function() {
+                        updateDataMap(subset, locationField);
+                    });
+                }
+            } else {
+                $scope.hasMap = false;
+                $scope.view.mode = 'list';
+            }
         };
 
         /**
@@ -182,7 +307,306 @@ EdenMobile.controller("EMDataList", [
             });
         };
 
+        /**
+         * Load the next page of records (infinite scroll)
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      page has been added to the list
+         */
+        $scope.loadMore = function() {
+
+            var current = pager;
+            if (!current) {
+                return $q.resolve();
+            }
+
+            return current.next().then(function(records) {
+                if (current !== pager) {
+                    // List has been reloaded meanwhile
+                    return;
+                }
+                Array.prototype.push.apply($scope.records, records);
+                $scope.moreRecords = current.more;
+            }).finally(function() {
+                $scope.$broadcast('scroll.infiniteScrollComplete');
+            });
+        };
+
+        /**
+         * Reload the list after change of search or filter
+         */
+        $scope.applyFilter = function() {
+
+            if (currentSubset) {
+                updateDataList(currentSubset);
+            }
+        };
+
+        /**
+         * Open the filter builder
+         */
+        $scope.openFilter = function() {
+
+            if (!currentSubset) {
+                return;
+            }
+            var resource = currentSubset.resource;
+
+            // Remove any existing modal
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+            }
+
+            $scope.filterFields = emFilters.getFields(resource);
+            emFilters.saved(resource).then(function(savedFilters) {
+                $scope.savedFilters = savedFilters;
+                $ionicModal.fromTemplateUrl('views/data/filter.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.filterModal = modal;
+                    modal.show();
+                });
+            });
+        };
+
+        /**
+         * Get the filter field configuration for a criterion
+         *
+         * @param {string} fieldName - the field name
+         *
+         * @returns {object} - the filter field configuration
+         */
+        $scope.filterField = function(fieldName) {
+
+            var filterFields = $scope.filterFields || [];
+            for (var i = 0; i < filterFields.length; i++) {
+                if (filterFields[i].name == fieldName) {
+                    return filterFields[i];
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Add a criterion to the filter
+         */
+        $scope.addCriterion = function() {
+
+            var filterField = ($scope.filterFields || [])[0];
+            if (filterField) {
+                $scope.filter.criteria.push({
+                    field: filterField.name,
+                    op: filterField.operators[0].op,
+                    value: null
+                });
+            }
+        };
+
+        /**
+         * Reset operator and value when the field of a criterion changes
+         *
+         * @param {object} criterion - the criterion
+         */
+        $scope.changeCriterionField = function(criterion) {
+
+            var filterField = $scope.filterField(criterion.field);
+            criterion.op = filterField ? filterField.operators[0].op : null;
+            criterion.value = null;
+        };
+
+        /**
+         * Remove a criterion from the filter
+         *
+         * @param {integer} index - the index of the criterion
+         */
+        $scope.removeCriterion = function(index) {
+
+            $scope.filter.criteria.splice(index, 1);
+        };
+
+        /**
+         * Close the filter builder and apply the filter
+         */
+        $scope.closeFilter = function() {
+
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+                $scope.filterModal = null;
+            }
+            $scope.applyFilter();
+        };
+
+        /**
+         * Remove search, filter criteria and sort order
+         */
+        $scope.resetFilter = function() {
+
+            $scope.filter = emptyFilter();
+            $scope.applyFilter();
+        };
+
+        /**
+         * Save the current filter
+         */
+        $scope.saveFilter = function() {
+
+            if (!currentSubset) {
+                return;
+            }
+            var resource = currentSubset.resource;
+
+            emDialogs.stringInput(
+                'Save Filter',
+                'Enter a name for this filter',
+                {
+                    inputPlaceholder: 'Name',
+                    onValidation: function(name) {
+                        return !!name && !!name.trim();
+                    }
+                },
+                function(name) {
+                    emFilters.save(resource, name.trim(), $scope.filter).then(function() {
+                        return emFilters.saved(resource);
+                    }).then(function(savedFilters) {
+                        $scope.savedFilters = savedFilters;
+                    }, function(error) {
+                        emDialogs.error('Could not save filter', error);
+                    });
+                });
+        };
+
+        /**
+         * Load a saved filter
+         *
+         * @param {object} savedFilter - the saved filter {id, name, filter}
+         */
+        $scope.loadFilter = function(savedFilter) {
+
+            var filter = emptyFilter(),
+                saved = savedFilter.filter;
+
+            filter.search = saved.search || '';
+            filter.criteria = angular.copy(saved.criteria || []);
+            if (saved.sort) {
+                filter.sort = angular.copy(saved.sort);
+            }
+
+            // Restore date values
+            filter.criteria.forEach(function(criterion) {
+                var filterField = $scope.filterField(criterion.field);
+                if (filterField && filterField.type == 'date' && criterion.value) {
+                    criterion.value = new Date(criterion.value);
+                }
+            });
+
+            $scope.filter = filter;
+            $scope.closeFilter();
+        };
+
+        /**
+         * Delete a saved filter
+         *
+         * @param {object} savedFilter - the saved filter {id, name, filter}
+         */
+        $scope.removeFilter = function(savedFilter) {
+
+            emFilters.remove(savedFilter.id).then(function() {
+                var savedFilters = $scope.savedFilters,
+                    index = savedFilters.indexOf(savedFilter);
+                if (index != -1) {
+                    savedFilters.splice(index, 1);
+                }
+            });
+        };
+
+        /**
+         * Open the export dialog
+         */
+        $scope.openExport = function() {
+
+            if (!currentSubset) {
+                return;
+            }
+            var resource = currentSubset.resource;
+
+            // Remove any existing modal
+            if ($scope.exportModal) {
+                $scope.exportModal.remove();
+            }
+
+            var formats = [
+                {value: 'csv', label: 'CSV'},
+                {value: 'xlsx', label: 'Excel (XLSX)'}
+            ];
+            if (emExport.getLocationField(resource)) {
+                formats.push({value: 'geojson', label: 'GeoJSON (records with location)'});
+            }
+            $scope.exportFormats = formats;
+            $scope.exportOptions = {
+                format: 'csv',
+                represent: true,
+                columns: emExport.defaultColumns(resource).join(', ')
+            };
+
+            $ionicModal.fromTemplateUrl('views/data/export.html', {
+                scope: $scope
+            }).then(function(modal) {
+                $scope.exportModal = modal;
+                modal.show();
+            });
+        };
+
+        /**
+         * Close the export dialog
+         */
+        $scope.closeExport = function() {
+
+            if ($scope.exportModal) {
+                $scope.exportModal.remove();
+                $scope.exportModal = null;
+            }
+        };
+
+        /**
+         * Export the records in the list (with current search and filter)
+         */
+        $scope.exportRecords = function() {
+
+            if (!currentSubset) {
+                return;
+            }
+
+            var exportOptions = $scope.exportOptions,
+                columns = (exportOptions.columns || '').split(',').map(function(selector) {
+                    return selector.trim();
+                }).filter(function(selector) {
+                    return !!selector;
+                });
+
+            emExport.export(emFilters.apply(currentSubset, $scope.filter), exportOptions.format, {
+                columns: columns.length ? columns : undefined,
+                represent: exportOptions.represent
+            }).then(
+                function(fileURI) {
+                    $scope.closeExport();
+                    emDialogs.confirmation('Data exported to ' + fileURI);
+                },
+                function(error) {
+                    emDialogs.error('Data export failed', error);
+                });
+        };
+
         $scope.$on('$ionicView.enter', openDataList);
+
+        // Remove the filter builder and export dialog when leaving the list
+        $scope.$on('$destroy', function() {
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+            }
+            if ($scope.exportModal) {
+                $scope.exportModal.remove();
+            }
+        });
     }
 ]);
 
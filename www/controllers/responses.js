@@ -24,13 +24,135 @@
  */
 
 EdenMobile.controller("EMResponseList", [
-    '$scope',
-    function($scope) {
+    '$q', '$scope', '$stateParams', 'emDialogs', 'emDrafts', 'emRejections', 'emResources', 'Pager',
+    function($q, $scope, $stateParams, emDialogs, emDrafts, emRejections, emResources, Pager) {
 
         // Receives $stateParams.resourceName
 
         "use strict";
 
+        var resourceName = $stateParams.resourceName;
+
+        $scope.resourceName = resourceName;
+        $scope.responses = [];
+        $scope.drafts = [];
+        $scope.moreResponses = false;
+
+        // The pager for completed responses, and the records
+        // rejected by the server
+        var pager = null,
+            rejections = {};
+
+        /**
+         * Convert a row into a response list item
+         *
+         * @param {Row} row - the row
+         *
+         * @returns {object} - the response list item
+         */
+        var responseItem = function(row) {
+
+            var recordID = row.$('id');
+
+            return {
+                id: recordID,
+                title: row.$('llrepr') || 'Response #' + recordID,
+                createdOn: row.$('created_on'),
+                modifiedOn: row.$('modified_on'),
+                incomplete: row.$('em_incomplete'),
+                rejection: rejections[recordID] || null
+            };
+        };
+
+        /**
+         * Update the response list
+         */
+        var updateResponseList = function() {
+
+            emResources.open(resourceName).then(function(resource) {
+
+                if (!resource) {
+                    pager = null;
+                    $scope.responses = [];
+                    $scope.drafts = [];
+                    $scope.moreResponses = false;
+                    return;
+                }
+
+                $scope.title = resource.getLabel(true);
+
+                var table = resource.table,
+                    incomplete = table.$('em_incomplete'),
+                    fields = ['id', 'llrepr', 'created_on', 'modified_on', 'em_incomplete'];
+
+                // Get the records rejected by the server
+                emRejections.records(resource.tableName).then(function(result) {
+
+                    rejections = result;
+                    $scope.needAttention = Object.keys(rejections).length;
+
+                    // Drafts (all of them)
+                    resource.where(incomplete.is(true)).select(fields, {
+                        orderby: table.$('modified_on').desc()
+                    }).then(function(rows) {
+                        $scope.drafts = rows.map(responseItem);
+                    });
+
+                    // Completed responses (page by page)
+                    pager = new Pager(resource.where(incomplete.is(false)), fields, {
+                        orderby: table.$('created_on').desc()
+                    });
+                    $scope.responses = [];
+                    $scope.moreResponses = true;
+                    $scope.loadMore();
+                });
+            });
+        };
+
+        /**
+         * Load the next page of responses (infinite scroll)
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      page has been added to the list
+         */
+        $scope.loadMore = function() {
+
+            var current = pager;
+            if (!current) {
+                return $q.resolve();
+            }
+
+            return current.next().then(function(rows) {
+                if (current !== pager) {
+                    // List has been reloaded meanwhile
+                    return;
+                }
+                Array.prototype.push.apply($scope.responses, rows.map(responseItem));
+                $scope.moreResponses = current.more;
+            }).finally(function() {
+                $scope.$broadcast('scroll.infiniteScrollComplete');
+            });
+        };
+
+        /**
+         * Discard a draft
+         *
+         * @param {object} response - the draft response
+         */
+        $scope.discardDraft = function(response) {
+
+            emDialogs.confirmAction(
+                'Discard Draft',
+                'Are you sure you want to discard this unfinished response?',
+                function() {
+                    emResources.open(resourceName).then(function(resource) {
+                        emDrafts.draft(resource.subSet(), response.id).discard().then(updateResponseList);
+                    });
+                });
+        };
+
+        // Update the response list every time when entering the view
+        $scope.$on('$ionicView.enter', updateResponseList);
     }
 ]);
 
@@ -49,6 +49,82 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Controller to manage offline base maps in settings
+     */
+    EdenMobile.controller("EMBaseMaps", [
+        '$scope', 'emBaseMaps', 'emDialogs',
+        function($scope, emBaseMaps, emDialogs) {
+
+            $scope.baseMaps = {
+                installed: [],
+                available: [],
+                active: null,
+                busy: false
+            };
+
+            // Reload the lists of installed and importable base maps
+            var refresh = function() {
+
+                emBaseMaps.getActive().then(function(name) {
+                    $scope.baseMaps.active = name;
+                });
+                emBaseMaps.installed().then(function(baseMaps) {
+                    $scope.baseMaps.installed = baseMaps;
+                    return emBaseMaps.available();
+                }).then(function(packages) {
+                    $scope.baseMaps.available = packages;
+                }, function(error) {
+                    console.log('Could not read base maps: ' + error);
+                });
+            };
+
+            // Select the active base map
+            $scope.selectBaseMap = function(name) {
+
+                name = name || null;
+
+                $scope.baseMaps.active = name;
+                emBaseMaps.setActive(name).then(function() {
+                    // Keep the settings form in sync (would otherwise
+                    // restore the previous value upon update)
+                    var settings = $scope.settings;
+                    if (settings && settings.map) {
+                        settings.map.baseMap = name || '';
+                    }
+                });
+            };
+
+            // Import a tile package
+            $scope.importBaseMap = function(tilePackage) {
+
+                $scope.baseMaps.busy = true;
+                emBaseMaps.importPackage(tilePackage).then(function(baseMap) {
+                    emDialogs.confirmation('Map imported: ' + baseMap.metadata.title);
+                }, function(error) {
+                    emDialogs.error('Import failed', error && error.message || error);
+                }).finally(function() {
+                    $scope.baseMaps.busy = false;
+                    refresh();
+                });
+            };
+
+            // Remove an installed base map
+            $scope.removeBaseMap = function(baseMap) {
+
+                emDialogs.confirmAction(
+                    'Remove Map',
+                    'Are you sure you want to remove ' + baseMap.metadata.title + '?',
+                    function() {
+                        emBaseMaps.remove(baseMap.name).finally(refresh);
+                    });
+            };
+
+            refresh();
+        }
+    ]);
+
     // ========================================================================
     /**
      * Controller to display the "About" section in settings
@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMSurveyList", [
-    '$ionicLoading', '$scope', '$q', 'emAuth', 'emDialogs', 'emResources', 'emSync',
-    function($ionicLoading, $scope, $q, emAuth, emDialogs, emResources, emSync) {
+    '$ionicLoading', '$scope', '$q', 'emAuth', 'emDialogs', 'emRejections', 'emResources', 'emSync',
+    function($ionicLoading, $scope, $q, emAuth, emDialogs, emRejections, emResources, emSync) {
 
         "use strict";
 
@@ -62,13 +62,17 @@ EdenMobile.controller("EMSurveyList", [
                 resource = item.resource,
                 incomplete = resource.table.$('em_incomplete');
 
-            resource.where(incomplete.is(false)).count().then(function(numRows) {
+            $q.all([
+                resource.where(incomplete.is(false)).count(),
+                emRejections.records(resource.tableName)
+            ]).then(function(results) {
 
                 // Deliver survey data to caller (deferred)
                 deferred.resolve({
                     resource: resource,
-                    completeResponses: numRows,
-                    unsyncedResponses: item.numRows
+                    completeResponses: results[0],
+                    unsyncedResponses: item.numRows,
+                    rejectedResponses: Object.keys(results[1]).length
                 });
             });
 
@@ -28,13 +28,14 @@
  * Controller for synchronisation page
  */
 EdenMobile.controller('EMSync', [
-    '$ionicModal', '$rootScope', '$scope', 'emResources', 'emServer', 'emSync', 'emSyncLog',
-    function($ionicModal, $rootScope, $scope, emResources, emServer, emSync, emSyncLog) {
+    '$ionicModal', '$q', '$rootScope', '$scope', 'emConfig', 'emConflicts', 'emDialogs', 'emPackages', 'emPeerSync', 'emResources', 'emServer', 'emSync', 'emSyncLog',
+    function($ionicModal, $q, $rootScope, $scope, emConfig, emConflicts, emDialogs, emPackages, emPeerSync, emResources, emServer, emSync, emSyncLog) {
 
         "use strict";
 
         $scope.formList = [];
         $scope.resourceList = [];
+        $scope.syncOptions = {fullRefresh: false};
 
         /**
          * Count selected forms/resource (to show numbers on cards)
@@ -150,7 +151,13 @@ EdenMobile.controller('EMSync', [
             if ($rootScope.syncInProgress) {
                 return;
             } else {
-                emSync.synchronize($scope.formList, $scope.resourceList);
+                var syncOptions = $scope.syncOptions;
+                emSync.synchronize($scope.formList, $scope.resourceList, {
+                    fullRefresh: syncOptions.fullRefresh
+                }).finally(function() {
+                    // Full refresh is a one-time option
+                    syncOptions.fullRefresh = false;
+                });
             }
         };
 
@@ -180,6 +187,355 @@ EdenMobile.controller('EMSync', [
                 });
             });
         };
+
+        /**
+         * View the synchronization history
+         */
+        $scope.historyFilters = {resource: '', result: ''};
+        $scope.viewHistory = function() {
+
+            if ($scope.syncInProgress || $scope.syncHistoryLoading) {
+                return;
+            }
+            $scope.syncHistoryLoading = true;
+
+            // Remove any existing modal
+            if ($scope.syncHistoryModal) {
+                $scope.syncHistoryModal.remove();
+            }
+
+            $q.all([
+                emSyncLog.resources(),
+                emSyncLog.history($scope.historyFilters)
+            ]).then(function(results) {
+                $scope.syncHistoryLoading = false;
+                $scope.historyResources = results[0];
+                $scope.syncRuns = results[1];
+                $ionicModal.fromTemplateUrl('views/sync/history.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.syncHistoryModal = modal;
+                    modal.show();
+                });
+            }, function() {
+                $scope.syncHistoryLoading = false;
+            });
+        };
+
+        /**
+         * Update the synchronization history after filter change
+         */
+        $scope.updateHistory = function() {
+
+            emSyncLog.history($scope.historyFilters).then(function(runs) {
+                $scope.syncRuns = runs;
+            });
+        };
+
+        /**
+         * Export the (filtered) synchronization history
+         *
+         * @param {string} format - the export format json|csv
+         */
+        $scope.exportHistory = function(format) {
+
+            emSyncLog.export(format, $scope.historyFilters).then(
+                function(fileURI) {
+                    emDialogs.confirmation('Log exported to ' + fileURI);
+                },
+                function(error) {
+                    emDialogs.error('Log export failed', error);
+                });
+        };
+
+        /**
+         * Count the unresolved synchronization conflicts
+         */
+        var countConflicts = function() {
+            emConflicts.count().then(function(numConflicts) {
+                $scope.numConflicts = numConflicts;
+            });
+        };
+
+        countConflicts();
+        $scope.$watch('syncInProgress', function(newValue, oldValue) {
+            if (oldValue && !newValue) {
+                countConflicts();
+            }
+        });
+
+        /**
+         * View unresolved synchronization conflicts
+         */
+        $scope.viewConflicts = function() {
+
+            if ($scope.syncInProgress || $scope.conflictListLoading) {
+                return;
+            }
+            $scope.conflictListLoading = true;
+
+            // Remove any existing modal
+            if ($scope.conflictListModal) {
+                $scope.conflictListModal.remove();
+            }
+
+            emConflicts.conflictList().then(function(conflicts) {
+                $scope.conflictListLoading = false;
+                $scope.conflicts = conflicts;
+                $scope.numConflicts = conflicts.length;
+                $ionicModal.fromTemplateUrl('views/sync/conflicts.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.conflictListModal = modal;
+                    modal.show();
+                });
+            }, function() {
+                $scope.conflictListLoading = false;
+            });
+        };
+
+        /**
+         * Resolve a conflict (choose device or server value per field)
+         *
+         * @param {object} conflict - the conflict (from emConflicts.conflictList)
+         */
+        $scope.resolveConflict = function(conflict) {
+
+            // Remove any existing modal
+            if ($scope.conflictModal) {
+                $scope.conflictModal.remove();
+            }
+
+            // Keep device values by default
+            var selection = {};
+            conflict.fields.forEach(function(field) {
+                selection[field.name] = 'local';
+            });
+            $scope.conflict = conflict;
+            $scope.selection = selection;
+
+            $ionicModal.fromTemplateUrl('views/sync/conflict.html', {
+                scope: $scope
+            }).then(function(modal) {
+                $scope.conflictModal = modal;
+                modal.show();
+            });
+        };
+
+        /**
+         * Choose the same version for all fields of the current conflict
+         *
+         * @param {string} version - 'local' or 'remote'
+         */
+        $scope.pickAll = function(version) {
+
+            var selection = $scope.selection;
+            for (var fieldName in selection) {
+                selection[fieldName] = version;
+            }
+        };
+
+        /**
+         * Write the chosen values for the current conflict
+         */
+        $scope.submitResolution = function() {
+
+            var conflict = $scope.conflict,
+                selection = $scope.selection,
+                data = {};
+
+            conflict.fields.forEach(function(field) {
+                data[field.name] = field[selection[field.name]];
+            });
+
+            emConflicts.resolve(conflict.id, data).then(function() {
+                $scope.conflictModal.remove();
+                $scope.conflictModal = null;
+                $scope.conflicts = $scope.conflicts.filter(function(item) {
+                    return item.id != conflict.id;
+                });
+                $scope.numConflicts = $scope.conflicts.length;
+            }, function(error) {
+                emDialogs.error('Conflict could not be resolved', error);
+            });
+        };
+
+        /**
+         * Report the result of a data package import or upload
+         *
+         * @param {object} result - the result {success, failed, error}
+         * @param {string} done - the confirmation message
+         * @param {string} failed - the error message
+         */
+        var packageResult = function(result, done, failed) {
+
+            if (!result) {
+                emDialogs.error(failed);
+                return;
+            }
+            var failures = result.failed;
+            if (failures) {
+                var msg;
+                if (!result.success) {
+                    msg = failed;
+                } else {
+                    msg = failures + ' form(s) failed';
+                }
+                emDialogs.error(msg, result.error);
+            } else {
+                emDialogs.confirmation(done);
+            }
+        };
+
+        /**
+         * Export a data package (forms and new data for offline transfer)
+         */
+        $scope.exportPackage = function() {
+
+            if ($scope.syncInProgress) {
+                return;
+            }
+            emPackages.exportPackage().then(
+                function(fileURI) {
+                    emDialogs.confirmation('Data package exported to ' + fileURI);
+                },
+                function(error) {
+                    emDialogs.error('Data package export failed', error);
+                });
+        };
+
+        /**
+         * View the data packages available for import or upload
+         */
+        $scope.viewPackages = function() {
+
+            if ($scope.syncInProgress || $scope.packageListLoading) {
+                return;
+            }
+            $scope.packageListLoading = true;
+
+            // Remove any existing modal
+            if ($scope.packageListModal) {
+                $scope.packageListModal.remove();
+            }
+
+            emPackages.available().then(function(packages) {
+                $scope.packageListLoading = false;
+                $scope.packages = packages;
+                $ionicModal.fromTemplateUrl('views/sync/packages.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.packageListModal = modal;
+                    modal.show();
+                });
+            }, function() {
+                $scope.packageListLoading = false;
+            });
+        };
+
+        /**
+         * Import a data package (forms and data) on this device
+         *
+         * @param {object} dataPackage - the package (from emPackages.available)
+         */
+        $scope.importPackage = function(dataPackage) {
+
+            emDialogs.confirmAction(
+                'Import Data Package',
+                'Import the forms and data in ' + dataPackage.name + ' on this device?',
+                function() {
+                    $scope.packageListModal.remove();
+                    $scope.packageListModal = null;
+                    emPackages.importPackage(dataPackage.uri).then(
+                        function(result) {
+                            packageResult(result, 'Data package imported', 'Data package could not be imported');
+                        },
+                        function(error) {
+                            emDialogs.error('Data package could not be imported', error);
+                        });
+                });
+        };
+
+        /**
+         * Upload the data in a data package to the server
+         *
+         * @param {object} dataPackage - the package (from emPackages.available)
+         */
+        $scope.uploadPackage = function(dataPackage) {
+
+            emDialogs.confirmAction(
+                'Upload Data Package',
+                'Upload the data in ' + dataPackage.name + ' to the server?',
+                function() {
+                    $scope.packageListModal.remove();
+                    $scope.packageListModal = null;
+                    emPackages.uploadPackage(dataPackage.uri).then(
+                        function(result) {
+                            packageResult(result, 'Data package uploaded', 'Data package could not be uploaded');
+                        },
+                        function(error) {
+                            emDialogs.error('Data package could not be uploaded', error);
+                        });
+                });
+        };
+
+        /**
+         * The peer hub status {running, address}
+         */
+        $scope.hub = emPeerSync.hubStatus();
+
+        /**
+         * Start or stop acting as hub for peer synchronization
+         */
+        $scope.toggleHub = function() {
+
+            if ($scope.hubStarting) {
+                return;
+            }
+            $scope.hubStarting = true;
+
+            var hub = $scope.hub,
+                action = hub.running ? emPeerSync.stopHub() : emPeerSync.startHub();
+
+            action.then(
+                function(status) {
+                    $scope.hub = status;
+                },
+                function(error) {
+                    emDialogs.error('Peer hub could not be started', error);
+                }).finally(function() {
+                    $scope.hubStarting = false;
+                });
+        };
+
+        /**
+         * Synchronize forms and data with a peer hub
+         */
+        $scope.peerSync = function() {
+
+            if ($rootScope.syncInProgress || $scope.hub.running) {
+                return;
+            }
+
+            emConfig.apply(function(settings) {
+                emDialogs.stringInput(
+                    'Synchronize with Hub',
+                    'Enter the address shown on the hub device',
+                    {
+                        inputType: 'url',
+                        inputPlaceholder: 'e.g. http://192.168.43.1:8080',
+                        defaultText: settings.get('sync.peerURL'),
+                        onValidation: function(value) {
+                            return !!value;
+                        }
+                    },
+                    function(hubURL) {
+                        emPeerSync.synchronize(hubURL).then(null, function(error) {
+                            emDialogs.error('Synchronization with hub failed', error);
+                        });
+                    });
+            });
+        };
     }
 
 ]);
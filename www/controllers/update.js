@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMDataUpdate", [
-    '$q', '$scope', '$state', '$stateParams', 'emDB', 'emDialogs', 'emFiles', 'emResources',
-    function($q, $scope, $state, $stateParams, emDB, emDialogs, emFiles, emResources) {
+    '$q', '$scope', '$state', '$stateParams', 'emCalculate', 'emDB', 'emDialogs', 'emDrafts', 'emFiles', 'emRejections', 'emResources', 'emValidate',
+    function($q, $scope, $state, $stateParams, emCalculate, emDB, emDialogs, emDrafts, emFiles, emRejections, emResources, emValidate) {
 
         "use strict";
 
@@ -101,6 +101,26 @@ EdenMobile.controller("EMDataUpdate", [
         $scope.recordID = recordID;
         $scope.componentName = componentName;
 
+        // The draft (if the target record is incomplete), and its autosave
+        var draft = null,
+            autosave = null,
+            submitting = false;
+
+        // --------------------------------------------------------------------
+        /**
+         * Save the current form as draft
+         *
+         * @returns {promise} - a promise that is resolved when the draft
+         *                      has been saved
+         */
+        var saveDraft = function() {
+
+            if (!draft || $scope.saved || submitting) {
+                return;
+            }
+            return draft.save($scope.form);
+        };
+
         // --------------------------------------------------------------------
         /**
          * Configure and populate the scope with the target record
@@ -130,9 +150,13 @@ EdenMobile.controller("EMDataUpdate", [
 
                 // Broadcast form submission
                 $scope.$broadcast('FormSubmission');
+                submitting = true;
 
-                // Proceed when all form data are ready for submission
-                $q.all(form).then(function(formData) {
+                // Proceed when all form data are ready for submission,
+                // and no draft is being saved
+                $q.all([$q.all(form), autosave && autosave.wait()]).then(function(results) {
+
+                    var formData = results[0];
                     console.log(formData);
                     var empty = true;
                     for (var fn in formData) {
@@ -142,13 +166,30 @@ EdenMobile.controller("EMDataUpdate", [
                         }
                     }
                     if (!empty) {
+                        // Re-evaluate calculated fields
+                        emCalculate.apply(resource, formData, $scope.rosters);
+
+                        // Check cross-field validation rules
+                        var errors = emValidate.checkRules(resource, formData, $scope.rosters);
+                        if (errors) {
+                            submitting = false;
+                            emDialogs.error('Invalid input', emValidate.getMessages(errors).join('<br>'));
+                            return;
+                        }
+
                         // Update is final => reset incomplete-flag
                         formData.em_incomplete = false;
                         // Commit to database, then redirect
                         table.where(table.$('id').equals(targetID)).update(formData,
                             function() {
-                                onUpdate();
+                                // Record corrected => remove the rejection
+                                emRejections.remove(table.name, targetID).finally(function() {
+                                    $scope.$emit('emDataSubmitted', resource.name);
+                                    onUpdate();
+                                });
                             });
+                    } else {
+                        submitting = false;
                     }
                 });
             };
@@ -194,6 +235,27 @@ EdenMobile.controller("EMDataUpdate", [
                             form[fieldName] = value;
                         }
                     }
+
+                    // Show server errors if the record has been rejected
+                    emRejections.record(table.name, targetID).then(function(rejection) {
+                        $scope.rejection = rejection;
+                    });
+
+                    // Load component rows for calculated fields
+                    emCalculate.loadRosters(resource, targetID).then(function(rosters) {
+                        $scope.rosters = rosters;
+                    });
+
+                    // Continue to save drafts while the record is incomplete
+                    emDrafts.isDraft(subset, targetID).then(function(isDraft) {
+                        if (isDraft) {
+                            draft = emDrafts.draft(subset, targetID, form);
+                            if (!autosave) {
+                                autosave = emDrafts.autosave($scope, saveDraft);
+                            }
+                        }
+                    });
+
                 } else {
                     // Show error popup, then go back to list
                     emDialogs.error('Record not found', null, function() {
@@ -225,6 +287,8 @@ EdenMobile.controller("EMDataUpdate", [
             // Start with empty master (populated asynchronously)
             $scope.master = {};
             $scope.saved = false;
+            $scope.rejection = null;
+            $scope.rosters = {};
 
             // Reset the form (@todo: expose reset in UI?)
             $scope.reset = function() {
@@ -303,8 +367,14 @@ EdenMobile.controller("EMDataUpdate", [
                 // Record saved => remove orphaned files
                 emFiles.removeAll($scope.orphanedFiles);
             } else {
-                // Record not saved => remove pending files
-                emFiles.removeAll($scope.pendingFiles);
+                // Record not saved => save the draft, remove pending
+                // files unless they are referenced by the draft
+                var pendingFiles = $scope.pendingFiles;
+                $q.when(autosave && autosave.save()).then(function() {
+                    if (!draft || !draft.recordID) {
+                        emFiles.removeAll(pendingFiles);
+                    }
+                });
             }
         });
     }
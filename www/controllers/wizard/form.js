@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMFormWizardController", [
-    '$q', '$scope', '$state', '$stateParams', 'emDialogs', 'emDisplayLogic', 'emFiles', 'emFormWizard', 'emResources',
-    function($q, $scope, $state, $stateParams, emDialogs, emDisplayLogic, emFiles, emFormWizard, emResources) {
+    '$q', '$scope', '$state', '$stateParams', 'emCalculate', 'emDialogs', 'emDisplayLogic', 'emDrafts', 'emFiles', 'emFormWizard', 'emRejections', 'emResources', 'emValidate',
+    function($q, $scope, $state, $stateParams, emCalculate, emDialogs, emDisplayLogic, emDrafts, emFiles, emFormWizard, emRejections, emResources, emValidate) {
 
         "use strict";
 
@@ -89,6 +89,246 @@ EdenMobile.controller("EMFormWizardController", [
             }
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get the component that stores the additional pictures of a
+         * photo widget (multiple pictures)
+         *
+         * @param {Resource} resource - the Resource
+         * @param {object} formElement - the form element
+         *
+         * @returns {object} - the image component, see emFormWizard
+         */
+        var getImageComponent = function(resource, formElement) {
+
+            if (formElement.type != 'input') {
+                return;
+            }
+            return emFormWizard.getImageComponent(resource, resource.fields[formElement.field]);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Retrieve the rows of all repeat groups (rosters) for a record,
+         * including the additional pictures of photo widgets
+         *
+         * @param {Resource} resource - the Resource
+         * @param {integer} recordID - the record ID
+         * @param {Array} formConfig - the form configuration (sections)
+         *
+         * @returns {promise} - a promise that resolves into the rosters
+         *                      {alias: {rows: [], removed: []}}
+         */
+        var retrieveRosters = function(resource, recordID, formConfig) {
+
+            var rosters = {},
+                queries = [];
+
+            formConfig.forEach(function(formElements) {
+                formElements.forEach(function(formElement) {
+
+                    var alias,
+                        component,
+                        fieldNames = ['id'];
+
+                    if (formElement.type == 'repeat') {
+                        alias = formElement.component;
+                        component = emFormWizard.getRepeatComponent(resource, formElement);
+                        if (component) {
+                            emFormWizard.getRepeatElements(component, formElement).forEach(function(element) {
+                                if (element.type == 'input') {
+                                    fieldNames.push(element.field);
+                                }
+                            });
+                        }
+                    } else {
+                        var images = getImageComponent(resource, formElement);
+                        if (images) {
+                            alias = images.alias;
+                            component = images.component;
+                            fieldNames.push(images.fieldName);
+                        }
+                    }
+                    if (!component || rosters[alias]) {
+                        return;
+                    }
+
+                    var roster = rosters[alias] = {rows: [], removed: []};
+                    if (!recordID) {
+                        return;
+                    }
+
+                    var table = component.table;
+                    queries.push(component.subSet(recordID).select(fieldNames, {
+                        orderby: table.$('id')
+                    }).then(function(rows) {
+                        roster.rows = rows.map(function(row) {
+                            return row._();
+                        });
+                    }));
+                });
+            });
+
+            return $q.all(queries).then(function() {
+                return rosters;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Store the additional pictures of a photo widget
+         *
+         * @param {Resource} resource - the Resource
+         * @param {integer} recordID - the master record ID
+         * @param {object} values - the master record data
+         * @param {object} formElement - the form element for the field
+         * @param {Array} actions - array to add the promises of the
+         *                          database actions to
+         */
+        var saveImages = function(resource, recordID, values, formElement, actions) {
+
+            var images = getImageComponent(resource, formElement);
+            if (!images) {
+                return;
+            }
+            var roster = ($scope.rosters || {})[images.alias];
+            if (!roster) {
+                return;
+            }
+
+            var component = images.component,
+                fieldName = images.fieldName,
+                table = component.table,
+                subset = component.subSet(recordID),
+                removed = roster.removed.slice(0),
+                rows = roster.rows;
+
+            // Field hidden by display logic => remove all pictures
+            var displayRule = formElement.displayLogic;
+            if (displayRule && !new emDisplayLogic(values, formElement.field, displayRule).show()) {
+                rows.forEach(function(row) {
+                    if (row.id) {
+                        removed.push(row.id);
+                    }
+                });
+                rows = [];
+            }
+
+            // Delete removed pictures (deletes the files too)
+            if (removed.length) {
+                actions.push(subset.where(table.$('id').in(removed)).delete());
+            }
+
+            // Insert or update the other pictures
+            rows.forEach(function(row) {
+
+                var data = {};
+                data[fieldName] = row[fieldName];
+
+                if (row.id) {
+                    actions.push(subset.where(table.$('id').is(row.id)).update(data));
+                } else if (data[fieldName]) {
+                    actions.push(subset.insert(data).then(function(rowID) {
+                        // Prevent duplicates if submitted again
+                        row.id = rowID;
+                    }));
+                }
+            });
+            roster.removed = [];
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Store the rows of all repeat groups (rosters), including the
+         * additional pictures of photo widgets
+         *
+         * @param {Resource} resource - the Resource
+         * @param {integer} recordID - the master record ID
+         * @param {object} values - the master record data (to evaluate
+         *                          display logic of repeat groups)
+         *
+         * @returns {promise} - a promise that is resolved when all
+         *                      rows have been stored
+         */
+        var saveRosters = function(resource, recordID, values) {
+
+            var rosters = $scope.rosters || {},
+                actions = [];
+
+            $scope.formConfig.forEach(function(formElements) {
+                formElements.forEach(function(formElement) {
+
+                    if (formElement.type == 'input') {
+                        saveImages(resource, recordID, values, formElement, actions);
+                        return;
+                    }
+                    if (formElement.type != 'repeat') {
+                        return;
+                    }
+                    var component = emFormWizard.getRepeatComponent(resource, formElement),
+                        roster = rosters[formElement.component];
+                    if (!component || !roster) {
+                        return;
+                    }
+
+                    var table = component.table,
+                        subset = component.subSet(recordID),
+                        rows = roster.rows,
+                        removed = roster.removed.slice(0);
+
+                    // Repeat group hidden by display logic => remove all rows
+                    var displayRule = formElement.displayLogic;
+                    if (displayRule && !new emDisplayLogic(values, null, displayRule).show()) {
+                        rows.forEach(function(row) {
+                            if (row.id) {
+                                removed.push(row.id);
+                            }
+                        });
+                        rows = [];
+                    }
+
+                    // Delete removed rows
+                    if (removed.length) {
+                        actions.push(subset.where(table.$('id').in(removed)).delete());
+                    }
+
+                    // Insert or update the other rows
+                    var elements = emFormWizard.getRepeatElements(component, formElement);
+                    rows.forEach(function(row) {
+
+                        var data = {};
+                        elements.forEach(function(element) {
+                            if (element.type != 'input') {
+                                return;
+                            }
+                            var fieldName = element.field,
+                                displayRule = element.displayLogic,
+                                value = row[fieldName];
+                            if (displayRule && !new emDisplayLogic(row, fieldName, displayRule, values).show()) {
+                                // Remove values of hidden fields
+                                value = null;
+                            }
+                            if (value !== undefined) {
+                                data[fieldName] = value;
+                            }
+                        });
+
+                        if (row.id) {
+                            actions.push(subset.where(table.$('id').is(row.id)).update(data));
+                        } else {
+                            actions.push(subset.insert(data).then(function(rowID) {
+                                // Prevent duplicates if submitted again
+                                row.id = rowID;
+                            }));
+                        }
+                    });
+                    roster.removed = [];
+                });
+            });
+
+            return $q.all(actions);
+        };
+
         // --------------------------------------------------------------------
         /**
          * Show a confirmation message after submit and return to caller
@@ -146,6 +386,47 @@ EdenMobile.controller("EMFormWizardController", [
             return angular.extend({}, values, emptyValues);
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Check the cross-field validation rules, show the errors
+         *
+         * @param {Resource} resource - the Resource
+         * @param {object} values - the input values {fieldName: value}
+         * @param {integer} lastSection - check only rules for fields up
+         *                                to this section (default: all)
+         *
+         * @returns {boolean} - whether all rules are satisfied
+         */
+        var checkRules = function(resource, values, lastSection) {
+
+            var fieldNames;
+            if (lastSection !== undefined) {
+                // Fields (and repeat groups) up to the last section,
+                // and calculated fields
+                fieldNames = Object.keys(emCalculate.getCalculations(resource));
+                $scope.formConfig.slice(0, lastSection + 1).forEach(function(formElements) {
+                    formElements.forEach(function(formElement) {
+                        if (formElement.type == 'input') {
+                            fieldNames.push(formElement.field);
+                        } else if (formElement.type == 'repeat' && formElement.component) {
+                            fieldNames.push(formElement.component);
+                        }
+                    });
+                });
+            }
+
+            var errors = emValidate.checkRules(resource, values, $scope.rosters, fieldNames);
+
+            // Expose per-field errors to form rows
+            $scope.validationErrors = errors || {};
+
+            if (errors) {
+                emDialogs.error('Invalid input', emValidate.getMessages(errors).join('<br>'));
+                return false;
+            }
+            return true;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Submit the current form
@@ -161,11 +442,23 @@ EdenMobile.controller("EMFormWizardController", [
 
             // Proceed when all form values are ready for submission
             // - some form.* could be promises
-            $q.all(form).then(function(formData) {
+            // - a draft could be being saved
+            $q.all([$q.all(form), autosave && autosave.wait()]).then(function(results) {
+
+                var formData = results[0];
 
                 // Remove values for fields hidden by display logic
                 var values = clearHiddenFields(formData, $scope.formConfig);
 
+                // Re-evaluate calculated fields
+                emCalculate.apply(resource, values, $scope.rosters);
+
+                // Check cross-field validation rules
+                if (!checkRules(resource, values)) {
+                    $scope.submitInProgress = false;
+                    return;
+                }
+
                 // Check if empty (@todo: form onvalidation)
                 var empty = true;
                 for (var fieldName in values) {
@@ -186,15 +479,27 @@ EdenMobile.controller("EMFormWizardController", [
                     values.em_incomplete = false;
                     if (recordID) {
                         var table = resource.table;
-                        saved = resource.where(table.$('id').is(recordID)).update(values);
+                        saved = resource.where(table.$('id').is(recordID)).update(values).then(function() {
+                            // Record corrected => remove the rejection
+                            return emRejections.remove(resource.tableName, recordID);
+                        }).then(function() {
+                            return recordID;
+                        });
                         fail = 'Could not update record';
                     } else {
                         saved = resource.subSet().insert(values);
                         fail = 'Could not create record';
                     }
 
+                    // Store the repeat group rows
+                    saved = saved.then(function(masterID) {
+                        recordStatus.recordID = masterID;
+                        return saveRosters(resource, masterID, values);
+                    });
+
                     saved.then(
                         function() {
+                            $scope.$emit('emDataSubmitted', resourceName);
                             confirmSubmit();
                         },
                         function(error) {
@@ -218,13 +523,37 @@ EdenMobile.controller("EMFormWizardController", [
                 {okText: 'End Survey', okType: 'button-energized'},
                 function() { // Confirmed
 
-                    // TODO Discard record if it has an ID and is marked incomplete
-
-                    // Go back to caller state
-                    $state.go(returnTo);
+                    // Discard the draft, then go back to caller state
+                    $q.when(draft && draft.discard()).finally(function() {
+                        $state.go(returnTo);
+                    });
                 });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Save the current form as draft (if the record is incomplete),
+         * including the rows of repeat groups
+         *
+         * @returns {promise} - a promise that is resolved when the draft
+         *                      has been saved
+         */
+        var saveDraft = function() {
+
+            var recordStatus = $scope.recordStatus;
+            if (!draft || !recordStatus || !recordStatus.incomplete ||
+                $scope.saved || $scope.submitInProgress) {
+                return;
+            }
+
+            return draft.save($scope.form).then(function(draftID) {
+                if (draftID) {
+                    recordStatus.recordID = draftID;
+                    return saveRosters(draft.subset.resource, draftID, $scope.form);
+                }
+            });
+        };
+
         // --------------------------------------------------------------------
         // Initialize the wizard
         //
@@ -234,6 +563,7 @@ EdenMobile.controller("EMFormWizardController", [
             $scope.master = {};
             $scope.saved = false;
             $scope.submitInProgress = false;
+            $scope.rejection = null;
 
             // Reset the form (@todo: expose reset in UI?)
             $scope.reset = function() {
@@ -243,6 +573,12 @@ EdenMobile.controller("EMFormWizardController", [
             };
             $scope.reset();
 
+            // Rows of repeat groups {alias: {rows: [], removed: []}}
+            $scope.rosters = {};
+
+            // Errors from cross-field validation {fieldName: [message, ...]}
+            $scope.validationErrors = {};
+
             emResources.open(resourceName).then(function(resource) {
 
                 // Set top bar title
@@ -252,32 +588,42 @@ EdenMobile.controller("EMFormWizardController", [
                 // Get the form configuration
                 var formConfig = $scope.formConfig = emFormWizard.getSections(resource);
 
+                // Helper to check whether a form element is visible
+                var isVisible = function(formElement) {
+                    var displayRule = formElement.displayLogic;
+                    if (!displayRule) {
+                        return true;
+                    }
+                    return new emDisplayLogic($scope.form, formElement.field, displayRule).show();
+                };
+
+                // Helper to check whether a section is to be shown:
+                // - sections with questions are skipped if all of them
+                //   are hidden (regardless of instructions)
+                // - sections with only instructions are skipped if all
+                //   instructions are hidden
+                var showSection = function(formElements) {
+                    var questions = formElements.filter(function(formElement) {
+                        return formElement.type != 'instructions';
+                    });
+                    if (!questions.length) {
+                        questions = formElements;
+                    }
+                    return questions.some(isVisible);
+                };
+
                 // Helper to find next section using display logic
                 var nextSection = function(currentSection, reverse) {
                     var step = reverse && -1 || 1,
-                        next = currentSection + step;
-                    while(true) {
-                        var formElements = formConfig[next],
-                            formElement,
-                            displayRule,
-                            displayLogic;
-                        if (formElements === undefined) {
-                            // This was the last section
-                            break;
-                        }
-                        for (var i = 0; i < formElements.length; i++) {
-                            formElement = formElements[i];
-                            displayRule = formElement.displayLogic;
-                            if (!displayRule) {
-                                return next;
-                            }
-                            displayLogic = new emDisplayLogic($scope.form, formElement.field, displayRule);
-                            if (displayLogic.show()) {
-                                return next;
-                            }
+                        next = currentSection + step,
+                        formElements;
+                    while((formElements = formConfig[next]) !== undefined) {
+                        if (showSection(formElements)) {
+                            return next;
                         }
                         next += step;
                     }
+                    // This was the last section
                     return false;
                 };
 
@@ -287,17 +633,38 @@ EdenMobile.controller("EMFormWizardController", [
                         prev: function(currentSection) {
                             return nextSection(currentSection, true);
                         },
-                        next: nextSection
+                        next: nextSection,
+                        isVisible: isVisible,
+                        showSection: showSection,
+                        getValues: function() {
+                            // Current input values as they would be submitted
+                            var values = clearHiddenFields($scope.form, formConfig);
+                            emCalculate.apply(resource, values, $scope.rosters);
+                            return values;
+                        }
                     };
 
+                // Helper to validate the active section before leaving it
+                var validateSection = function(ngForm) {
+                    ngForm.$setSubmitted(); // force validation
+                    if (ngForm.$invalid) {
+                        return false;
+                    }
+                    var values = clearHiddenFields($scope.form, formConfig);
+                    return checkRules(resource, values, formStatus.activeSection);
+                };
+
                 // Scope method to submit the entire form
+                // - ngForm can be omitted when submitting from review
                 $scope.submit = function(ngForm) {
                     if ($scope.saved || $scope.submitInProgress) {
                         return;
                     }
-                    ngForm.$setSubmitted(); // force validation
-                    if (ngForm.$invalid) {
-                        return;
+                    if (ngForm) {
+                        ngForm.$setSubmitted(); // force validation
+                        if (ngForm.$invalid) {
+                            return;
+                        }
                     }
                     $scope.submitInProgress = true;
                     submitForm(resource, $scope.form);
@@ -305,28 +672,92 @@ EdenMobile.controller("EMFormWizardController", [
 
                 // Scope method to move to the next section
                 $scope.next = function(ngForm) {
-                    ngForm.$setSubmitted(); // force validation
-                    if (ngForm.$invalid) {
+                    if (!validateSection(ngForm)) {
                         return;
                     }
                     var next = nextSection(formStatus.activeSection);
                     if (!next) {
                         return;
                     }
+                    if (autosave) {
+                        autosave.save();
+                    }
                     $state.go('wizard.form', {section: next});
                 };
 
+                // Scope method to review the response before submission
+                $scope.review = function(ngForm) {
+                    if (!validateSection(ngForm)) {
+                        return;
+                    }
+                    if (autosave) {
+                        autosave.save();
+                    }
+                    $state.go('wizard.review');
+                };
+
+                // Scope method to go back to a section (from review)
+                $scope.edit = function(section) {
+                    $state.go('wizard.form', {section: section});
+                };
+
                 // Scope method to cancel the response
                 $scope.cancel = cancelWizard;
 
                 // Populate, then open the form
-                retrieveRecord(resource, recordID).then(function(data) {
+                var subset = resource.subSet();
+                $q.all([
+                    retrieveRecord(resource, recordID),
+                    retrieveRosters(resource, recordID, formConfig),
+                    emDrafts.isDraft(subset, recordID)
+                ]).then(function(results) {
+                    // Add rows of other components used in calculations
+                    return emCalculate.loadRosters(resource, recordID, results[1]).then(function(rosters) {
+                        return [results[0], rosters, results[2]];
+                    });
+                }).then(function(results) {
+                    var data = results[0],
+                        isDraft = results[2];
                     $scope.recordStatus = {
                         recordID: recordID,
-                        incomplete: !recordID,
+                        incomplete: !recordID || isDraft,
                     };
                     $scope.master = data;
                     $scope.form = angular.copy($scope.master);
+                    $scope.rosters = results[1];
+
+                    // Evaluate calculated fields live
+                    if (stopCalculations) {
+                        stopCalculations();
+                    }
+                    stopCalculations = emCalculate.watch($scope, resource, 'form');
+
+                    // Save in-progress entries as drafts
+                    draft = emDrafts.draft(subset, isDraft ? recordID : null, $scope.form);
+                    if (!autosave) {
+                        autosave = emDrafts.autosave($scope, saveDraft);
+                    }
+
+                    // Offer to resume the most recent draft
+                    if (!recordID) {
+                        emDrafts.resumePrompt(subset, function(draftID) {
+                            // Do not save the current form as another draft
+                            if (draft.recordID != draftID) {
+                                draft.discard();
+                            }
+                            $state.go('wizard', {
+                                resourceName: resourceName,
+                                recordID: draftID
+                            }, {reload: true, location: 'replace'});
+                        });
+                    }
+
+                    // Show server errors if the record has been rejected
+                    if (recordID) {
+                        emRejections.record(resource.tableName, recordID).then(function(rejection) {
+                            $scope.rejection = rejection;
+                        });
+                    }
 
                     // Open the form
                     $state.go('wizard.form', {section: 0});
@@ -338,6 +769,13 @@ EdenMobile.controller("EMFormWizardController", [
         // Main Process
         //
 
+        // Deregistration of the live evaluation of calculated fields
+        var stopCalculations = null;
+
+        // The draft of the current entry, and its autosave
+        var draft = null,
+            autosave = null;
+
         // Init on view-enter
         $scope.$on('$ionicView.enter', function(event, data) {
             // View is entered both for 'wizard' and 'wizard.form' states
@@ -353,8 +791,14 @@ EdenMobile.controller("EMFormWizardController", [
                 // Record saved => remove orphaned files
                 emFiles.removeAll($scope.orphanedFiles);
             } else {
-                // Record not saved => remove pending files
-                emFiles.removeAll($scope.pendingFiles);
+                // Record not saved => save the draft, remove pending
+                // files unless they are referenced by the draft
+                var pendingFiles = $scope.pendingFiles;
+                $q.when(autosave && autosave.save()).then(function() {
+                    if (!draft || !draft.recordID) {
+                        emFiles.removeAll(pendingFiles);
+                    }
+                });
             }
         });
     }
@@ -0,0 +1,278 @@
+/**
+ * Sahana Eden Mobile - Form Review Controller
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * Form Review Controller
+ * - summary of all answers before final submission of the response
+ *
+ * @class EMFormReviewController
+ * @memberof EdenMobile
+ */
+EdenMobile.controller("EMFormReviewController", [
+    '$ionicSideMenuDelegate', '$q', '$scope', '$rootScope', 'emDialogs', 'emFormWizard', 'emValidate',
+    function($ionicSideMenuDelegate, $q, $scope, $rootScope, emDialogs, emFormWizard, emValidate) {
+
+        "use strict";
+
+        var resource = $scope.resource,
+            formConfig = $scope.formConfig,
+            formStatus = $scope.formStatus,
+            language = $scope.currentLanguage;
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a value is empty (=question not answered)
+         *
+         * @param {*} value - the value
+         *
+         * @returns {boolean} - whether the value is empty
+         */
+        var isEmpty = function(value) {
+
+            return value === null || value === undefined || value === '' ||
+                   (value.constructor === Array && !value.length);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a field requires an answer
+         *
+         * @param {Field} field - the field
+         *
+         * @returns {boolean} - whether an answer is required
+         */
+        var isRequired = function(field) {
+
+            var validate = emValidate.getDirectives(field);
+            if (validate) {
+                return validate.some(function(validation) {
+                    return validation.directives.hasOwnProperty('ng-required');
+                });
+            }
+            return false;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Represent an answer
+         *
+         * @param {Field} field - the field
+         * @param {*} value - the value
+         *
+         * @returns {promise} - a promise that resolves into the
+         *                      representation of the value
+         */
+        var represent = function(field, value) {
+
+            if (isEmpty(value)) {
+                return $q.resolve(null);
+            }
+
+            switch(field.type) {
+                case 'json':
+                case 'upload':
+                    // Images, maps etc. can't be represented as text
+                    return $q.resolve('Answered');
+                case 'list:integer':
+                case 'list:string':
+                    return $q.all(value.map(function(item) {
+                        return resource.represent(field.name, item);
+                    })).then(function(items) {
+                        return items.join(', ');
+                    });
+                default:
+                    return $q.when(resource.represent(field.name, value));
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build the review of all visible sections
+         */
+        var buildReview = function() {
+
+            var values = formStatus.getValues(),
+                errors = emValidate.checkRules(resource, values, $scope.rosters) || {},
+                rejection = $scope.rejection,
+                serverErrors = rejection && rejection.fields || {},
+                rosters = $scope.rosters || {},
+                sections = [],
+                missing = 0,
+                invalid = 0,
+                failed = 0,
+                lookups = [];
+
+            formConfig.forEach(function(formElements, index) {
+
+                if (!formStatus.showSection(formElements)) {
+                    return;
+                }
+
+                var questions = [];
+                formElements.forEach(function(formElement) {
+
+                    var question;
+
+                    switch(formElement.type) {
+
+                        case 'input':
+                            var fieldName = formElement.field,
+                                field = resource.fields[fieldName];
+                            if (!field) {
+                                return;
+                            }
+                            // Required fields are always shown (see emFormRow)
+                            if (!field._description.required && !formStatus.isVisible(formElement)) {
+                                return;
+                            }
+
+                            // Failed field validators, then cross-field rules
+                            var value = values[fieldName],
+                                fieldErrors = emValidate.checkValue(field, value);
+
+                            (errors[fieldName] || []).forEach(function(message) {
+                                if (fieldErrors.indexOf(message) == -1) {
+                                    fieldErrors.push(message);
+                                }
+                            });
+
+                            question = {
+                                label: field.getLabel(language),
+                                value: null,
+                                missing: isRequired(field) && isEmpty(value),
+                                failed: !!fieldErrors.length,
+                                errors: fieldErrors
+                            };
+
+                            if (serverErrors[fieldName]) {
+                                fieldErrors.push(serverErrors[fieldName]);
+                            }
+
+                            lookups.push(represent(field, value).then(function(reprStr) {
+                                question.value = reprStr;
+                            }));
+                            break;
+
+                        case 'repeat':
+                            var component = emFormWizard.getRepeatComponent(resource, formElement);
+                            if (!component || !formStatus.isVisible(formElement)) {
+                                return;
+                            }
+                            var roster = rosters[formElement.component],
+                                numRows = roster && roster.rows.length || 0;
+
+                            question = {
+                                label: formElement.label || component.getLabel(true),
+                                value: numRows ? numRows + ' ' + (numRows == 1 ? 'entry' : 'entries') : null,
+                                missing: false,
+                                errors: []
+                            };
+                            break;
+
+                        default:
+                            // Instructions are not reviewed
+                            return;
+                    }
+
+                    if (question.missing) {
+                        missing++;
+                    }
+                    if (question.failed) {
+                        failed++;
+                    }
+                    if (question.errors.length) {
+                        invalid++;
+                    }
+                    questions.push(question);
+                });
+
+                if (questions.length) {
+                    sections.push({
+                        section: index,
+                        title: 'Section ' + (sections.length + 1),
+                        questions: questions
+                    });
+                }
+            });
+
+            $q.all(lookups).finally(function() {
+                $scope.sections = sections;
+                $scope.reviewStatus = {
+                    missing: missing,
+                    invalid: invalid,
+                    failed: failed
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        // Main Process
+        //
+
+        // Past the last section (=> back button goes to the last section)
+        formStatus.activeSection = formConfig.length;
+
+        $scope.sections = [];
+        $scope.reviewStatus = null;
+
+        /**
+         * Submit the response, unless required answers are missing
+         * or answers fail validation (server errors of a previously
+         * rejected response are only shown)
+         */
+        $scope.confirm = function() {
+
+            var reviewStatus = $scope.reviewStatus;
+            if (!reviewStatus) {
+                return;
+            }
+            if (reviewStatus.missing) {
+                emDialogs.error('Incomplete response',
+                                'Please answer all required questions before saving the response.');
+                return;
+            }
+            if (reviewStatus.failed) {
+                emDialogs.error('Invalid answers',
+                                'Please correct the invalid answers before saving the response.');
+                return;
+            }
+            $scope.submit();
+        };
+
+        buildReview();
+
+        // Disable content dragging to reveal the side menu
+        $scope.$on('$ionicView.enter', function() {
+            $ionicSideMenuDelegate.canDragContent(false);
+            var cleanup = $rootScope.$on('$stateChangeStart', function() {
+                $ionicSideMenuDelegate.canDragContent(true);
+                cleanup();
+            });
+        });
+    }
+]);
+
+// END ========================================================================
@@ -44,6 +44,7 @@ EdenMobile.directive("emDataCard", [
             // $scope.componentName: the component resource name
             // $scope.record: the target record, {fieldName: value}
             // $scope.cardConfig: the card config for the target record
+            // $scope.rejections: records rejected by the server {recordID: rejection}
 
             // Link target
             var target;
@@ -76,7 +77,10 @@ EdenMobile.directive("emDataCard", [
             // Construct the data card template
             cardTemplate = '<a class="item item-text-wrap" ' +
                            'ui-sref="' + target + '">' +
-                           titleTemplate + '</a>';
+                           titleTemplate +
+                           '<span class="badge badge-assertive" ' +
+                           'ng-if="rejections[record.id]">Needs attention</span>' +
+                           '</a>';
 
             // Compile the data card template against the scope,
             // then render it in place of the directive
@@ -90,6 +94,200 @@ EdenMobile.directive("emDataCard", [
     }
 ]);
 
+// ============================================================================
+/**
+ * emDataMap - directive for the map view of the data list
+ *
+ * @class emDataMap
+ * @memberof EdenMobile
+ */
+EdenMobile.directive("emDataMap", [
+    '$ionicActionSheet', '$state', '$timeout', 'emBaseMaps',
+    function($ionicActionSheet, $state, $timeout, emBaseMaps) {
+
+        "use strict";
+
+        // Cache for cluster styles, by size
+        var clusterStyles = {};
+
+        /**
+         * Get the style for a cluster of records
+         *
+         * @param {ol.Feature} cluster - the cluster feature
+         *
+         * @returns {ol.style.Style} - the style
+         */
+        var clusterStyle = function(cluster) {
+
+            var size = cluster.get('features').length,
+                style = clusterStyles[size];
+
+            if (!style) {
+                style = new ol.style.Style({
+                    image: new ol.style.Circle({
+                        radius: size > 1 ? Math.min(10 + Math.log(size) * 3, 20) : 8,
+                        fill: new ol.style.Fill({
+                            color: '#387ef5'
+                        }),
+                        stroke: new ol.style.Stroke({
+                            color: '#ffffff',
+                            width: 2
+                        })
+                    }),
+                    text: size > 1 ? new ol.style.Text({
+                        text: '' + size,
+                        fill: new ol.style.Fill({
+                            color: '#ffffff'
+                        })
+                    }) : undefined
+                });
+                clusterStyles[size] = style;
+            }
+            return style;
+        };
+
+        var renderMap = function($scope, elem /* , attr */ ) {
+
+            // => Scope structures used (provided by controller):
+            // $scope.resourceName: the master resource name
+            // $scope.recordID: the master record ID
+            // $scope.componentName: the component resource name
+            // $scope.mapRecords: the records to show, [{id, lat, lon, title}]
+
+            var container = angular.element('<div class="data-map">');
+            elem.append(container);
+
+            var recordSource = new ol.source.Vector(),
+                clusterSource = new ol.source.Cluster({
+                    distance: 40,
+                    source: recordSource
+                }),
+                clusterLayer = new ol.layer.Vector({
+                    source: clusterSource,
+                    style: clusterStyle
+                });
+
+            var map = new ol.Map({
+                controls: ol.control.defaults({
+                    attribution: false,
+                    rotate: false
+                }),
+                layers: [clusterLayer],
+                target: container[0],
+                view: new ol.View({
+                    center: [0, 0],
+                    zoom: 1,
+                    maxZoom: 19
+                })
+            });
+
+            // Add the base map
+            emBaseMaps.layer().then(function(baseLayer) {
+                if (baseLayer) {
+                    map.getLayers().insertAt(0, baseLayer);
+                }
+            });
+
+            // Open a record
+            var openRecord = function(recordID) {
+
+                var params = {
+                    resourceName: $scope.resourceName
+                };
+                if ($scope.componentName) {
+                    params.recordID = $scope.recordID;
+                    params.componentName = $scope.componentName;
+                    params.componentID = recordID;
+                    $state.go('data.componentUpdate', params);
+                } else {
+                    params.recordID = recordID;
+                    $state.go('data.update', params);
+                }
+            };
+
+            // Tap on a marker
+            map.on('singleclick', function(e) {
+
+                var cluster = map.forEachFeatureAtPixel(e.pixel, function(feature) {
+                    return feature;
+                });
+                if (!cluster) {
+                    return;
+                }
+
+                var features = cluster.get('features');
+                if (features.length == 1) {
+                    // Single record => open it
+                    openRecord(features[0].get('recordID'));
+                    return;
+                }
+
+                var view = map.getView(),
+                    extent = ol.extent.createEmpty();
+                features.forEach(function(feature) {
+                    ol.extent.extend(extent, feature.getGeometry().getExtent());
+                });
+
+                if (view.getZoom() < view.getMaxZoom() && ol.extent.getArea(extent) > 0) {
+                    // Zoom into the cluster
+                    view.fit(extent, {
+                        padding: [40, 40, 40, 40],
+                        duration: 250
+                    });
+                } else {
+                    // Records at the same location => choose from a list
+                    $ionicActionSheet.show({
+                        buttons: features.map(function(feature) {
+                            return {text: feature.get('title')};
+                        }),
+                        titleText: 'Open Record',
+                        cancelText: 'Cancel',
+                        buttonClicked: function(index) {
+                            openRecord(features[index].get('recordID'));
+                            return true;
+                        }
+                    });
+                }
+            });
+
+            // Update the markers when the records change
+            $scope.$watch('mapRecords', function(records) {
+
+                recordSource.clear();
+                if (!records || !records.length) {
+                    return;
+                }
+
+                recordSource.addFeatures(records.map(function(record) {
+                    return new ol.Feature({
+                        geometry: new ol.geom.Point(ol.proj.fromLonLat([record.lon, record.lat])),
+                        recordID: record.id,
+                        title: record.title
+                    });
+                }));
+
+                // Zoom to the records once the map is visible
+                $timeout(function() {
+                    map.updateSize();
+                    map.getView().fit(recordSource.getExtent(), {
+                        padding: [40, 40, 40, 40],
+                        maxZoom: 16
+                    });
+                });
+            });
+
+            // Clean up
+            $scope.$on('$destroy', function() {
+                map.setTarget(null);
+            });
+        };
+
+        return {
+            link: renderMap
+        };
+    }
+]);
+
 // ============================================================================
 /**
  * emResource - directive for cards in resource list
@@ -151,5 +151,48 @@
     ]);
 
     // ========================================================================
+    /**
+     * Value must be one of a set of values (JSON array)
+     * - for multiple values (Array), all values must be in the set
+     */
+    EdenMobile.directive('inSet', [
+        function() {
+
+            var link = function($scope, elem, attr, ngModel) {
+
+                var values;
+                try {
+                    values = JSON.parse(attr.inSet);
+                } catch(e) {
+                    return;
+                }
+                if (!values || values.constructor !== Array) {
+                    return;
+                }
+                values = values.map(function(value) {
+                    return '' + value;
+                });
+
+                ngModel.$validators.inSet = function(modelValue) {
+                    if (ngModel.$isEmpty(modelValue)) {
+                        // Consider empty models to be valid
+                        return true;
+                    }
+                    var items = modelValue.constructor === Array ? modelValue : [modelValue];
+                    return items.every(function(item) {
+                        return values.indexOf('' + item) != -1;
+                    });
+                };
+            };
+
+            return {
+                require: 'ngModel',
+                restrict: 'A',
+                link: link
+            };
+        }
+    ]);
+
+    // ========================================================================
 
 })(EdenMobile);
@@ -617,6 +617,550 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Point location widget (directive)
+     * - captures a point location (lat/lon/altitude/accuracy) with the
+     *   device's geolocation API, enforcing a minimum accuracy
+     * - shows the point on a map where the user can adjust the pin
+     *   (if OpenLayers is available)
+     * - creates or updates a gis_location record upon form submission
+     *
+     * @class emPointWidget
+     * @memberof EdenMobile
+     *
+     * @param {integer} min-accuracy - the minimum accuracy (=maximum error
+     *                                 radius) in meters, default 50
+     * @param {integer} timeout - the maximum time to wait for a position
+     *                            of sufficient accuracy in seconds,
+     *                            default 60
+     * @param {boolean} map - whether to show a map ("false" to disable)
+     *
+     * @returns {integer} - the location record ID
+     *
+     * @example <em-point-widget min-accuracy="20">
+     */
+    EdenMobile.directive('emPointWidget', [
+        '$compile', '$parse', '$q', '$timeout', 'emBaseMaps', 'emDialogs', 'emResources',
+        function($compile, $parse, $q, $timeout, emBaseMaps, emDialogs, emResources) {
+
+            // Location fields set by this widget (if present in the schema)
+            var pointFields = ['lat', 'lon', 'wkt', 'elevation', 'accuracy', 'gis_feature_type'];
+
+            // Number of decimal places for coordinates (~10cm)
+            var precision = 6;
+
+            // ----------------------------------------------------------------
+            /**
+             * Round a coordinate to the configured precision
+             *
+             * @param {number} value - the coordinate
+             *
+             * @returns {number} - the rounded coordinate
+             */
+            var round = function(value) {
+                var factor = Math.pow(10, precision);
+                return Math.round(value * factor) / factor;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Create or update a location record from widget input
+             *
+             * @param {integer} locationID - the location record ID
+             * @param {object} point - the point data (=from widget scope)
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      ID of the newly created or updated
+             *                      location record
+             */
+            var createOrUpdateLocation = function(locationID, point) {
+
+                return emResources.open('gis_location').then(function(resource) {
+
+                    var lat = point.lat,
+                        lon = point.lon,
+                        values = {};
+
+                    if (lat !== null && lon !== null) {
+                        values = {
+                            lat: lat,
+                            lon: lon,
+                            wkt: 'POINT (' + lon + ' ' + lat + ')',
+                            elevation: point.alt,
+                            accuracy: point.accuracy,
+                            gis_feature_type: 1 // Point
+                        };
+                    } else {
+                        values = {
+                            lat: null,
+                            lon: null,
+                            wkt: null,
+                            elevation: null,
+                            accuracy: null
+                        };
+                    }
+
+                    // Only write fields that exist in the schema
+                    var locationData = {},
+                        fields = resource.fields;
+                    pointFields.forEach(function(fieldName) {
+                        if (fields.hasOwnProperty(fieldName) && values[fieldName] !== undefined) {
+                            locationData[fieldName] = values[fieldName];
+                        }
+                    });
+
+                    if (locationID) {
+                        // Update existing location
+                        var table = resource.table;
+                        return resource.where(table.$('id').is(locationID))
+                                       .update(locationData)
+                                       .then(function() {
+                                           return locationID;
+                                       });
+                    } else {
+                        // Create new location
+                        return resource.insert(locationData);
+                    }
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Load an existing location record
+             *
+             * @param {integer} locationID - the record ID of the location
+             *
+             * @returns {promise} - a promise that resolves into the point
+             *                      data {lat, lon, alt, accuracy}, or null
+             *                      if the record could not be found
+             */
+            var loadLocation = function(locationID) {
+
+                return emResources.open('gis_location').then(function(resource) {
+
+                    var table = resource.getTable(),
+                        fields = resource.fields,
+                        fieldNames = ['id'].concat(pointFields.filter(function(fieldName) {
+                            return fields.hasOwnProperty(fieldName);
+                        }));
+
+                    return resource.where(table.$('id').is(locationID))
+                                   .select(fieldNames, {limitby: 1});
+
+                }).then(function(rows) {
+
+                    if (!rows.length) {
+                        return null;
+                    }
+                    var record = rows[0]._();
+                    return {
+                        lat: record.lat === undefined ? null : record.lat,
+                        lon: record.lon === undefined ? null : record.lon,
+                        alt: record.elevation === undefined ? null : record.elevation,
+                        accuracy: record.accuracy === undefined ? null : record.accuracy
+                    };
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Render the map and the adjustable pin
+             *
+             * @param {object} $scope - the widget scope
+             * @param {DOMNode} container - the map container
+             * @param {function} onMove - callback when the user has moved
+             *                            the pin, function(lat, lon)
+             *
+             * @returns {object} - an object with a function update(lat, lon)
+             *                     to move the pin to a new position
+             */
+            var renderMap = function($scope, container, onMove) {
+
+                var pin = new ol.Feature(),
+                    pinSource = new ol.source.Vector({
+                        features: [pin]
+                    }),
+                    pinLayer = new ol.layer.Vector({
+                        source: pinSource,
+                        style: new ol.style.Style({
+                            image: new ol.style.Circle({
+                                radius: 8,
+                                fill: new ol.style.Fill({
+                                    color: '#387ef5'
+                                }),
+                                stroke: new ol.style.Stroke({
+                                    color: '#ffffff',
+                                    width: 3
+                                })
+                            })
+                        })
+                    });
+
+                var map = new ol.Map({
+                    controls: [],
+                    layers: [pinLayer],
+                    target: container,
+                    view: new ol.View({
+                        center: [0, 0],
+                        zoom: 1
+                    })
+                });
+
+                // Add the base map (offline or online)
+                emBaseMaps.layer().then(function(baseLayer) {
+                    if (!baseLayer) {
+                        return;
+                    }
+                    map.getLayers().insertAt(0, baseLayer);
+
+                    // Show the base map area if there is no point yet
+                    var extent = baseLayer.getExtent();
+                    if (extent && !pin.getGeometry()) {
+                        map.getView().fit(extent);
+                    }
+                });
+
+                // Move the pin by dragging it...
+                var translate = new ol.interaction.Translate({
+                    layers: [pinLayer]
+                });
+                translate.on('translateend', function() {
+                    var lonLat = ol.proj.toLonLat(pin.getGeometry().getCoordinates());
+                    onMove(lonLat[1], lonLat[0]);
+                });
+                map.addInteraction(translate);
+
+                // ...or by tapping on the map
+                map.on('singleclick', function(e) {
+                    if ($scope.pointWidget.disabled) {
+                        return;
+                    }
+                    pin.setGeometry(new ol.geom.Point(e.coordinate));
+                    var lonLat = ol.proj.toLonLat(e.coordinate);
+                    onMove(lonLat[1], lonLat[0]);
+                });
+
+                // Map is rendered before the form is shown => update size
+                $timeout(function() {
+                    map.updateSize();
+                });
+
+                // Clean up
+                $scope.$on('$destroy', function() {
+                    map.setTarget(null);
+                });
+
+                return {
+                    update: function(lat, lon, zoom) {
+                        if (lat === null || lon === null) {
+                            pin.setGeometry(null);
+                            return;
+                        }
+                        var coordinate = ol.proj.fromLonLat([lon, lat]);
+                        pin.setGeometry(new ol.geom.Point(coordinate));
+
+                        var view = map.getView();
+                        view.setCenter(coordinate);
+                        if (zoom && view.getZoom() < 16) {
+                            view.setZoom(16);
+                        }
+                        map.updateSize();
+                    },
+                    translate: translate
+                };
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Apply the widget logic (event handling)
+             *
+             * @param {object} $scope - the widget scope
+             * @param {object} attr - the widget attributes
+             * @param {object} map - the map (if rendered)
+             */
+            var applyWidgetLogic = function($scope, attr, map) {
+
+                var ngModel = $parse(attr.ngModel),
+                    minAccuracy = attr.minAccuracy - 0 || 50,
+                    timeout = (attr.timeout - 0 || 60) * 1000,
+                    point = $scope.point,
+                    gps = $scope.gps,
+                    deferred,
+                    locationID = null,
+                    watchID = null,
+                    watchTimeout = null;
+
+                $scope.pointWidget.minAccuracy = minAccuracy;
+
+                // Mark the widget data as changed
+                var setChanged = function() {
+                    if (!deferred) {
+                        deferred = $q.defer();
+                        ngModel.assign($scope, deferred.promise);
+                    }
+                };
+
+                // Update the map
+                var updateMap = function(zoom) {
+                    if (map) {
+                        map.update(point.lat, point.lon, zoom);
+                    }
+                };
+
+                // Stop watching the position
+                var stopWatch = function() {
+                    if (watchID !== null) {
+                        navigator.geolocation.clearWatch(watchID);
+                        watchID = null;
+                    }
+                    if (watchTimeout) {
+                        $timeout.cancel(watchTimeout);
+                        watchTimeout = null;
+                    }
+                    gps.locating = false;
+                };
+
+                // Capture the current position
+                $scope.capturePosition = function() {
+
+                    if (!navigator.geolocation) {
+                        emDialogs.error('Location not available');
+                        return;
+                    }
+
+                    stopWatch();
+                    gps.locating = true;
+                    gps.accuracy = null;
+
+                    var best = null;
+
+                    watchID = navigator.geolocation.watchPosition(
+                        function(position) {
+                            $scope.$apply(function() {
+
+                                var coords = position.coords,
+                                    accuracy = coords.accuracy;
+
+                                if (!best || accuracy < best.accuracy) {
+                                    best = coords;
+                                }
+                                gps.accuracy = Math.round(best.accuracy);
+
+                                if (accuracy <= minAccuracy) {
+                                    // Accurate enough => accept
+                                    stopWatch();
+                                    point.lat = round(coords.latitude);
+                                    point.lon = round(coords.longitude);
+                                    point.alt = coords.altitude === null ? null : Math.round(coords.altitude * 10) / 10;
+                                    point.accuracy = Math.round(accuracy * 10) / 10;
+                                    point.adjusted = false;
+                                    setChanged();
+                                    updateMap(true);
+                                }
+                            });
+                        },
+                        function(error) {
+                            $scope.$apply(function() {
+                                stopWatch();
+                                emDialogs.error('Could not determine location', error.message);
+                            });
+                        },
+                        {
+                            enableHighAccuracy: true,
+                            maximumAge: 0,
+                            timeout: timeout
+                        }
+                    );
+
+                    // Give up if no sufficiently accurate position within timeout
+                    watchTimeout = $timeout(function() {
+                        watchTimeout = null;
+                        stopWatch();
+                        var explanation;
+                        if (best) {
+                            explanation = 'Best accuracy ' + Math.round(best.accuracy) + 'm, required ' + minAccuracy + 'm';
+                        }
+                        emDialogs.error('Location not accurate enough', explanation);
+                    }, timeout);
+                };
+
+                // Cancel the capture
+                $scope.cancelCapture = stopWatch;
+
+                // Remove the point
+                $scope.clearPosition = function() {
+                    stopWatch();
+                    point.lat = point.lon = point.alt = point.accuracy = null;
+                    point.adjusted = false;
+                    setChanged();
+                    updateMap();
+                };
+
+                // Pin adjusted by the user
+                $scope.onMovePin = function(lat, lon) {
+                    $scope.$apply(function() {
+                        point.lat = round(lat);
+                        point.lon = round(lon);
+                        point.adjusted = true;
+                        setChanged();
+                    });
+                };
+
+                // Watch the main model (=the location_id field) for
+                // updates from the controller
+                $scope.$watch(attr.ngModel, function(newVal) {
+                    if (!deferred && newVal != locationID) {
+                        if (newVal && !isNaN(newVal - 0)) {
+                            // An existing location to populate the widget
+                            locationID = newVal;
+                            loadLocation(newVal).then(function(data) {
+                                if (data) {
+                                    angular.extend(point, data);
+                                    updateMap(true);
+                                } else {
+                                    locationID = null;
+                                }
+                            });
+                        }
+                    }
+                });
+
+                // Upon FormSubmission, create or update the location
+                $scope.$on('FormSubmission', function() {
+                    stopWatch();
+                    if (deferred) {
+                        if (!locationID && (point.lat === null || point.lon === null)) {
+                            // Nothing to store
+                            deferred.resolve(null);
+                        } else {
+                            deferred.resolve(createOrUpdateLocation(locationID, point));
+                        }
+                    }
+                });
+
+                // Stop watching when the form is closed
+                $scope.$on('$destroy', stopWatch);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Widget renderer
+             *
+             * @param {object} $scope - reference to the current scope
+             * @param {DOMNode} elem - the angular-enhanced DOM node for
+             *                         the element applying the directive
+             * @param {object} attr - object containing the attributes of
+             *                        the element
+             */
+            var renderWidget = function($scope, elem, attr) {
+
+                // Local scope
+                $scope.point = {
+                    lat: null,
+                    lon: null,
+                    alt: null,
+                    accuracy: null,
+                    adjusted: false
+                };
+                $scope.gps = {
+                    locating: false,
+                    accuracy: null
+                };
+                $scope.pointWidget = {
+                    disabled: !!attr.disabled
+                };
+
+                // Create the label
+                var label = angular.element('<span>')
+                                   .addClass('input-label')
+                                   .html(attr.label || '');
+
+                // Coordinates and accuracy
+                var details = angular.element('<div class="point-widget-details">')
+                                     .append(angular.element('<p>')
+                                                    .attr('ng-show', 'point.lat !== null')
+                                                    .text('{{point.lat}}, {{point.lon}}'))
+                                     .append(angular.element('<p>')
+                                                    .attr('ng-show', 'point.lat !== null && point.alt !== null')
+                                                    .text('Altitude: {{point.alt}}m'))
+                                     .append(angular.element('<p>')
+                                                    .attr('ng-show', 'point.lat !== null && point.accuracy !== null')
+                                                    .text('Accuracy: {{point.accuracy}}m'))
+                                     .append(angular.element('<p>')
+                                                    .attr('ng-show', 'point.adjusted')
+                                                    .text('(adjusted on map)'))
+                                     .append(angular.element('<p class="empty">')
+                                                    .attr('ng-show', 'point.lat === null && !gps.locating')
+                                                    .text('No location'))
+                                     .append(angular.element('<p class="locating">')
+                                                    .attr('ng-show', 'gps.locating')
+                                                    .text('Locating... {{gps.accuracy !== null ? "(accuracy " + gps.accuracy + "m, required " + pointWidget.minAccuracy + "m)" : ""}}'));
+
+                // Buttons
+                var buttons = angular.element('<div class="point-widget-controls buttons">')
+                                     .attr('ng-if', '!pointWidget.disabled')
+                                     .append(angular.element('<button type="button">')
+                                                    .addClass('button button-small button-positive icon-left ion-pinpoint')
+                                                    .attr('ng-click', 'capturePosition()')
+                                                    .attr('ng-hide', 'gps.locating')
+                                                    .text('Capture'))
+                                     .append(angular.element('<button type="button">')
+                                                    .addClass('button button-small button-stable')
+                                                    .attr('ng-click', 'cancelCapture()')
+                                                    .attr('ng-show', 'gps.locating')
+                                                    .text('Cancel'))
+                                     .append(angular.element('<button type="button">')
+                                                    .addClass('button button-small button-assertive icon ion-trash-a')
+                                                    .attr('ng-click', 'clearPosition()')
+                                                    .attr('ng-show', 'point.lat !== null && !gps.locating'));
+
+                // Build the widget
+                var widget = angular.element('<div>')
+                                    .addClass('item item-stacked-label point-widget')
+                                    .append(label)
+                                    .append(details)
+                                    .append(buttons);
+
+                // Map
+                var mapContainer;
+                if (typeof ol != 'undefined' && attr.map != 'false') {
+                    mapContainer = angular.element('<div class="point-widget-map">')
+                                          .attr('ng-show', 'point.lat !== null');
+                    widget.append(mapContainer);
+                }
+
+                // Widget attributes
+                copyAttr(attr, widget, [
+                    'ngShow'
+                ]);
+
+                // Compile the widget against the scope, then
+                // render it in place of the directive
+                var compiled = $compile(widget)($scope);
+                elem.replaceWith(compiled);
+
+                var map;
+                if (mapContainer) {
+                    map = renderMap($scope, mapContainer[0], function(lat, lon) {
+                        $scope.onMovePin(lat, lon);
+                    });
+                    if ($scope.pointWidget.disabled) {
+                        map.translate.setActive(false);
+                    }
+                }
+
+                // Apply widget logic
+                applyWidgetLogic($scope, attr, map);
+            };
+
+            return {
+                link: renderWidget,
+                scope: true
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Photo widget (directive)
@@ -952,6 +1496,25 @@
                         }
                         listItem = widget;
                         break;
+                    case 'options':
+                        widget = angular.element('<select>')
+                                        .attr('ng-model', scopeName);
+                        (setting.options || []).forEach(function(option) {
+                            widget.append(angular.element('<option>')
+                                                 .attr('value', option[0])
+                                                 .attr('translate', option[1]));
+                        });
+                        if (!writable) {
+                            widget.attr('ng-disabled', 'true');
+                        }
+                        if (scope.update !== undefined) {
+                            widget.attr('ng-change', 'update()');
+                        }
+                        listItem = angular.element('<label class="item item-input item-select">')
+                                          .append(angular.element('<div class="input-label">')
+                                                         .append(label))
+                                          .append(widget);
+                        break;
                     default:
                         break;
                 }
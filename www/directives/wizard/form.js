@@ -127,6 +127,11 @@
                                 formRow.append(instruction);
                             }
                             break;
+                        case 'repeat':
+                            formRow = angular.element('<em-form-repeat>')
+                                             .attr('formname', formName)
+                                             .attr('element', index);
+                            break;
                         default:
                             break;
                     }
@@ -170,8 +175,8 @@
      *   - a form row with label and input widget etc.
      */
     EdenMobile.directive('emFormRow', [
-        '$compile', 'emFormStyle', 'emFormWizard', 'emValidate',
-        function($compile, emFormStyle, emFormWizard, emValidate) {
+        '$compile', 'emCalculate', 'emFormStyle', 'emFormWizard', 'emValidate',
+        function($compile, emCalculate, emFormStyle, emFormWizard, emValidate) {
 
             var renderFormRow = function($scope, elem, attr) {
 
@@ -194,6 +199,11 @@
                     widget = emFormWizard.getWidget(field, $scope.currentLanguage)
                                          .attr('ng-model', prefix + '.' + fieldName);
 
+                // Calculated fields are read-only
+                if (emCalculate.getCalculation(field)) {
+                    widget.attr('disabled', 'disabled');
+                }
+
                 // Add validator directives
                 // - widgets must apply those to the actual inputs
                 var validate = emValidate.getDirectives(field),
@@ -229,6 +239,25 @@
                     $scope.formStatus.hasRequired = true;
                 }
 
+                // Server error (if the record has been rejected)
+                var serverError = 'rejection.fields["' + fieldName + '"]',
+                    errorContainer = angular.element('<div class="errors server-error">')
+                                            .attr('ng-if', serverError),
+                    errorMsg = angular.element('<span class="error">')
+                                      .text('{{' + serverError + '}}');
+                formRow.append(errorContainer.append(errorMsg));
+
+                // Errors from cross-field validation (master record only)
+                if (prefix == 'form') {
+                    var validationErrors = 'validationErrors["' + fieldName + '"]',
+                        validationContainer = angular.element('<div class="errors">')
+                                                     .attr('ng-if', validationErrors),
+                        validationMsg = angular.element('<span class="error">')
+                                               .attr('ng-repeat', 'message in ' + validationErrors)
+                                               .text('{{message}}');
+                    formRow.append(validationContainer.append(validationMsg));
+                }
+
                 // Display logic and required
                 // - skip display logic if field is marked as required
                 var fieldDescription = field._description;
@@ -257,6 +286,267 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Directive for <em-form-repeat>:
+     *   - a repeat group (roster), i.e. multiple component records
+     *     edited inline in a wizard section
+     *   - rows are kept in $scope.rosters[alias] = {rows: [], removed: []}
+     *     (provided by the wizard controller), and stored upon submit
+     */
+    EdenMobile.directive('emFormRepeat', [
+        '$compile', 'emDialogs', 'emDisplayLogic', 'emFormWizard',
+        function($compile, emDialogs, emDisplayLogic, emFormWizard) {
+
+            var renderRepeat = function($scope, elem, attr) {
+
+                var resource = $scope.resource,
+                    formElement = $scope.sectionConfig[attr.element];
+                if (!resource || !formElement) {
+                    return;
+                }
+
+                var component = emFormWizard.getRepeatComponent(resource, formElement);
+                if (!component) {
+                    return;
+                }
+
+                var alias = formElement.component,
+                    formName = attr.formname || 'wizard',
+                    elements = emFormWizard.getRepeatElements(component, formElement),
+                    language = $scope.currentLanguage;
+
+                // Get the roster
+                var rosters = $scope.rosters,
+                    roster = rosters[alias];
+                if (!roster) {
+                    roster = rosters[alias] = {rows: [], removed: []};
+                }
+
+                // Labels
+                var labels = getTranslation(formElement, {
+                    label: formElement.label || component.getLabel(true),
+                    rowLabel: formElement.rowLabel || component.getLabel()
+                }, language);
+
+                // Min/max number of rows
+                var min = formElement.min - 0 || 0,
+                    max = formElement.max - 0 || 0;
+
+                // Local scope
+                var repeat = $scope.repeat = {
+                    component: component,
+                    roster: roster,
+                    rowLabel: labels.rowLabel,
+                    count: roster.rows.length,
+                    min: min,
+                    max: max
+                };
+
+                // Display logic for rows
+                repeat.rowLogic = function(row) {
+                    var displayLogic = {};
+                    elements.forEach(function(element, index) {
+                        var displayRule = element.displayLogic;
+                        if (displayRule) {
+                            displayLogic['dl' + index] = new emDisplayLogic(row,
+                                                                            element.field,
+                                                                            displayRule,
+                                                                            $scope.form);
+                        }
+                    });
+                    return displayLogic;
+                };
+
+                // Add a row
+                $scope.addRow = function() {
+                    if (max && roster.rows.length >= max) {
+                        return;
+                    }
+                    roster.rows.push(component.addDefaults({}, true, false));
+                };
+
+                // Remove a row
+                $scope.removeRow = function(index) {
+                    emDialogs.confirmAction(
+                        'Remove ' + labels.rowLabel,
+                        'Are you sure you want to remove this entry?',
+                        function() {
+                            var row = roster.rows[index];
+                            if (row && row.id) {
+                                roster.removed.push(row.id);
+                            }
+                            roster.rows.splice(index, 1);
+                        });
+                };
+
+                // Keep the row count for validation
+                $scope.$watch(function() {
+                    return roster.rows.length;
+                }, function(count) {
+                    repeat.count = count;
+                });
+
+                // Container
+                var container = angular.element('<div class="card repeat-group">'),
+                    header = angular.element('<div class="item item-divider wizard-label">')
+                                    .text(labels.label);
+                container.append(header);
+
+                // Hidden input to validate the number of rows
+                var countInputName = 'repeat_' + alias,
+                    countInput = angular.element('<input type="hidden">')
+                                        .attr('name', countInputName)
+                                        .attr('ng-model', 'repeat.count');
+                container.append(countInput);
+
+                // Rows
+                var row = angular.element('<div class="repeat-row">')
+                                 .attr('ng-repeat', 'row in repeat.roster.rows')
+                                 .attr('ng-form', 'rowForm')
+                                 .attr('em-repeat-row', formName),
+                    rowHeader = angular.element('<div class="item item-button-right repeat-row-header">')
+                                       .text('{{repeat.rowLabel}} {{$index + 1}}')
+                                       .append(angular.element('<button type="button">')
+                                                      .addClass('button button-clear button-assertive icon ion-trash-a')
+                                                      .attr('ng-click', 'removeRow($index)'));
+                row.append(rowHeader);
+
+                elements.forEach(function(element, index) {
+
+                    var formRow;
+                    switch(element.type) {
+                        case 'input':
+                            formRow = angular.element('<em-form-row>')
+                                             .attr('formname', 'rowForm')
+                                             .attr('prefix', 'row')
+                                             .attr('field', element.field);
+                            break;
+                        case 'instructions':
+                            formRow = angular.element('<em-instructions>');
+                            var instructions = getTranslation(element, {
+                                do: element.do,
+                                say: element.say
+                            }, language);
+                            if (instructions.do) {
+                                formRow.append(angular.element('<do>').text(instructions.do));
+                            }
+                            if (instructions.say) {
+                                formRow.append(angular.element('<say>').text(instructions.say));
+                            }
+                            break;
+                        default:
+                            break;
+                    }
+                    if (!formRow) {
+                        return;
+                    }
+                    if (element.displayLogic) {
+                        formRow.attr('display-logic', 'dl' + index);
+                    }
+                    row.append(formRow);
+                });
+                container.append(row);
+
+                // Add-button
+                var addButton = angular.element('<button type="button">')
+                                       .addClass('button button-block button-positive icon-left ion-plus')
+                                       .attr('ng-click', 'addRow()')
+                                       .attr('ng-hide', 'repeat.max && repeat.count >= repeat.max')
+                                       .text('Add ' + labels.rowLabel);
+                container.append(angular.element('<div class="padding">').append(addButton));
+
+                // Errors
+                var countError = formName + '.' + countInputName + '.$error',
+                    errors = angular.element('<div class="errors">')
+                                    .attr('ng-show', formName + '.$submitted');
+                if (min) {
+                    errors.append(angular.element('<span class="error">')
+                                         .attr('ng-show', countError + '.minRows')
+                                         .text('At least ' + min + ' required'));
+                }
+                if (max) {
+                    errors.append(angular.element('<span class="error">')
+                                         .attr('ng-show', countError + '.maxRows')
+                                         .text('At most ' + max + ' allowed'));
+                }
+                container.append(errors);
+
+                // Display logic for the repeat group as a whole
+                var dlID = attr.displayLogic;
+                if (dlID) {
+                    container.attr('ng-show', 'displayLogic["' + dlID + '"].show()');
+                }
+
+                // Add to DOM and compile it against scope
+                elem.replaceWith(container);
+                $compile(container)($scope);
+
+                // Validators for the number of rows
+                // - only applied while the repeat group is visible
+                var ngModel = countInput.controller('ngModel');
+                if (ngModel) {
+                    var visible = function() {
+                        return !dlID || $scope.displayLogic[dlID].show();
+                    };
+                    ngModel.$validators.minRows = function(count) {
+                        return !min || !visible() || count >= min;
+                    };
+                    ngModel.$validators.maxRows = function(count) {
+                        return !max || !visible() || count <= max;
+                    };
+                    ngModel.$validate();
+
+                    // Re-validate when visibility changes
+                    if (dlID) {
+                        $scope.$watch(visible, function() {
+                            ngModel.$validate();
+                        });
+                    }
+                }
+            };
+
+            return {
+                link: renderRepeat,
+                scope: true
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Directive for rows in repeat groups: em-repeat-row="formName"
+     *   - sets up the row scope for form rows and widgets
+     *   - marks the row form as submitted with the parent form
+     */
+    EdenMobile.directive('emRepeatRow', [
+        function() {
+
+            return {
+                require: 'form',
+                link: {
+                    pre: function($scope) {
+                        var repeat = $scope.repeat;
+
+                        // Form rows and widgets look up fields in $scope.resource
+                        $scope.resource = repeat.component;
+                        $scope.displayLogic = repeat.rowLogic($scope.row);
+
+                        // Server errors apply to the master record only
+                        $scope.rejection = null;
+                    },
+                    post: function($scope, elem, attr, rowForm) {
+                        $scope.$watch(attr.emRepeatRow + '.$submitted', function(submitted) {
+                            if (submitted) {
+                                rowForm.$setSubmitted();
+                            }
+                        });
+                    }
+                }
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Directive for <em-instructions>
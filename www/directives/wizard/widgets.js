@@ -178,7 +178,8 @@
                     'ngRequired',
                     'ngPattern',
                     'min',
-                    'max'
+                    'max',
+                    'inSet'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -217,7 +218,11 @@
                     'ngModel',
                     'disabled',
                     'placeholder',
-                    'ngRequired'
+                    'ngRequired',
+                    'ngPattern',
+                    'ngMinlength',
+                    'ngMaxlength',
+                    'inSet'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -255,7 +260,11 @@
                     'ngModel',
                     'disabled',
                     'placeholder',
-                    'ngRequired'
+                    'ngRequired',
+                    'ngPattern',
+                    'ngMinlength',
+                    'ngMaxlength',
+                    'inSet'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -742,6 +751,326 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Photo widget <em-wizard-photo-widget>
+     * - default widget for 'upload' fields
+     * - take a picture with the camera or pick it from the gallery,
+     *   preview, replace and remove it
+     * - with the multiple-option, the field holds the first picture and
+     *   the widget stores all further pictures as rows of a component
+     *   (see emFormWizard.getImageComponent), otherwise one picture
+     *
+     * @param {boolean} multiple - allow multiple pictures
+     * @param {integer} max-images - maximum number of pictures with the
+     *                               multiple-option (default: unlimited)
+     * @param {integer} max-resolution - maximum width/height of pictures in
+     *                                   pixels (default 1280, 0 = original)
+     * @param {integer} quality - JPEG compression quality 0..100 (default 50)
+     */
+    EdenMobile.directive('emWizardPhotoWidget', [
+        '$compile', '$ionicActionSheet', 'emDialogs', 'emFiles', 'emFormWizard',
+        function($compile, $ionicActionSheet, emDialogs, emFiles, emFormWizard) {
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the camera options for the widget
+             *
+             * @param {object} attr - the widget attributes
+             * @param {string} source - the picture source camera|gallery
+             *
+             * @returns {object} - the camera options
+             */
+            var cameraOptions = function(attr, source) {
+
+                var options = {
+                    correctOrientation: true,
+                    quality: 50
+                };
+
+                var maxResolution = attr.maxResolution;
+                if (maxResolution === undefined || isNaN(maxResolution - 0)) {
+                    maxResolution = 1280;
+                } else {
+                    maxResolution -= 0;
+                }
+                if (maxResolution > 0) {
+                    options.targetWidth = maxResolution;
+                    options.targetHeight = maxResolution;
+                }
+
+                var quality = attr.quality - 0;
+                if (quality && !isNaN(quality)) {
+                    options.quality = Math.min(Math.max(quality, 1), 100);
+                }
+
+                if (typeof Camera != 'undefined') {
+                    options.encodingType = Camera.EncodingType.JPEG;
+                    options.destinationType = Camera.DestinationType.FILE_URI;
+                    if (source == 'gallery') {
+                        options.sourceType = Camera.PictureSourceType.PHOTOLIBRARY;
+                    } else {
+                        options.sourceType = Camera.PictureSourceType.CAMERA;
+                    }
+                }
+
+                return options;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Link a DOM element to this directive
+             *
+             * @param {object} $scope - the local scope of the DOM element
+             * @param {DOMNode} elem - the element
+             * @param {object} attr - the element's HTML attributes
+             * @param {ngModelController} ngModel - the model controller
+             */
+            var link = function($scope, elem, attr, ngModel) {
+
+                var resource = $scope.resource,
+                    resourceName = resource && resource.name,
+                    fieldName = attr.field;
+
+                // Component to store further pictures
+                var imageComponent,
+                    maxImages = 1;
+                if (attr.multiple && resource) {
+                    imageComponent = emFormWizard.getImageComponent(resource, resource.fields[fieldName]);
+                    if (imageComponent) {
+                        maxImages = attr.maxImages - 0 || 0;
+                    }
+                }
+
+                // Local scope
+                $scope.images = [];
+                $scope.photoWidget = {
+                    disabled: !!attr.disabled
+                };
+
+                // Get the roster holding the further pictures
+                var getRoster = function() {
+
+                    var rosters = $scope.rosters;
+                    if (!imageComponent || !rosters) {
+                        return;
+                    }
+                    var alias = imageComponent.alias,
+                        roster = rosters[alias];
+                    if (!roster) {
+                        roster = rosters[alias] = {rows: [], removed: []};
+                    }
+                    return roster;
+                };
+
+                // Update the local scope from model and roster
+                var updateImages = function() {
+
+                    var images = [],
+                        value = ngModel.$viewValue;
+                    if (value) {
+                        images.push({uri: value});
+                    }
+
+                    var roster = getRoster();
+                    if (roster) {
+                        var imageField = imageComponent.fieldName;
+                        roster.rows.forEach(function(row) {
+                            var fileURI = row[imageField];
+                            if (fileURI) {
+                                images.push({uri: fileURI, row: row});
+                            }
+                        });
+                    }
+                    $scope.images = images;
+                };
+
+                // Update the model
+                var updateModel = function(value) {
+
+                    ngModel.$setViewValue(value || null);
+                    ngModel.$setTouched();
+                };
+
+                // Add a picture, or replace a current picture
+                var addPicture = function(fileURI, image) {
+
+                    var imageField = imageComponent && imageComponent.fieldName,
+                        value = ngModel.$viewValue;
+
+                    if (image) {
+                        // Old file is now orphaned
+                        $scope.orphanedFiles.push(image.uri);
+                        if (image.row) {
+                            image.row[imageField] = fileURI;
+                        } else {
+                            value = fileURI;
+                        }
+                    } else if (!value || !imageComponent) {
+                        if (value) {
+                            $scope.orphanedFiles.push(value);
+                        }
+                        value = fileURI;
+                    } else {
+                        var row = {};
+                        row[imageField] = fileURI;
+                        getRoster().rows.push(row);
+                    }
+
+                    // New file is still pending until record gets saved
+                    $scope.pendingFiles.push(fileURI);
+                    updateModel(value);
+                    updateImages();
+                };
+
+                // Take a picture, or pick one from the gallery
+                $scope.getPicture = function(source, image) {
+
+                    if (!navigator.camera) {
+                        emDialogs.error('Camera not available');
+                        return;
+                    }
+                    navigator.camera.getPicture(
+                        function(imageURI) {
+                            emFiles.store(imageURI, function(newURI) {
+                                $scope.$apply(function() {
+                                    addPicture(newURI, image);
+                                });
+                            }, resourceName, fieldName, source == 'gallery');
+                        },
+                        function(error) {
+                            // User cancelled, or camera failure
+                            console.log('getPicture: ' + error);
+                        },
+                        cameraOptions(attr, source)
+                    );
+                };
+
+                // Replace a picture (choose source)
+                $scope.replacePicture = function(index) {
+
+                    var image = $scope.images[index];
+                    if (!image) {
+                        return;
+                    }
+
+                    $ionicActionSheet.show({
+                        buttons: [
+                            {text: 'Take Photo'},
+                            {text: 'Choose from Gallery'}
+                        ],
+                        titleText: 'Replace Picture',
+                        cancelText: 'Cancel',
+                        buttonClicked: function(button) {
+                            $scope.getPicture(button ? 'gallery' : 'camera', image);
+                            return true;
+                        }
+                    });
+                };
+
+                // Remove a picture
+                $scope.removePicture = function(index) {
+
+                    var image = $scope.images[index];
+                    if (!image) {
+                        return;
+                    }
+                    emDialogs.confirmAction(
+                        'Remove Picture',
+                        'Are you sure you want to delete this picture?',
+                        function() {
+                            var row = image.row;
+                            if (row) {
+                                var roster = getRoster();
+                                roster.rows.splice(roster.rows.indexOf(row), 1);
+                                if (row.id) {
+                                    // File is deleted with the row
+                                    roster.removed.push(row.id);
+                                } else {
+                                    $scope.orphanedFiles.push(image.uri);
+                                }
+                                updateModel(ngModel.$viewValue);
+                            } else {
+                                // Mark file as orphaned
+                                $scope.orphanedFiles.push(image.uri);
+                                updateModel(null);
+                            }
+                            updateImages();
+                        });
+                };
+
+                // View the full-resolution picture
+                $scope.viewPicture = function(index) {
+
+                    var image = $scope.images[index];
+                    if (image) {
+                        emDialogs.viewPicture(image.uri);
+                    }
+                };
+
+                // Whether a picture can be added
+                $scope.canAdd = function() {
+                    var numImages = $scope.images.length;
+                    return !$scope.photoWidget.disabled && (!maxImages || numImages < maxImages);
+                };
+
+                // Build the widget
+                var previews = angular.element('<div class="photo-widget-image">')
+                                      .attr('ng-repeat', 'image in images track by $index'),
+                    preview = angular.element('<img class="photo-widget-preview">')
+                                     .attr('ng-src', '{{image.uri}}')
+                                     .attr('alt', 'File not found')
+                                     .attr('ng-click', 'viewPicture($index)'),
+                    imageButtons = angular.element('<div class="photo-widget-controls buttons">')
+                                          .attr('ng-if', '!photoWidget.disabled')
+                                          .append(angular.element('<button type="button">')
+                                                         .addClass('button button-small button-stable icon ion-loop')
+                                                         .attr('ng-click', 'replacePicture($index)'))
+                                          .append(angular.element('<button type="button">')
+                                                         .addClass('button button-small button-assertive icon ion-trash-a')
+                                                         .attr('ng-click', 'removePicture($index)'));
+                previews.append(preview).append(imageButtons);
+
+                var empty = angular.element('<span class="empty">')
+                                   .attr('ng-show', '!images.length')
+                                   .text('No Picture');
+
+                var addButtons = angular.element('<div class="photo-widget-controls buttons">')
+                                        .attr('ng-if', 'canAdd()')
+                                        .append(angular.element('<button type="button">')
+                                                       .addClass('button button-small button-positive icon-left ion-camera')
+                                                       .attr('ng-click', 'getPicture("camera")')
+                                                       .text('Camera'))
+                                        .append(angular.element('<button type="button">')
+                                                       .addClass('button button-small button-positive icon-left ion-images')
+                                                       .attr('ng-click', 'getPicture("gallery")')
+                                                       .text('Gallery'));
+
+                var widget = angular.element('<div class="photo-widget">')
+                                    .append(previews)
+                                    .append(empty)
+                                    .append(addButtons);
+
+                elem.append(widget);
+                $compile(widget)($scope);
+
+                // Render current field value (e.g. update or returning to section)
+                ngModel.$render = function() {
+
+                    updateImages();
+                };
+            };
+
+            // ----------------------------------------------------------------
+            // Return the DDO
+            return {
+                link: link,
+                require: 'ngModel',
+                scope: true
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Image Map widget <em-wizard-image-map>
@@ -72,6 +72,8 @@
                     }
                     sessionTimer = $timeout(function() {
                         Keyboard.hide();
+                        // Allow open forms to save drafts
+                        $rootScope.$broadcast('emSessionSuspended');
                         suspendSession();
                         sessionPrompt();
                     }, sessionTimeout * 60000);
@@ -0,0 +1,652 @@
+/**
+ * Sahana Eden Mobile - Offline Base Maps
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emBaseMaps - Service to manage offline base maps (tile packages), and
+ *              to provide base map layers for OpenLayers maps
+ *
+ * Supported tile package formats:
+ *
+ *  - MBTiles: SQLite database file with the extension .mbtiles
+ *             (raster tiles only, i.e. png or jpg)
+ *  - XYZ: directory with tiles as {z}/{x}/{y}.png (or .jpg), which must
+ *         contain a metadata.json file (as produced by e.g. mb-util)
+ *
+ * Tile packages are imported from the device's file system (e.g. the
+ * Download folder) into the app's basemaps directory; the active base
+ * map is stored in the map.baseMap setting. Without an active offline
+ * base map, OpenStreetMap is used (requires a network connection).
+ *
+ * @class emBaseMaps
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emBaseMaps', [
+    '$q', 'emConfig', 'emFiles',
+    function ($q, emConfig, emFiles) {
+
+        "use strict";
+
+        // Sub-directory for installed base maps
+        var baseMapDirectory = 'basemaps';
+
+        // Open MBTiles databases, by file name
+        var connections = {};
+
+        // --------------------------------------------------------------------
+        /**
+         * Determine the format of a tile package from its directory entry
+         *
+         * @param {object} entry - the directory entry {name, uri, isDirectory}
+         *
+         * @returns {string} - the format 'mbtiles'|'xyz', or undefined if
+         *                     the entry is not a tile package
+         */
+        var packageFormat = function(entry) {
+
+            var name = entry.name.toLowerCase();
+
+            if (entry.isDirectory) {
+                return 'xyz';
+            } else if (name.slice(-8) == '.mbtiles') {
+                return 'mbtiles';
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to read a JSON file
+         *
+         * @param {string} fileURI - the file URI
+         *
+         * @returns {promise} - a promise that resolves into the parsed
+         *                      JSON, or is rejected if the file is not
+         *                      found or not valid JSON
+         */
+        var readJSON = function(fileURI) {
+
+            var deferred = $q.defer();
+
+            window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
+                fileEntry.file(function(file) {
+                    var reader = new FileReader();
+                    reader.onloadend = function() {
+                        try {
+                            deferred.resolve(JSON.parse(this.result));
+                        } catch(e) {
+                            deferred.reject('invalid metadata');
+                        }
+                    };
+                    reader.readAsText(file);
+                }, deferred.reject);
+            }, deferred.reject);
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the SQLite plugin options to open an installed MBTiles
+         * file where it is, rather than in the plugin's database folder:
+         *
+         *  - iOS: database names are relative to the location, so use
+         *         the path relative to the Library folder (installed base
+         *         maps are in Library/NoCloud)
+         *  - Android: the database name can be an absolute path
+         *
+         * @param {string} fileURI - the file URI
+         *
+         * @returns {object} - the options for sqlitePlugin.openDatabase
+         */
+        var databaseOptions = function(fileURI) {
+
+            var path = decodeURIComponent(fileURI.replace(/^file:\/\//, '')),
+                file = window.cordova && cordova.file;
+
+            if (file && file.documentsDirectory) {
+                // iOS
+                var library = path.indexOf('/Library/');
+                if (library != -1) {
+                    return {
+                        name: path.slice(library + 9),
+                        iosDatabaseLocation: 'Library'
+                    };
+                }
+            }
+            return {
+                name: path,
+                location: 'default'
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Open an MBTiles database
+         *
+         * @param {object} baseMap - the base map
+         *
+         * @returns {promise} - a promise that resolves into the
+         *                      database connection
+         */
+        var openMBTiles = function(baseMap) {
+
+            var fileName = baseMap.name,
+                connection = connections[fileName];
+            if (connection) {
+                return connection;
+            }
+
+            var deferred = $q.defer();
+
+            if (!window.sqlitePlugin) {
+                deferred.reject('SQLite plugin not available');
+            } else {
+                window.sqlitePlugin.openDatabase(databaseOptions(baseMap.uri),
+                                                 deferred.resolve,
+                                                 deferred.reject);
+            }
+
+            connection = deferred.promise;
+            connections[fileName] = connection;
+
+            // Allow retry after failure
+            connection.catch(function() {
+                delete connections[fileName];
+            });
+
+            return connection;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Close an MBTiles database (e.g. before removing it)
+         *
+         * @param {string} fileName - the file name
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      database has been closed
+         */
+        var closeMBTiles = function(fileName) {
+
+            var connection = connections[fileName];
+            if (!connection) {
+                return $q.resolve();
+            }
+            delete connections[fileName];
+
+            return connection.then(function(db) {
+                var deferred = $q.defer();
+                db.close(deferred.resolve, deferred.resolve);
+                return deferred.promise;
+            }, function() {
+                // Never opened
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read the metadata of a tile package
+         *
+         * @param {object} baseMap - the base map {name, uri, format}
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      with the metadata (name, format, bounds,
+         *                      minzoom, maxzoom...)
+         */
+        var readMetadata = function(baseMap) {
+
+            var metadata;
+
+            if (baseMap.format == 'mbtiles') {
+
+                metadata = openMBTiles(baseMap).then(function(db) {
+
+                    var deferred = $q.defer();
+                    db.executeSql('SELECT name, value FROM metadata', [],
+                        function(result) {
+                            var rows = result.rows,
+                                data = {};
+                            for (var i = 0, len = rows.length; i < len; i++) {
+                                var item = rows.item(i);
+                                data[item.name] = item.value;
+                            }
+                            deferred.resolve(data);
+                        },
+                        deferred.reject);
+                    return deferred.promise;
+                });
+
+            } else {
+                metadata = readJSON(baseMap.uri + 'metadata.json');
+            }
+
+            return metadata.then(function(data) {
+
+                // Normalize bounds (string "west,south,east,north" in MBTiles)
+                var bounds = data.bounds;
+                if (typeof bounds == 'string') {
+                    bounds = bounds.split(',').map(function(value) {
+                        return parseFloat(value);
+                    });
+                }
+                if (!bounds || bounds.length != 4 || bounds.some(isNaN)) {
+                    bounds = null;
+                }
+
+                var minZoom = parseInt(data.minzoom),
+                    maxZoom = parseInt(data.maxzoom);
+
+                return {
+                    title: data.name || baseMap.name,
+                    description: data.description || null,
+                    format: (data.format || 'png').toLowerCase(),
+                    bounds: bounds,
+                    minZoom: isNaN(minZoom) ? 0 : minZoom,
+                    maxZoom: isNaN(maxZoom) ? 18 : maxZoom
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * List all installed base maps
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      base maps {name, uri, format, metadata}
+         */
+        var installed = function() {
+
+            var deferred = $q.defer();
+
+            emFiles.getDirectoryURI(baseMapDirectory, function(directoryURI) {
+                emFiles.listDirectory(directoryURI, function(entries) {
+
+                    var baseMaps = [];
+                    entries.forEach(function(entry) {
+                        var format = packageFormat(entry);
+                        if (format) {
+                            baseMaps.push({
+                                name: entry.name,
+                                uri: entry.uri,
+                                format: format
+                            });
+                        }
+                    });
+
+                    // Read the metadata, skip invalid packages
+                    $q.all(baseMaps.map(function(baseMap) {
+                        return readMetadata(baseMap).then(function(metadata) {
+                            baseMap.metadata = metadata;
+                            return baseMap;
+                        }, function() {
+                            return null;
+                        });
+                    })).then(function(results) {
+                        deferred.resolve(results.filter(function(baseMap) {
+                            return !!baseMap;
+                        }));
+                    });
+
+                }, deferred.reject);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * List all tile packages available for import
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      tile packages {name, uri, format}
+         */
+        var available = function() {
+
+            var directories = emFiles.importDirectories();
+
+            return $q.all(directories.map(function(directoryURI) {
+
+                var deferred = $q.defer();
+
+                emFiles.listDirectory(directoryURI, function(entries) {
+
+                    var candidates = [];
+                    entries.forEach(function(entry) {
+                        var format = packageFormat(entry);
+                        if (format) {
+                            candidates.push({
+                                name: entry.name,
+                                uri: entry.uri,
+                                format: format
+                            });
+                        }
+                    });
+
+                    // Verify XYZ packages (must have metadata.json)
+                    $q.all(candidates.map(function(candidate) {
+                        if (candidate.format != 'xyz') {
+                            return candidate;
+                        }
+                        return readJSON(candidate.uri + 'metadata.json').then(function() {
+                            return candidate;
+                        }, function() {
+                            return null;
+                        });
+                    })).then(deferred.resolve);
+
+                }, function() {
+                    // Directory not accessible => skip
+                    deferred.resolve([]);
+                });
+
+                return deferred.promise;
+
+            })).then(function(results) {
+
+                var packages = [];
+                results.forEach(function(candidates) {
+                    candidates.forEach(function(candidate) {
+                        if (candidate) {
+                            packages.push(candidate);
+                        }
+                    });
+                });
+                return packages;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Import a tile package
+         *
+         * @param {object} tilePackage - the tile package {name, uri, format}
+         *                               (as returned from available())
+         *
+         * @returns {promise} - a promise that resolves into the installed
+         *                      base map {name, uri, format, metadata}
+         */
+        var importPackage = function(tilePackage) {
+
+            var name = tilePackage.name;
+
+            return closeMBTiles(name).then(function() {
+
+                var deferred = $q.defer();
+                emFiles.importFile(tilePackage.uri, baseMapDirectory, function(uri) {
+                    deferred.resolve(uri);
+                }, deferred.reject);
+                return deferred.promise;
+
+            }).then(function(uri) {
+
+                var baseMap = {
+                    name: name,
+                    uri: uri,
+                    format: tilePackage.format
+                };
+                return readMetadata(baseMap).then(function(metadata) {
+                    baseMap.metadata = metadata;
+                    return baseMap;
+                }, function(error) {
+                    // Invalid package => remove it again
+                    remove(name);
+                    return $q.reject(error || 'invalid tile package');
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the name of the active base map
+         *
+         * @returns {promise} - a promise that resolves into the name of
+         *                      the active base map (or null if none)
+         */
+        var getActive = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                deferred.resolve(settings.get('map.baseMap') || null);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Set the active base map
+         *
+         * @param {string} name - the name of the base map, or null to
+         *                        use the online map
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      setting has been saved
+         */
+        var setActive = function(name) {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                settings.set('map.baseMap', name || '');
+                settings.save(deferred.resolve);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove an installed base map
+         *
+         * @param {string} name - the name of the base map
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      base map has been removed
+         */
+        var remove = function(name) {
+
+            return closeMBTiles(name).then(function() {
+                return getActive();
+            }).then(function(activeName) {
+                if (activeName == name) {
+                    return setActive(null);
+                }
+            }).then(function() {
+
+                var deferred = $q.defer();
+                emFiles.getDirectoryURI(baseMapDirectory, function(directoryURI) {
+                    emFiles.remove(directoryURI + name, deferred.resolve);
+                });
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Load an MBTiles tile into an image tile
+         *
+         * @param {object} baseMap - the base map
+         * @param {ol.ImageTile} tile - the tile
+         */
+        var loadMBTile = function(baseMap, tile) {
+
+            var tileCoord = tile.getTileCoord(),
+                z = tileCoord[0],
+                x = tileCoord[1],
+                // OpenLayers y is -(XYZ y)-1, MBTiles rows are TMS (inverse)
+                y = (1 << z) + tileCoord[2],
+                image = tile.getImage();
+
+            var onError = function() {
+                // Empty tile
+                image.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+            };
+
+            openMBTiles(baseMap).then(function(db) {
+
+                db.executeSql('SELECT hex(tile_data) AS data FROM tiles ' +
+                              'WHERE zoom_level=? AND tile_column=? AND tile_row=?',
+                    [z, x, y],
+                    function(result) {
+
+                        if (!result.rows.length) {
+                            onError();
+                            return;
+                        }
+
+                        // Convert hex into binary
+                        var hex = result.rows.item(0).data,
+                            bytes = new Uint8Array(hex.length / 2);
+                        for (var i = 0, len = bytes.length; i < len; i++) {
+                            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+                        }
+
+                        var format = baseMap.metadata.format,
+                            mimeType = format == 'png' ? 'image/png' : 'image/jpeg',
+                            url = URL.createObjectURL(new Blob([bytes], {type: mimeType}));
+
+                        image.onload = image.onerror = function() {
+                            URL.revokeObjectURL(url);
+                        };
+                        image.src = url;
+                    },
+                    onError);
+
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create an OpenLayers layer for a base map
+         *
+         * @param {object} baseMap - the base map {name, uri, format, metadata},
+         *                           or null for the online map
+         *
+         * @returns {ol.layer.Tile} - the layer
+         */
+        var createLayer = function(baseMap) {
+
+            if (!baseMap) {
+                return new ol.layer.Tile({
+                    source: new ol.source.OSM()
+                });
+            }
+
+            var metadata = baseMap.metadata,
+                sourceOptions = {
+                    minZoom: metadata.minZoom,
+                    maxZoom: metadata.maxZoom,
+                    attributions: metadata.description || undefined
+                };
+
+            if (baseMap.format == 'mbtiles') {
+                // Tile URL is a dummy, tiles are loaded from the database
+                sourceOptions.url = baseMap.name + '/{z}/{x}/{y}';
+                sourceOptions.tileLoadFunction = function(tile) {
+                    loadMBTile(baseMap, tile);
+                };
+            } else {
+                sourceOptions.url = baseMap.uri + '{z}/{x}/{y}.' + metadata.format;
+            }
+
+            var layerOptions = {
+                source: new ol.source.XYZ(sourceOptions)
+            };
+            var bounds = metadata.bounds;
+            if (bounds) {
+                layerOptions.extent = ol.proj.transformExtent(bounds, 'EPSG:4326', 'EPSG:3857');
+            }
+
+            return new ol.layer.Tile(layerOptions);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the layer for the active base map
+         * - falls back to the online map if there is no active base map,
+         *   or if it can not be loaded (unless disabled by settings)
+         *
+         * @returns {promise} - a promise that resolves into an
+         *                      ol.layer.Tile (with an extent if the
+         *                      base map has bounds), or null if no
+         *                      base map is available
+         */
+        var layer = function() {
+
+            var online = true,
+                deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                online = settings.get('map.onlineBaseMap') !== false;
+                deferred.resolve(settings.get('map.baseMap') || null);
+            });
+
+            var onlineLayer = function() {
+                return online ? createLayer(null) : null;
+            };
+
+            return deferred.promise.then(function(activeName) {
+
+                if (!activeName) {
+                    return null;
+                }
+                return installed().then(function(baseMaps) {
+                    var baseMap = null;
+                    baseMaps.forEach(function(item) {
+                        if (item.name == activeName) {
+                            baseMap = item;
+                        }
+                    });
+                    return baseMap;
+                });
+
+            }).then(function(baseMap) {
+
+                return baseMap ? createLayer(baseMap) : onlineLayer();
+
+            }, function(error) {
+
+                console.log('Could not load base map: ' + error);
+                return onlineLayer();
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            available: available,
+            installed: installed,
+            importPackage: importPackage,
+            remove: remove,
+            getActive: getActive,
+            setActive: setActive,
+            layer: layer
+        };
+    }
+]);
+
+// END ========================================================================
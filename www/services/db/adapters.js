@@ -0,0 +1,563 @@
+/**
+ * Sahana Eden Mobile - Database Adapters
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Storage adapters
+    // ========================================================================
+    //
+    // A storage adapter opens a database connection for emDB. It must
+    // implement:
+    //
+    //  - open(options, config, onSuccess, onError)
+    //      => returns the connection object, and calls onSuccess(connection)
+    //         when the connection is ready for use
+    //
+    // The connection object must implement the subset of the WebSQL API
+    // that is used by emDB:
+    //
+    //  - executeSql(sql, params, onSuccess(result), onError(error))
+    //  - transaction(function(tx), onError(error), onSuccess())
+    //      => tx.executeSql(sql, params, onSuccess(tx, result),
+    //                                    onError(tx, error))
+    //      => tx.abort(error)
+    //  - sqlBatch(statements, onSuccess(), onError(error))
+    //
+    // ...and results must provide rows.length, rows.item(index), insertId
+    // and rowsAffected.
+    //
+    var adapters = {},
+        currentAdapter = null,
+        adapterConfig = {};
+
+    // ------------------------------------------------------------------------
+    /**
+     * Cordova SQLite Plugin (cordova-sqlite-storage), the default
+     * adapter on devices
+     */
+    adapters.sqlite = {
+
+        open: function(options, config, onSuccess, onError) {
+
+            if (!window.sqlitePlugin) {
+                onError({message: 'SQLite plugin not available'});
+                return null;
+            }
+            return window.sqlitePlugin.openDatabase(options, onSuccess, onError);
+        }
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * In-memory SQLite database using sql.js, for authoring in a desktop
+     * browser and for running database tests without a device
+     *
+     * - the sql.js module can be passed in as config.SQL (e.g. in NodeJS),
+     *   otherwise the global initSqlJs (sql.js >= 1.0) or SQL (legacy
+     *   asm.js build) will be used
+     * - the app bundles the asm.js build (vendor/sqljs/sql-asm.js), which
+     *   provides initSqlJs and does not need a WASM file; it is loaded on
+     *   demand when this adapter is used (config.script to override the
+     *   script URL)
+     * - config.locateFile is passed on to initSqlJs to find the WASM file
+     *   (only needed when replacing the bundled build by a WASM build)
+     * - config.data (Uint8Array) can be used to load an existing database
+     *   file, otherwise the database starts empty
+     */
+    adapters.sqljs = {
+
+        open: function(options, config, onSuccess, onError) {
+
+            var connection = new SqlJsConnection();
+
+            loadSqlJs(config).then(
+                function(SQL) {
+                    try {
+                        connection._db = new SQL.Database(config.data);
+                    } catch(e) {
+                        onError(sqlJsError(e));
+                        return;
+                    }
+                    onSuccess(connection);
+                },
+                function(error) {
+                    onError(sqlJsError(error));
+                });
+
+            return connection;
+        }
+    };
+
+    // ------------------------------------------------------------------------
+    // Scripts loaded on demand {src: Promise}
+    var scripts = {};
+
+    // ------------------------------------------------------------------------
+    /**
+     * Helper to load a script (once)
+     *
+     * @param {string} src - the script URL
+     *
+     * @returns {Promise} - a Promise that is resolved when the script
+     *                      has been loaded
+     */
+    var loadScript = function(src) {
+
+        var loaded = scripts[src];
+        if (loaded) {
+            return loaded;
+        }
+
+        loaded = new Promise(function(resolve, reject) {
+
+            if (typeof document == 'undefined') {
+                reject('can not load ' + src);
+                return;
+            }
+
+            var script = document.createElement('script');
+            script.type = 'text/javascript';
+            script.src = src;
+            script.onload = function() {
+                resolve();
+            };
+            script.onerror = function() {
+                delete scripts[src];
+                reject('can not load ' + src);
+            };
+            document.head.appendChild(script);
+        });
+
+        scripts[src] = loaded;
+        return loaded;
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Helper to load the sql.js module, loads the bundled sql.js build
+     * if it is not available yet
+     *
+     * @param {object} config - the adapter configuration
+     * @param {boolean} loaded - whether the script has been loaded already
+     *
+     * @returns {Promise} - a Promise that resolves into the sql.js module
+     */
+    var loadSqlJs = function(config, loaded) {
+
+        if (config.SQL) {
+            return Promise.resolve(config.SQL);
+        }
+
+        if (typeof window.initSqlJs == 'function') {
+            var initConfig = {};
+            if (config.locateFile) {
+                initConfig.locateFile = config.locateFile;
+            }
+            return window.initSqlJs(initConfig);
+        }
+
+        if (window.SQL && window.SQL.Database) {
+            return Promise.resolve(window.SQL);
+        }
+
+        if (!loaded) {
+            return loadScript(config.script || 'vendor/sqljs/sql-asm.js').then(function() {
+                return loadSqlJs(config, true);
+            });
+        }
+
+        return Promise.reject('sql.js not available');
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Helper to convert sql.js exceptions into error objects like
+     * those returned from the SQLite plugin
+     *
+     * @param {*} error - the exception (or error message)
+     *
+     * @returns {object} - an object with a message property
+     */
+    var sqlJsError = function(error) {
+
+        var message;
+        if (!error) {
+            message = 'unknown error';
+        } else if (typeof error == 'string') {
+            message = error;
+        } else {
+            message = error.message || JSON.stringify(error);
+        }
+        return {message: message};
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Result set for sql.js queries (emulates the result objects
+     * of the SQLite plugin)
+     *
+     * @param {Array} items - the result rows as objects
+     * @param {integer} insertId - the ID of the last inserted record
+     * @param {integer} rowsAffected - the number of affected rows
+     */
+    function SqlJsResult(items, insertId, rowsAffected) {
+
+        this.rows = {
+            length: items.length,
+            item: function(index) {
+                return items[index];
+            }
+        };
+
+        this.insertId = insertId;
+        this.rowsAffected = rowsAffected || 0;
+    }
+
+    // ------------------------------------------------------------------------
+    /**
+     * Transaction for sql.js connections; statements are queued and
+     * executed in order, including statements added from callbacks
+     *
+     * @param {Array} queue - the statement queue
+     */
+    function SqlJsTransaction(queue) {
+
+        this._queue = queue;
+    }
+
+    // ------------------------------------------------------------------------
+    /**
+     * Add a statement to the transaction
+     *
+     * @param {string} sql - the SQL statement
+     * @param {Array} params - the statement parameters
+     * @param {function} onSuccess - success callback: function(tx, result)
+     * @param {function} onError - error callback: function(tx, error),
+     *                             returning false will continue the
+     *                             transaction despite the error
+     */
+    SqlJsTransaction.prototype.executeSql = function(sql, params, onSuccess, onError) {
+
+        this._queue.push([sql, params, onSuccess, onError]);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Abort the transaction (=roll back all statements)
+     *
+     * @param {*} error - the error (or error message)
+     */
+    SqlJsTransaction.prototype.abort = function(error) {
+
+        throw sqlJsError(error || 'transaction aborted');
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Database connection using sql.js
+     */
+    function SqlJsConnection() {
+
+        // The sql.js Database, set by the adapter when available
+        this._db = null;
+    }
+
+    // ------------------------------------------------------------------------
+    /**
+     * Execute a single SQL statement (synchronously)
+     *
+     * @param {string} sql - the SQL statement
+     * @param {Array} params - the statement parameters
+     *
+     * @returns {SqlJsResult} - the result
+     */
+    SqlJsConnection.prototype._execute = function(sql, params) {
+
+        var db = this._db;
+        if (!db) {
+            throw new Error('database not open');
+        }
+
+        // sql.js only binds numbers, strings, blobs and null
+        var values = (params || []).map(function(value) {
+            if (value === undefined) {
+                return null;
+            } else if (typeof value == 'boolean') {
+                return value ? 1 : 0;
+            }
+            return value;
+        });
+
+        var statement = db.prepare(sql),
+            items = [];
+        try {
+            statement.bind(values);
+            while (statement.step()) {
+                items.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+
+        var insertId,
+            rowsAffected = 0,
+            statementType = sql.trim().split(/\s+/)[0].toUpperCase();
+
+        switch(statementType) {
+            case 'INSERT':
+            case 'REPLACE':
+                insertId = db.exec('SELECT last_insert_rowid();')[0].values[0][0];
+                rowsAffected = db.getRowsModified();
+                break;
+            case 'UPDATE':
+            case 'DELETE':
+                rowsAffected = db.getRowsModified();
+                break;
+            default:
+                break;
+        }
+
+        return new SqlJsResult(items, insertId, rowsAffected);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Execute an SQL statement outside of a transaction
+     *
+     * @param {string} sql - the SQL statement
+     * @param {Array} params - the statement parameters
+     * @param {function} onSuccess - success callback: function(result)
+     * @param {function} onError - error callback: function(error)
+     */
+    SqlJsConnection.prototype.executeSql = function(sql, params, onSuccess, onError) {
+
+        var self = this;
+
+        setTimeout(function() {
+
+            var result;
+            try {
+                result = self._execute(sql, params);
+            } catch(e) {
+                if (typeof onError == 'function') {
+                    onError(sqlJsError(e));
+                }
+                return;
+            }
+            if (typeof onSuccess == 'function') {
+                onSuccess(result);
+            }
+        }, 0);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Run a transaction
+     *
+     * @param {function} fn - the transaction function: function(tx)
+     * @param {function} onError - error callback: function(error)
+     * @param {function} onSuccess - success callback: function()
+     */
+    SqlJsConnection.prototype.transaction = function(fn, onError, onSuccess) {
+
+        var self = this;
+
+        setTimeout(function() {
+
+            var db = self._db,
+                queue = [],
+                tx = new SqlJsTransaction(queue),
+                statement,
+                result;
+
+            try {
+                db.run('BEGIN TRANSACTION;');
+            } catch(e) {
+                if (typeof onError == 'function') {
+                    onError(sqlJsError(e));
+                }
+                return;
+            }
+
+            try {
+                fn(tx);
+                while (queue.length) {
+                    statement = queue.shift();
+                    try {
+                        result = self._execute(statement[0], statement[1]);
+                    } catch(e) {
+                        var onStatementError = statement[3];
+                        if (typeof onStatementError == 'function' &&
+                            onStatementError(tx, sqlJsError(e)) === false) {
+                            // Error handled => continue
+                            continue;
+                        }
+                        throw e;
+                    }
+                    if (typeof statement[2] == 'function') {
+                        statement[2](tx, result);
+                    }
+                }
+                db.run('COMMIT;');
+            } catch(e) {
+                try {
+                    db.run('ROLLBACK;');
+                } catch(rollbackError) {
+                    // Transaction already rolled back
+                }
+                if (typeof onError == 'function') {
+                    onError(sqlJsError(e));
+                }
+                return;
+            }
+
+            if (typeof onSuccess == 'function') {
+                onSuccess();
+            }
+        }, 0);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Run a batch of SQL statements in a single transaction
+     *
+     * @param {Array} statements - the statements, each either an SQL
+     *                             string or an array [sql, params]
+     * @param {function} onSuccess - success callback: function()
+     * @param {function} onError - error callback: function(error)
+     */
+    SqlJsConnection.prototype.sqlBatch = function(statements, onSuccess, onError) {
+
+        this.transaction(
+            function(tx) {
+                statements.forEach(function(statement) {
+                    if (statement.constructor === Array) {
+                        tx.executeSql(statement[0], statement[1] || []);
+                    } else {
+                        tx.executeSql(statement, []);
+                    }
+                });
+            },
+            onError,
+            onSuccess);
+    };
+
+    // ========================================================================
+    // Database Adapter Provider
+    //
+    // - select the adapter in the bootstrap phase like:
+    //
+    //      EdenMobile.config(['emDBAdapterProvider',
+    //          function(emDBAdapterProvider) {
+    //              emDBAdapterProvider.adapter('sqljs');
+    //          }
+    //      ]);
+    //
+    // - if no adapter is selected, the SQLite plugin will be used if
+    //   available, and sql.js otherwise (e.g. in a desktop browser)
+    //
+    // - additional adapters can be registered with:
+    //
+    //      emDBAdapterProvider.register('name', adapter);
+    //
+    EdenMobile.provider('emDBAdapter', function() {
+
+        /**
+         * Select the storage adapter
+         *
+         * @param {string} name - the adapter name
+         * @param {object} config - the adapter configuration (optional)
+         */
+        this.adapter = function(name, config) {
+
+            currentAdapter = name;
+            adapterConfig = config || {};
+
+            return this;
+        };
+
+        /**
+         * Register a storage adapter
+         *
+         * @param {string} name - the adapter name
+         * @param {object} adapter - the adapter, an object with an
+         *                           open-method (see above)
+         */
+        this.register = function(name, adapter) {
+
+            if (!adapter || typeof adapter.open != 'function') {
+                throw new Error('invalid storage adapter: ' + name);
+            }
+            adapters[name] = adapter;
+
+            return this;
+        };
+
+        /**
+         * Getter for the adapter service
+         */
+        this.$get = function() {
+
+            var name = currentAdapter;
+            if (!name) {
+                name = window.sqlitePlugin ? 'sqlite' : 'sqljs';
+            }
+
+            var adapter = adapters[name];
+            if (!adapter) {
+                throw new Error('unknown storage adapter: ' + name);
+            }
+
+            return {
+
+                /**
+                 * The name of the selected adapter
+                 */
+                name: name,
+
+                /**
+                 * Open a database connection
+                 *
+                 * @param {object} options - the database options
+                 * @param {function} onSuccess - success callback,
+                 *                               function(connection)
+                 * @param {function} onError - error callback,
+                 *                             function(error)
+                 *
+                 * @returns {object} - the database connection
+                 */
+                open: function(options, onSuccess, onError) {
+                    return adapter.open(options, adapterConfig, onSuccess, onError);
+                }
+            };
+        };
+    });
+
+})(EdenMobile);
+
+// END ========================================================================
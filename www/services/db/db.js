@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('emDB', [
-    '$q', 'emDefaultSchema', 'Field', 'Table',
-    function ($q, emDefaultSchema, Field, Table) {
+    '$q', 'emDBAdapter', 'emDefaultSchema', 'emMigrations', 'Field', 'Table',
+    function ($q, emDBAdapter, emDefaultSchema, emMigrations, Field, Table) {
 
         "use strict";
 
@@ -109,7 +109,8 @@ EdenMobile.factory('emDB', [
 
         // --------------------------------------------------------------------
         /**
-         * Open and set up the database
+         * Open and set up the database, using the storage adapter
+         * selected with emDBAdapterProvider
          */
         Database.prototype.open = function() {
 
@@ -119,9 +120,10 @@ EdenMobile.factory('emDB', [
             if (self._adapter !== null) {
                 return;
             }
-            self._adapter = window.sqlitePlugin.openDatabase(self.options,
+            self._adapter = emDBAdapter.open(self.options,
                 function(adapter) {
-                    self._setup(adapter);
+                    self._adapter = adapter;
+                    self._setup();
                 },
                 function(error) {
                     var msg = 'Error opening database: ' + JSON.stringify(error);
@@ -149,8 +151,10 @@ EdenMobile.factory('emDB', [
                 adapter.executeSql(sql, [], function(result) {
 
                     if (result.rows.length) {
-                        // em_version table exists => load tables
-                        self._loadTables().then(
+                        // em_version table exists => migrate schema, then load tables
+                        self._migrate().then(function() {
+                            return self._loadTables();
+                        }).then(
                             function() {
                                 status.resolve();
                             },
@@ -167,6 +171,42 @@ EdenMobile.factory('emDB', [
             }, self.sqlError);
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Migrate the default schema to the current version (emSchemaVersion),
+         * called from _setup if database has already been bootstrapped
+         *
+         * @returns {promise} - a promise that is resolved when the database
+         *                      schema is up-to-date
+         */
+        Database.prototype._migrate = function() {
+
+            var self = this,
+                deferred = $q.defer();
+
+            var sql = 'SELECT version FROM em_version;';
+            self._adapter.executeSql(sql, [], function(result) {
+
+                var currentVersion = null;
+                if (result.rows.length) {
+                    currentVersion = result.rows.item(0).version;
+                }
+
+                emMigrations.migrate(self, currentVersion, emSchemaVersion).then(
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+            }, function(error) {
+                deferred.reject(error);
+            });
+
+            return deferred.promise;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Bootstrap a new database (create standard tables, store schemas),
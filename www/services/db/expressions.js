@@ -63,6 +63,7 @@
             case 'assert':
             case 'join':
             case 'orderby':
+            case 'subquery':
             case 'transform':
                 this.op = op;
                 this.left = left;
@@ -164,12 +165,73 @@
     Expression.prototype.greaterThan = function(other) {
         return this._assert(">", other);
     };
-    Expression.prototype.like = function(other) {
-        return this._assert("like", other);
+    /**
+     * LIKE assertion
+     *
+     * @param {string} other - the pattern
+     * @param {string} escape - the escape character used in the pattern
+     *                          to match % and _ literally (optional)
+     *
+     * @example
+     *  field.like('%100\\%%', '\\')
+     */
+    Expression.prototype.like = function(other, escape) {
+        var expr = this._assert("like", other);
+        if (escape) {
+            expr._setProperties({escape: escape});
+        }
+        return expr;
     };
     Expression.prototype.in = function(other) {
         return this._assert("in", other);
     };
+    Expression.prototype.notIn = function(other) {
+        return this._assert("in", other).not();
+    };
+
+    /**
+     * Range assertion (inclusive)
+     *
+     * @param {*} lower - the lower limit
+     * @param {*} upper - the upper limit
+     *
+     * @example
+     *  field.between(1, 5)
+     */
+    Expression.prototype.between = function(lower, upper) {
+        if (lower === undefined || upper === undefined) {
+            throw new Error('missing operand');
+        }
+        return this._assert("between", [lower, upper]);
+    };
+
+    /**
+     * NULL assertions
+     *
+     * @example
+     *  field.isNull()
+     */
+    Expression.prototype.isNull = function() {
+        return this._assert("isnull", null);
+    };
+    Expression.prototype.isNotNull = function() {
+        return this._assert("notnull", null);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Subquery assertions
+     *
+     * @example
+     *  subquery.exists()
+     */
+    Expression.prototype.exists = function() {
+
+        if (this.exprType != 'subquery') {
+            throw new Error('invalid operand type for "exists" assertion');
+        }
+        return new Expression('assert', this, 'exists');
+    };
 
     // ------------------------------------------------------------------------
     /**
@@ -298,6 +360,10 @@
             // Raw SQL => return left operand as-is
             return left;
         }
+        if (op == 'select') {
+            // Subquery => left operand is the Set, right the select args
+            return '(' + left.selectSQL(this.right.columns, this.right.options) + ')';
+        }
 
         var lSql = left.toSQL(),
             right = this.right,
@@ -325,6 +391,9 @@
                 } else {
                     if (typeof left.sqlEncode == 'function') {
                         rSql = left.sqlEncode(right);
+                    } else if (typeof right == 'number') {
+                        // e.g. aggregates
+                        rSql = '' + right;
                     } else {
                         rSql = quoted(right);
                     }
@@ -342,8 +411,40 @@
                     }
                 }
                 sqlStr = [lSql, op.toUpperCase(), rSql].join(' ');
+                if (op == 'like' && this.escape) {
+                    sqlStr += ' ESCAPE ' + quoted(this.escape);
+                }
+                break;
+            case 'between':
+                var limits = right.map(function(value) {
+                    if (value !== null && typeof value.toSQL == 'function') {
+                        return value.toSQL();
+                    } else if (typeof left.sqlEncode == 'function') {
+                        return left.sqlEncode(value);
+                    } else if (typeof value == 'number') {
+                        return '' + value;
+                    } else {
+                        return quoted(value);
+                    }
+                });
+                sqlStr = lSql + ' BETWEEN ' + limits[0] + ' AND ' + limits[1];
+                break;
+            case 'isnull':
+                sqlStr = lSql + ' IS NULL';
+                break;
+            case 'notnull':
+                sqlStr = lSql + ' IS NOT NULL';
+                break;
+            case 'exists':
+                sqlStr = 'EXISTS ' + lSql;
                 break;
             case 'in':
+                if (right && right.exprType == 'subquery') {
+                    // Subquery
+                    sqlStr = lSql + ' IN ' + right.toSQL();
+                    break;
+                }
+
                 // Get the value set
                 var values = right;
                 if (values.constructor !== Array) {
@@ -530,6 +631,23 @@ var not = function(expr) {
     return expr.not();
 };
 
+// ----------------------------------------------------------------------------
+/**
+ * EXISTS - assert that a subquery returns any rows
+ *
+ * @param {Expression} subquery - the subquery (see Set.subquery)
+ *
+ * @example
+ *  household.where(not(exists(visit.where(visit.$('household_id').equals(household.$('id')))
+ *                                  .subquery(['id']))))
+ *
+ * @returns {Expression} - the assertion
+ */
+var exists = function(subquery) {
+
+    return subquery.exists();
+};
+
 // ----------------------------------------------------------------------------
 /**
  * AND - conjunction of expressions
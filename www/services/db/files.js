@@ -53,8 +53,9 @@
      * @param {string} fileType - uploads|images (=sub-directory name)
      * @param {function} onSuccess - the success callback, receives the
      *                               upload directory entry as parameter
+     * @param {function} onError - optional error callback, function(error)
      */
-    var getDirectory = function(fileType, onSuccess) {
+    var getDirectory = function(fileType, onSuccess, onError) {
 
         var dataDirectory = cordova.file.externalDataDirectory ||
                             cordova.file.dataDirectory;
@@ -65,8 +66,8 @@
                     create: true
                 },
                 onSuccess,
-                fsError('unable to access upload directory'));
-        });
+                fsError('unable to access upload directory', onError));
+        }, fsError('unable to access data directory', onError));
     };
 
     // ------------------------------------------------------------------------
@@ -76,10 +77,20 @@
      * @param {string} fileName - the name of the temporary file
      * @param {Blob} data - the data as Blob
      * @param {function} callback - success callback, function(fileURI)
+     * @param {function} onError - error callback, function(message)
      */
-    var createTempFile = function(fileName, data, callback) {
-
-        var cacheDirectory = cordova.file.cacheDirectory;
+    var createTempFile = function(fileName, data, callback, onError) {
+
+        var cacheDirectory = cordova.file.cacheDirectory,
+            failed = false,
+            tempError = function(message) {
+                return fsError(message, function() {
+                    failed = true;
+                    if (onError) {
+                        onError(message);
+                    }
+                });
+            };
 
         window.resolveLocalFileSystemURL(cacheDirectory, function(cacheDir) {
 
@@ -89,17 +100,15 @@
 
                     fileEntry.createWriter(function(fileWriter) {
                         fileWriter.onwriteend = function() {
-                            if (callback) {
+                            if (!failed && callback) {
                                 callback(fileEntry.nativeURL);
                             }
                         };
-                        fileWriter.onerror = function(error) {
-                            fsError('unable to create temporary file: ' + error);
-                        };
+                        fileWriter.onerror = tempError('unable to create temporary file');
                         fileWriter.write(data);
-                    });
-                }, fsError('can not write to cache directory'));
-        });
+                    }, tempError('unable to create temporary file'));
+                }, tempError('can not write to cache directory'));
+        }, tempError('unable to access cache directory'));
     };
 
     // ------------------------------------------------------------------------
@@ -133,6 +142,50 @@
         });
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Create a file in the exports-folder (e.g. data or log exports)
+     *
+     * @param {string} fileName - the name of the file
+     * @param {Blob} data - the data as Blob
+     * @param {function} callback - success callback, function(fileURI)
+     * @param {function} onError - error callback, function(message)
+     */
+    var createExportFile = function(fileName, data, callback, onError) {
+
+        var failed = false,
+            exportError = function(message) {
+                return fsError(message, function() {
+                    failed = true;
+                    if (onError) {
+                        onError(message);
+                    }
+                });
+            };
+
+        getDirectory('exports', function(exportsDir) {
+
+            exportsDir.getFile(fileName, {create: true, exclusive: false},
+
+                function(fileEntry) {
+
+                    fileEntry.createWriter(function(fileWriter) {
+                        fileWriter.onwriteend = function() {
+                            if (!failed && callback) {
+                                callback(fileEntry.nativeURL);
+                            }
+                        };
+                        fileWriter.onerror = exportError('unable to create export file');
+                        fileWriter.write(data);
+                    }, exportError('unable to create export file'));
+                }, exportError('can not write to exports directory'));
+        }, function() {
+            if (onError) {
+                onError('unable to access exports directory');
+            }
+        });
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Helper function to move a file from cache to a persistent location
@@ -142,8 +195,10 @@
      *                              the new file URI as parameter
      * @param {string} resourceName - name of the resource the file is linked to
      * @param {string} fieldName - name of the field the file is linked to
+     * @param {boolean} copy - copy the file rather than moving it (e.g.
+     *                         when picked from the device's gallery)
      */
-    var moveFile = function(fileEntry, onSuccess, resourceName, fieldName) {
+    var moveFile = function(fileEntry, onSuccess, resourceName, fieldName, copy) {
 
         var fileName = fileEntry.name;
 
@@ -152,15 +207,24 @@
 
             // Generate new file name
             var newFileName = fileName;
+            if (copy) {
+                // Original file name may not be unique
+                newFileName = new Date().getTime() + '_' + fileName;
+            }
             if (!!resourceName && !!fieldName) {
-                newFileName = [resourceName, fieldName, fileName].join('.');
+                newFileName = [resourceName, fieldName, newFileName].join('.');
             }
 
-            fileEntry.moveTo(uploadDir, newFileName, function(newFileEntry) {
+            var onMoved = function(newFileEntry) {
                 if (onSuccess) {
                     onSuccess(newFileEntry.nativeURL);
                 }
-            }, fsError('failed to move file'));
+            };
+            if (copy) {
+                fileEntry.copyTo(uploadDir, newFileName, onMoved, fsError('failed to copy file'));
+            } else {
+                fileEntry.moveTo(uploadDir, newFileName, onMoved, fsError('failed to move file'));
+            }
         });
     };
 
@@ -174,17 +238,18 @@
      *                              the new file URI as parameter
      * @param {string} resourceName - name of the resource the file is linked to
      * @param {string} fieldName - name of the field the file is linked to
+     * @param {boolean} copy - keep the original file
      */
-    var store = function(fileURI, callback, resourceName, fieldName) {
+    var store = function(fileURI, callback, resourceName, fieldName, copy) {
 
         window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
-            moveFile(fileEntry, callback, resourceName, fieldName);
+            moveFile(fileEntry, callback, resourceName, fieldName, copy);
         }, fsError('file not found'));
     };
 
     // ------------------------------------------------------------------------
     /**
-     * API function to remove a file
+     * API function to remove a file (or a directory with all its contents)
      *
      * @param {string} fileURI - the file URI
      * @param {function} callback - the callback function, receives
@@ -193,11 +258,16 @@
     var remove = function(fileURI, callback) {
 
         window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
-            fileEntry.remove(function() {
+            var onRemoved = function() {
                 if (callback) {
                     callback();
                 }
-            }, fsError('error deleting the file'));
+            };
+            if (fileEntry.isDirectory) {
+                fileEntry.removeRecursively(onRemoved, fsError('error deleting the directory'));
+            } else {
+                fileEntry.remove(onRemoved, fsError('error deleting the file'));
+            }
         }, fsError('file not found'));
     };
 
@@ -257,6 +327,133 @@
         }, onError);
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * API function to get the URI of a persistent storage directory
+     *
+     * @param {string} fileType - the sub-directory name (e.g. basemaps)
+     * @param {function} onSuccess - success callback, function(directoryURI)
+     */
+    var getDirectoryURI = function(fileType, onSuccess) {
+
+        getDirectory(fileType, function(directory) {
+            onSuccess(directory.nativeURL);
+        });
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to list the contents of a directory
+     *
+     * @param {string} directoryURI - the directory URI
+     * @param {function} onSuccess - success callback, function(entries),
+     *                               entries being an array of objects
+     *                               {name, uri, isDirectory}
+     * @param {function} onError - error callback, function(error)
+     */
+    var listDirectory = function(directoryURI, onSuccess, onError) {
+
+        window.resolveLocalFileSystemURL(directoryURI, function(directory) {
+
+            if (!directory.isDirectory) {
+                if (onError) {
+                    onError({code: 13, message: 'not a directory'});
+                }
+                return;
+            }
+
+            var reader = directory.createReader(),
+                entries = [];
+
+            // readEntries must be called repeatedly until it
+            // returns an empty list
+            var readEntries = function() {
+                reader.readEntries(function(results) {
+                    if (!results.length) {
+                        onSuccess(entries);
+                        return;
+                    }
+                    results.forEach(function(entry) {
+                        entries.push({
+                            name: entry.name,
+                            uri: entry.nativeURL,
+                            isDirectory: entry.isDirectory
+                        });
+                    });
+                    readEntries();
+                }, onError);
+            };
+            readEntries();
+
+        }, onError);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to import a file or a directory into a persistent
+     * storage directory; the original is kept
+     *
+     * @param {string} sourceURI - the URI of the file or directory
+     * @param {string} fileType - the target sub-directory name
+     * @param {function} onSuccess - success callback, function(newURI)
+     * @param {function} onError - error callback, function(error)
+     */
+    var importFile = function(sourceURI, fileType, onSuccess, onError) {
+
+        window.resolveLocalFileSystemURL(sourceURI, function(entry) {
+
+            getDirectory(fileType, function(targetDir) {
+
+                var fileName = entry.name;
+
+                // Replace any previously imported version
+                var copy = function() {
+                    entry.copyTo(targetDir, fileName, function(newEntry) {
+                        onSuccess(newEntry.nativeURL);
+                    }, fsError('failed to import file', onError));
+                };
+                var onFound = function(existing) {
+                    if (existing.isDirectory) {
+                        existing.removeRecursively(copy, fsError('failed to replace directory', onError));
+                    } else {
+                        existing.remove(copy, fsError('failed to replace file', onError));
+                    }
+                };
+                if (entry.isDirectory) {
+                    targetDir.getDirectory(fileName, {create: false}, onFound, copy);
+                } else {
+                    targetDir.getFile(fileName, {create: false}, onFound, copy);
+                }
+            });
+
+        }, fsError('file not found', onError));
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to get the directories to look for files to import
+     * (e.g. tile packages or data packages)
+     *
+     * @returns {Array} - array of directory URIs
+     */
+    var importDirectories = function() {
+
+        var directories = [],
+            file = window.cordova && cordova.file;
+
+        if (file) {
+            if (file.externalRootDirectory) {
+                // Android: the Download folder
+                directories.push(file.externalRootDirectory + 'Download/');
+            }
+            if (file.documentsDirectory) {
+                // iOS: the app's Documents folder (iTunes File Sharing)
+                directories.push(file.documentsDirectory);
+            }
+        }
+        return directories;
+    };
+
     // ========================================================================
     /**
      * emFiles - Service to handle files for upload-fields
@@ -271,13 +468,19 @@
 
                 createTempFile: createTempFile,
                 createImageFile: createImageFile,
+                createExportFile: createExportFile,
 
                 store: store,
                 remove: remove,
                 removeAll: removeAll,
 
                 getFile: getFile,
-                getBlob: getBlob
+                getBlob: getBlob,
+
+                getDirectoryURI: getDirectoryURI,
+                listDirectory: listDirectory,
+                importDirectories: importDirectories,
+                importFile: importFile
             };
             return api;
         }
@@ -0,0 +1,471 @@
+/**
+ * Sahana Eden Mobile - Schema Migrations
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+EdenMobile.factory('emMigrations', [
+    '$q', 'emDefaultSchema', 'emSchemaMigrations', 'Field', 'Table',
+    function ($q, emDefaultSchema, emSchemaMigrations, Field, Table) {
+
+        "use strict";
+
+        // Helper to quote identifiers
+        var quoted = function(name) {
+            return '"' + ('' + name).replace(/"/g, '""') + '"';
+        };
+
+        // ====================================================================
+        /**
+         * Helper to instantiate a system table from the default schema
+         *
+         * @param {Database} db - the database
+         * @param {object} schema - the table schema
+         *
+         * @returns {Table} - the Table
+         */
+        var defaultTable = function(db, schema) {
+
+            var tableName = schema._name,
+                fields = {},
+                settings = {},
+                key;
+
+            for (key in schema) {
+                if (key == '_records') {
+                    continue;
+                } else if (key.slice(0, 1) == '_') {
+                    settings[key.slice(1)] = schema[key];
+                } else {
+                    fields[key] = new Field(null, key, schema[key]);
+                }
+            }
+
+            var table = new Table(db, tableName, fields, settings);
+            table.addMetaFields();
+
+            return table;
+        };
+
+        // ====================================================================
+        /**
+         * Migration - the context for a migration step, provides methods
+         * to alter tables and migrate data within the transaction of
+         * the step
+         *
+         * @param {Database} db - the database
+         * @param {Transaction} tx - the transaction
+         */
+        function Migration(db, tx) {
+
+            this.db = db;
+            this.tx = tx;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Execute an SQL statement
+         *
+         * @param {string} sql - the SQL statement
+         * @param {Array} params - the statement parameters
+         * @param {function} callback - callback function: function(result)
+         */
+        Migration.prototype.execute = function(sql, params, callback) {
+
+            this.tx.executeSql(sql, params || [], function(tx, result) {
+                if (typeof callback == 'function') {
+                    callback(result);
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Update the stored schema (em_schema) of a table
+         *
+         * @param {string} tableName - the table name
+         * @param {function} update - function to update the field
+         *                            descriptions: function(fields)
+         */
+        Migration.prototype.updateSchema = function(tableName, update) {
+
+            if (tableName.slice(0, 3) == 'em_') {
+                // System table schemas are updated from the default
+                // schema after migration
+                return;
+            }
+
+            var self = this;
+
+            this.execute('SELECT id, fields FROM em_schema WHERE name=?;', [tableName],
+                function(result) {
+                    if (!result.rows.length) {
+                        return;
+                    }
+                    var row = result.rows.item(0),
+                        fields = JSON.parse(row.fields) || {};
+
+                    update(fields);
+
+                    self.execute('UPDATE em_schema SET fields=? WHERE id=?;',
+                        [JSON.stringify(fields), row.id]);
+                });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create a system table as defined in the default schema
+         *
+         * @param {string} tableName - the table name
+         */
+        Migration.prototype.createTable = function(tableName) {
+
+            var schema = emDefaultSchema.schema(tableName);
+            if (!schema) {
+                throw new Error('undefined table: ' + tableName);
+            }
+            this.execute(defaultTable(this.db, schema)._create());
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Drop a table, including its stored schema
+         *
+         * @param {string} tableName - the table name
+         */
+        Migration.prototype.dropTable = function(tableName) {
+
+            this.execute('DROP TABLE IF EXISTS ' + quoted(tableName) + ';');
+            this.execute('DELETE FROM em_schema WHERE name=?;', [tableName]);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Rename a table, updating all references to the table name
+         * in schemas, resources and object keys
+         *
+         * @param {string} oldName - the current table name
+         * @param {string} newName - the new table name
+         */
+        Migration.prototype.renameTable = function(oldName, newName) {
+
+            this.execute('ALTER TABLE ' + quoted(oldName) + ' RENAME TO ' + quoted(newName) + ';');
+
+            this.execute('UPDATE em_schema SET name=? WHERE name=?;', [newName, oldName]);
+            this.execute('UPDATE em_resource SET tablename=? WHERE tablename=?;', [newName, oldName]);
+            this.execute('UPDATE em_object SET tablename=? WHERE tablename=?;', [newName, oldName]);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Add a column to a table
+         *
+         * @param {string} tableName - the table name
+         * @param {string} fieldName - the field name
+         * @param {object} description - the field description
+         */
+        Migration.prototype.addColumn = function(tableName, fieldName, description) {
+
+            var fields = {};
+            fields[fieldName] = new Field(null, fieldName, description);
+
+            var table = new Table(this.db, tableName, fields);
+            this.execute(table._addColumn(fieldName) + ';');
+
+            this.updateSchema(tableName, function(fields) {
+                fields[fieldName] = table.fields[fieldName].description();
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove columns from a system table, by rebuilding the table as
+         * defined in the default schema without these columns (SQLite
+         * before 3.35 can not drop columns)
+         *
+         * @param {string} tableName - the table name
+         * @param {Array} fieldNames - the names of the columns to remove
+         *
+         * @note: all columns to remove from a table must be removed in a
+         *        single call, and the table must not be referenced by
+         *        foreign keys (which can not be disabled in the transaction)
+         */
+        Migration.prototype.dropColumns = function(tableName, fieldNames) {
+
+            var schema = emDefaultSchema.schema(tableName);
+            if (!schema) {
+                throw new Error('undefined table: ' + tableName);
+            }
+
+            var current = defaultTable(this.db, schema),
+                fields = {},
+                fieldName;
+
+            for (fieldName in current.fields) {
+                if (fieldNames.indexOf(fieldName) == -1) {
+                    fields[fieldName] = current.fields[fieldName];
+                }
+            }
+            var table = new Table(this.db, tableName, fields, current.settings);
+
+            var self = this;
+            current._rebuildSQL(table, [], {}).forEach(function(sql) {
+                self.execute(sql + ';');
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Write data into existing records
+         *
+         * @param {string} tableName - the table name
+         * @param {object} data - the data to write {fieldName: value},
+         *                        values can be functions to compute the
+         *                        value from the current record:
+         *                        function(row) => value (SQL-encoded)
+         * @param {string} where - SQL WHERE expression to limit the update
+         *                         to certain records (optional)
+         */
+        Migration.prototype.backfill = function(tableName, data, where) {
+
+            var fieldNames = Object.keys(data),
+                computed = fieldNames.filter(function(fieldName) {
+                    return typeof data[fieldName] == 'function';
+                }),
+                table = quoted(tableName),
+                self = this;
+
+            var assignments = fieldNames.map(function(fieldName) {
+                return quoted(fieldName) + '=?';
+            }).join(',');
+
+            if (!computed.length) {
+
+                // Static values => bulk update
+                var sql = 'UPDATE ' + table + ' SET ' + assignments,
+                    values = fieldNames.map(function(fieldName) {
+                        return data[fieldName];
+                    });
+                if (where) {
+                    sql += ' WHERE ' + where;
+                }
+                this.execute(sql + ';', values);
+
+            } else {
+
+                // Computed values => update record by record
+                var select = 'SELECT rowid AS em_rowid, * FROM ' + table;
+                if (where) {
+                    select += ' WHERE ' + where;
+                }
+                this.execute(select + ';', [], function(result) {
+
+                    var rows = result.rows,
+                        update = 'UPDATE ' + table + ' SET ' + assignments + ' WHERE rowid=?;',
+                        row,
+                        values;
+
+                    for (var i = 0, len = rows.length; i < len; i++) {
+                        row = rows.item(i);
+                        values = fieldNames.map(function(fieldName) {
+                            var value = data[fieldName];
+                            if (typeof value == 'function') {
+                                value = value(row);
+                            }
+                            return value;
+                        });
+                        // Using the rowid since em_version has no id-column
+                        self.execute(update, values.concat([row.em_rowid]));
+                    }
+                });
+            }
+        };
+
+        // ====================================================================
+        /**
+         * Run a single migration step in a transaction, including the
+         * update of the schema version
+         *
+         * @param {Database} db - the database
+         * @param {function} step - the step function: function(migration)
+         * @param {integer} version - the schema version after the step
+         *
+         * @returns {promise} - a promise that is resolved when the step
+         *                      has been completed
+         */
+        var runStep = function(db, step, version) {
+
+            var deferred = $q.defer();
+
+            db._adapter.transaction(
+                function(tx) {
+                    if (typeof step == 'function') {
+                        step(new Migration(db, tx));
+                    }
+                    tx.executeSql('UPDATE em_version SET version=?;', ['' + version]);
+                },
+                function(error) {
+                    deferred.reject(error);
+                },
+                function() {
+                    deferred.resolve(version);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create any missing system tables, and update the stored schemas
+         * of all system tables from the default schema (after migration)
+         *
+         * @param {Database} db - the database
+         *
+         * @returns {promise} - a promise that is resolved when all system
+         *                      table schemas have been updated
+         */
+        var updateSystemTables = function(db) {
+
+            var deferred = $q.defer();
+
+            db._adapter.transaction(
+                function(tx) {
+                    emDefaultSchema.tables.forEach(function(schema) {
+
+                        var table = defaultTable(db, schema),
+                            tableName = table.name,
+                            fields = {};
+
+                        tx.executeSql(table._create() + ';', []);
+
+                        for (var fieldName in table.fields) {
+                            var field = table.fields[fieldName];
+                            if (!field.meta) {
+                                fields[fieldName] = field.description();
+                            }
+                        }
+                        var values = [JSON.stringify(fields), JSON.stringify(table.settings)];
+
+                        tx.executeSql('SELECT id FROM em_schema WHERE name=?;', [tableName],
+                            function(tx, result) {
+                                if (result.rows.length) {
+                                    tx.executeSql('UPDATE em_schema SET fields=?, settings=? WHERE id=?;',
+                                        values.concat([result.rows.item(0).id]));
+                                } else {
+                                    tx.executeSql('INSERT INTO em_schema (name, fields, settings) VALUES (?,?,?);',
+                                        [tableName].concat(values));
+                                }
+                            });
+                    });
+                },
+                function(error) {
+                    deferred.reject(error);
+                },
+                function() {
+                    deferred.resolve();
+                });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        /**
+         * Migrate the database to a particular schema version
+         *
+         * @param {Database} db - the database
+         * @param {string|integer} currentVersion - the current version
+         * @param {string|integer} targetVersion - the target version
+         *
+         * @returns {promise} - a promise that resolves into the target
+         *                      version when the migration is complete, or
+         *                      is rejected with an error message if any
+         *                      step fails (the database then remains in
+         *                      the version before the failing step)
+         */
+        var migrate = function(db, currentVersion, targetVersion) {
+
+            var current = parseInt(currentVersion),
+                target = parseInt(targetVersion);
+
+            if (isNaN(current) || isNaN(target)) {
+                return $q.reject('invalid schema version');
+            }
+            if (current == target) {
+                return $q.resolve(target);
+            }
+
+            console.log('Migrating database schema from version ' + current + ' to ' + target);
+
+            var upgrade = current < target,
+                migration = $q.resolve(current),
+                version,
+                step,
+                steps = [];
+
+            // Collect the steps
+            if (upgrade) {
+                for (version = current; version < target; version++) {
+                    step = emSchemaMigrations['' + version];
+                    steps.push([step && step.up, version + 1]);
+                }
+            } else {
+                for (version = current; version > target; version--) {
+                    step = emSchemaMigrations['' + (version - 1)];
+                    if (!step || typeof step.down != 'function') {
+                        return $q.reject('no downgrade path from schema version ' + version);
+                    }
+                    steps.push([step.down, version - 1]);
+                }
+            }
+
+            // Run the steps in sequence
+            steps.forEach(function(step) {
+                migration = migration.then(function() {
+                    return runStep(db, step[0], step[1]);
+                });
+            });
+
+            return migration.then(
+                function() {
+                    return updateSystemTables(db).then(function() {
+                        return target;
+                    });
+                },
+                function(error) {
+                    var message = error;
+                    if (error && error.message) {
+                        message = error.message;
+                    }
+                    return $q.reject('Schema migration failed: ' + message);
+                });
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            migrate: migrate
+        };
+    }
+]);
+
+// END ========================================================================
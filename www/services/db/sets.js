@@ -346,12 +346,22 @@
      * Get the SQL for limitby-option
      *
      * @param {Array|number} limitby - the limitby option
+     * @param {number} offset - the offset option (overrides the
+     *                          offset in limitby)
+     *
+     * @example
+     *  limitby: 10 (=first 10 rows)
+     * @example
+     *  limitby: [20, 10] (=10 rows, skipping the first 20)
+     * @example
+     *  limitby: 10, offset: 20 (same as before)
      *
      * @returns {string} - the SQL fragment for limitby
      */
-    Set.prototype.limitbySQL = function(limitby) {
+    Set.prototype.limitbySQL = function(limitby, offset) {
 
-        var sql = [];
+        var sql = [],
+            limit;
 
         if (limitby) {
 
@@ -361,15 +371,23 @@
                 limitby = [0, limitby].reverse();
             }
 
-            var limit = limitby[0] - 0;
-            if (limit && !isNaN(limit)) {
-                sql.push('LIMIT ' + limit);
+            limit = limitby[0] - 0;
+            if (offset === undefined) {
+                offset = limitby[1];
             }
+        }
+
+        if (limit && !isNaN(limit)) {
+            sql.push('LIMIT ' + limit);
+        }
 
-            var offset = limitby[1] - 0;
-            if (offset && !isNaN(offset)) {
-                sql.push('OFFSET ' + offset);
+        offset = offset - 0;
+        if (offset && !isNaN(offset)) {
+            if (!sql.length) {
+                // OFFSET requires a LIMIT clause
+                sql.push('LIMIT -1');
             }
+            sql.push('OFFSET ' + offset);
         }
 
         if (sql.length) {
@@ -480,6 +498,36 @@
         return sql;
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Get the SQL for having-option
+     *
+     * @param {Expression} having - the having option, an assertion
+     *                              (typically on aggregates)
+     *
+     * @example
+     *  groupby: household.$('id'),
+     *  having: member.$('id').count().greaterThan(3)
+     *
+     * @returns {string} - the SQL fragment for having
+     */
+    Set.prototype.havingSQL = function(having) {
+
+        var sql;
+
+        if (having) {
+            if (typeof having == 'string') {
+                having = this.table.sqlAssert(having);
+            }
+            if (having.exprType != 'assert') {
+                throw new Error('invalid expression type');
+            }
+            sql = 'HAVING ' + having.toSQL();
+        }
+
+        return sql;
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Test whether this Set is a join (helper to hide internal properties)
@@ -493,53 +541,33 @@
 
     // ------------------------------------------------------------------------
     /**
-     * Select data from this Set
+     * Construct the SQL to select data from this Set
      *
      * @param {Array} columns - array of column expressions, can be
      *                          omitted (defaults to all columns)
      * @param {object} options - an object with query options, can be omitted
-     * @param {function} onSuccess - success callback, required
-     * @param {function} onError - error callback, optional
+     * @property {boolean} options.distinct - select only distinct rows
+     * @property {Array|Expression} options.groupby - group by expressions
+     * @property {Expression} options.having - filter for groups
+     * @property {Array|Expression} options.orderby - order by expressions
+     * @property {Array|number} options.limitby - limit (and offset)
+     * @property {number} options.offset - number of rows to skip
+     *
+     * @returns {string} - the SQL statement
      */
-    Set.prototype.select = function(columns, options, onSuccess, onError) {
+    Set.prototype.selectSQL = function(columns, options) {
 
-        // Flexible argument list
-        if (columns !== null && columns !== undefined && columns.constructor !== Array) {
-            onError = onSuccess;
-            onSuccess = options;
-            options = columns;
-            columns = undefined;
-        }
-        if (typeof options == 'function') {
-            onError = onSuccess;
-            onSuccess = options;
-            options = undefined;
-        }
+        var sql = ['SELECT'];
 
-        // Success callback is required
-        if (typeof onSuccess != 'function') {
-            throw new Error('callback required');
+        if (options && options.distinct) {
+            sql.push('DISTINCT');
         }
 
-        var handleError = function(error) {
-            if (typeof onError == 'function') {
-                onError(error);
-            } else {
-                this._db.sqlError(error);
-            }
-        };
-
         // Expand the columns
-        var sql = ['SELECT'];
         if (!columns) {
             sql.push('*');
         } else {
-            try {
-                sql.push(this.expand(columns));
-            } catch (error) {
-                handleError.call(this, error);
-                return;
-            }
+            sql.push(this.expand(columns));
         }
 
         // Expand the set
@@ -564,19 +592,72 @@
             var groupby = this.groupbySQL(options.groupby);
             if (groupby) {
                sql.push(groupby);
+               var having = this.havingSQL(options.having);
+               if (having) {
+                   sql.push(having);
+               }
             }
             var orderby = this.orderbySQL(options.orderby);
             if (orderby) {
                sql.push(orderby);
             }
-            var limitby = this.limitbySQL(options.limitby);
+            var limitby = this.limitbySQL(options.limitby, options.offset);
             if (limitby) {
                 sql.push(limitby);
             }
         }
 
         // Complete SQL statement
-        sql = sql.join(' ');
+        return sql.join(' ');
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Select data from this Set
+     *
+     * @param {Array} columns - array of column expressions, can be
+     *                          omitted (defaults to all columns)
+     * @param {object} options - an object with query options, can be
+     *                           omitted (see selectSQL)
+     * @param {function} onSuccess - success callback, required
+     * @param {function} onError - error callback, optional
+     */
+    Set.prototype.select = function(columns, options, onSuccess, onError) {
+
+        // Flexible argument list
+        if (columns !== null && columns !== undefined && columns.constructor !== Array) {
+            onError = onSuccess;
+            onSuccess = options;
+            options = columns;
+            columns = undefined;
+        }
+        if (typeof options == 'function') {
+            onError = onSuccess;
+            onSuccess = options;
+            options = undefined;
+        }
+
+        // Success callback is required
+        if (typeof onSuccess != 'function') {
+            throw new Error('callback required');
+        }
+
+        var handleError = function(error) {
+            if (typeof onError == 'function') {
+                onError(error);
+            } else {
+                this._db.sqlError(error);
+            }
+        };
+
+        // Construct the SQL statement
+        var sql;
+        try {
+            sql = this.selectSQL(columns, options);
+        } catch (error) {
+            handleError.call(this, error);
+            return;
+        }
 
         // Execute SQL query
         if (sql) {
@@ -598,6 +679,122 @@
         }
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Iterate over the rows in this Set, loading them page by page
+     * rather than all at once (for large result sets)
+     *
+     * @param {Array} columns - array of column expressions, can be
+     *                          omitted (defaults to all columns)
+     * @param {object} options - an object with query options, can be
+     *                           omitted (see selectSQL; limitby and
+     *                           offset are ignored)
+     * @property {number} options.pageSize - the number of rows to load
+     *                                       per page (default 100)
+     * @param {function} onRow - callback for each row, required:
+     *                           function(row, index), can return false
+     *                           to end the iteration
+     * @param {function} onComplete - completion callback, optional:
+     *                                function(numRows)
+     * @param {function} onError - error callback, optional
+     *
+     * @example
+     *  table.where(query).iterate(['id', 'name'], {pageSize: 50},
+     *      function(row, index) {
+     *          console.log(row.$('name'));
+     *      },
+     *      function(numRows) {
+     *          console.log(numRows + ' rows processed');
+     *      });
+     */
+    Set.prototype.iterate = function(columns, options, onRow, onComplete, onError) {
+
+        // Flexible argument list
+        if (columns !== null && columns !== undefined && columns.constructor !== Array) {
+            onError = onComplete;
+            onComplete = onRow;
+            onRow = options;
+            options = columns;
+            columns = undefined;
+        }
+        if (typeof options == 'function') {
+            onError = onComplete;
+            onComplete = onRow;
+            onRow = options;
+            options = undefined;
+        }
+
+        // Row callback is required
+        if (typeof onRow != 'function') {
+            throw new Error('callback required');
+        }
+
+        var pageOptions = angular.extend({}, options),
+            pageSize = (pageOptions.pageSize - 0) || 100,
+            offset = 0,
+            index = 0,
+            self = this;
+
+        // Pages require a stable order
+        if (!pageOptions.orderby && !pageOptions.groupby) {
+            pageOptions.orderby = this.table.$('id');
+        }
+        pageOptions.limitby = pageSize;
+
+        var complete = function() {
+            if (typeof onComplete == 'function') {
+                onComplete(index);
+            }
+        };
+
+        var nextPage = function() {
+
+            pageOptions.offset = offset;
+
+            self.select(columns, pageOptions,
+                function(rows) {
+                    for (var i = 0, len = rows.length; i < len; i++) {
+                        if (onRow(rows[i], index++) === false) {
+                            complete();
+                            return;
+                        }
+                    }
+                    if (rows.length < pageSize) {
+                        complete();
+                    } else {
+                        offset += pageSize;
+                        nextPage();
+                    }
+                },
+                onError);
+        };
+
+        nextPage();
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Construct a subquery expression from this Set
+     *
+     * @param {Array} columns - array of column expressions
+     * @param {object} options - query options (see selectSQL), optional
+     *
+     * @example
+     *  household.where(household.$('id').in(
+     *      member.where(member.$('age').lessThan(5)).subquery(['household_id'])
+     *  ))
+     * @example
+     *  household.where(not(exists(
+     *      visit.where(visit.$('household_id').equals(household.$('id'))).subquery(['id'])
+     *  )))
+     *
+     * @returns {Expression} - an Expression with exprType 'subquery'
+     */
+    Set.prototype.subquery = function(columns, options) {
+
+        return this.table.subquery(columns, options, this);
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Count the rows in this Set
@@ -641,7 +838,7 @@
             if (orderby) {
                sql.push(orderby);
             }
-            var limitby = this.limitbySQL(options.limitby);
+            var limitby = this.limitbySQL(options.limitby, options.offset);
             if (limitby) {
                 sql.push(limitby);
             }
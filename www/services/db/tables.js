@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('Table', [
-    '$q', 'emComponents', 'emDefaultSchema', 'emFiles', 'Expression', 'Field',  'Set',
-    function ($q, emComponents, emDefaultSchema, emFiles, Expression, Field, Set) {
+    '$q', 'emComponents', 'emDefaultSchema', 'emFiles', 'emUtils', 'Expression', 'Field',  'Set',
+    function ($q, emComponents, emDefaultSchema, emFiles, emUtils, Expression, Field, Set) {
 
         "use strict";
 
@@ -106,6 +106,31 @@ EdenMobile.factory('Table', [
             return new Expression('assert', sqlStr, 'sql');
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Construct a subquery expression selecting from this table
+         *
+         * @param {Array} columns - array of column expressions
+         * @param {object} options - query options (see Set.select), optional
+         * @param {Set} set - the Set to select from, optional (default:
+         *                    all records in this table)
+         *
+         * @example
+         *  member.$('household_id').in(household.subquery(['id']))
+         *
+         * @returns {Expression} - an Expression with exprType 'subquery'
+         */
+        Table.prototype.subquery = function(columns, options, set) {
+
+            if (!set) {
+                set = new Set(this);
+            }
+            return new Expression('subquery', set, 'select', {
+                columns: columns,
+                options: options
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Get a string representation for this table
@@ -441,6 +466,49 @@ EdenMobile.factory('Table', [
             return 'DROP TABLE IF EXISTS "' + this.name + '"';
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Construct an SQL statement to add a column for a field to this
+         * table (for schema migration)
+         *
+         * @param {string} fieldName - the field name
+         *
+         * @returns {string} - the SQL statement
+         *
+         * @note: SQLite can not add NOT NULL columns without a default
+         *        value, so the NOT NULL constraint is only included if
+         *        the field has a static default
+         */
+        Table.prototype._addColumn = function(fieldName) {
+
+            var field = this.fields[fieldName];
+            if (!field) {
+                throw new Error('undefined field: ' + fieldName);
+            }
+
+            var description = field.description(),
+                quotedName = '"' + fieldName + '"',
+                sqlType = field.sqlDescribe().column.split(' ')[1],
+                column = [quotedName, sqlType];
+
+            var defaultValue = description.defaultValue;
+            if (defaultValue !== undefined && defaultValue !== null) {
+                column.push('DEFAULT ' + field.sqlEncode(defaultValue));
+                if (description.notnull) {
+                    column.push('NOT NULL');
+                }
+            }
+
+            // Foreign keys must be declared as column constraint here
+            var reference = emUtils.getReference(field.type);
+            if (reference) {
+                column.push('REFERENCES ' + reference[1] + '("' + (reference[2] || 'id') + '") ' +
+                            'ON DELETE ' + (description.ondelete || 'RESTRICT'));
+            }
+
+            return 'ALTER TABLE "' + this.name + '" ADD COLUMN ' + column.join(' ');
+        };
+
         // --------------------------------------------------------------------
         /**
          * Remove this table from the database, including any related files,
@@ -621,6 +689,354 @@ EdenMobile.factory('Table', [
                 });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Helper to construct an SQL expression that converts the values
+         * of a column into a different field type (for schema migration)
+         *
+         * @param {Field} from - the current field
+         * @param {Field} to - the new field
+         *
+         * @returns {string} - the SQL expression to convert the column,
+         *                     or undefined if the field types are not
+         *                     compatible (=data would be lost)
+         */
+        var convertColumn = function(from, to) {
+
+            var column = '"' + from.name + '"',
+                fromType = from.type,
+                toType = to.type,
+                expr;
+
+            if (fromType == toType) {
+                return column;
+            }
+
+            var fromRef = emUtils.getReference(fromType),
+                toRef = emUtils.getReference(toType);
+            if (fromRef) {
+                fromType = 'reference';
+            }
+            if (toRef) {
+                if (fromType == 'integer') {
+                    // Integer values can be turned into foreign keys
+                    return column;
+                }
+                // Re-targeted foreign keys can not be converted
+                return expr;
+            }
+
+            switch(toType) {
+                case 'string':
+                case 'text':
+                    switch(fromType) {
+                        case 'string':
+                        case 'text':
+                        case 'json':
+                        case 'list:string':
+                        case 'list:integer':
+                        case 'date':
+                        case 'datetime':
+                        case 'time':
+                            expr = column;
+                            break;
+                        case 'integer':
+                        case 'double':
+                            expr = 'CAST(' + column + ' AS TEXT)';
+                            break;
+                        default:
+                            break;
+                    }
+                    break;
+                case 'integer':
+                    if (fromType == 'boolean' || fromType == 'reference') {
+                        expr = column;
+                    }
+                    break;
+                case 'double':
+                    if (fromType == 'integer' || fromType == 'boolean') {
+                        expr = 'CAST(' + column + ' AS REAL)';
+                    }
+                    break;
+                case 'date':
+                    if (fromType == 'datetime') {
+                        expr = 'substr(' + column + ', 1, 10)';
+                    }
+                    break;
+                case 'datetime':
+                    if (fromType == 'date') {
+                        expr = column + " || 'T00:00:00.000Z'";
+                    }
+                    break;
+                case 'list:string':
+                    if (fromType == 'list:integer') {
+                        expr = column;
+                    }
+                    break;
+                default:
+                    break;
+            }
+
+            return expr;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Migrate this table to a new set of fields, without losing data:
+         * - new fields are added as columns
+         * - data in columns of dropped fields (and of fields with
+         *   incompatible type changes) are archived as JSON in em_archive
+         * - compatible field type changes are converted
+         *
+         * @param {object} fields - the new fields {fieldName: Field}
+         * @param {boolean} dropColumns - whether to remove the columns of
+         *                                fields that are no longer in the
+         *                                new field set (otherwise, they are
+         *                                retained as they are)
+         *
+         * @returns {promise} - a promise that is resolved when the table
+         *                      has been migrated
+         */
+        Table.prototype.migrate = function(fields, dropColumns) {
+
+            if (this._original) {
+                // Trying to migrate clone
+                return $q.reject('Table.migrate must be called for original table');
+            }
+
+            var currentFields = this.fields,
+                added = [],
+                dropped = [],
+                converted = {},
+                newFields = {},
+                fieldName,
+                field,
+                current,
+                expr;
+
+            // Compare the field sets
+            for (fieldName in fields) {
+                field = fields[fieldName];
+                current = currentFields[fieldName];
+                if (current && current.meta) {
+                    // Meta fields can not be overridden
+                    continue;
+                }
+                if (!current) {
+                    added.push(fieldName);
+                } else if (current.type != field.type) {
+                    expr = convertColumn(current, field);
+                    if (expr === undefined) {
+                        // Incompatible => archive and replace the column
+                        dropped.push(fieldName);
+                        added.push(fieldName);
+                    } else {
+                        converted[fieldName] = expr;
+                    }
+                }
+                newFields[fieldName] = field;
+            }
+            for (fieldName in currentFields) {
+                current = currentFields[fieldName];
+                if (!current.meta && !fields.hasOwnProperty(fieldName)) {
+                    if (dropColumns) {
+                        dropped.push(fieldName);
+                    } else {
+                        newFields[fieldName] = current;
+                    }
+                }
+            }
+
+            // Build the new table
+            var table = new Table(this._db, this.name, newFields, this.settings);
+            table.addMetaFields();
+
+            var self = this,
+                update = function() {
+                    // Replace the fields of this table, update em_schema
+                    self.fields = table.fields;
+                    self.lookupOnly = table.lookupOnly;
+                    for (fieldName in self.fields) {
+                        self.fields[fieldName].table = self;
+                    }
+                    self.saveSchema();
+                    return self;
+                };
+
+            if (!dropped.length && !Object.keys(converted).length) {
+
+                if (!added.length) {
+                    // No changes in the table structure
+                    return $q.resolve(update());
+                }
+
+                // Only new columns => just add them
+                var deferred = $q.defer(),
+                    sql = added.map(function(fieldName) {
+                        return table._addColumn(fieldName);
+                    });
+
+                this._db._adapter.sqlBatch(sql,
+                    function() {
+                        deferred.resolve(update());
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+                return deferred.promise;
+
+            } else {
+
+                // Rebuild the table
+                return this._rebuild(table, dropped, converted).then(update);
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Rebuild this table with a new structure (DRY helper for migrate)
+         *
+         * @param {Table} table - the table with the new structure
+         * @param {Array} dropped - names of the fields to archive
+         * @param {object} converted - SQL expressions to convert columns,
+         *                             {fieldName: expression}
+         *
+         * @returns {promise} - a promise that is resolved when the table
+         *                      has been rebuilt
+         */
+        Table.prototype._rebuild = function(table, dropped, converted) {
+
+            var deferred = $q.defer(),
+                db = this._db,
+                adapter = db._adapter,
+                archive = db.tables.em_archive,
+                tableName = this.name,
+                statements = this._rebuildSQL(table, dropped, converted);
+
+            // Callbacks to restore foreign key support
+            var onSuccess = function() {
+                adapter.executeSql('PRAGMA foreign_keys = ON;', [],
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+            };
+            var onError = function(error) {
+                adapter.executeSql('PRAGMA foreign_keys = ON;');
+                deferred.reject(error);
+            };
+
+            // Helper to archive the data of dropped columns
+            var archiveData = function(tx, callback) {
+
+                if (!dropped.length || !archive) {
+                    callback();
+                    return;
+                }
+
+                var sql = 'SELECT "uuid", ' + dropped.map(function(fieldName) {
+                    return '"' + fieldName + '"';
+                }).join(',') + ' FROM "' + tableName + '"';
+
+                tx.executeSql(sql, [], function(tx, result) {
+
+                    var rows = result.rows,
+                        archivedOn = new Date(),
+                        row,
+                        data,
+                        hasData;
+
+                    for (var i = 0, len = rows.length; i < len; i++) {
+                        row = rows.item(i);
+                        data = {};
+                        hasData = false;
+                        dropped.forEach(function(fieldName) {
+                            var value = row[fieldName];
+                            if (value !== null && value !== undefined) {
+                                data[fieldName] = value;
+                                hasData = true;
+                            }
+                        });
+                        if (hasData) {
+                            sql = archive._insert({
+                                tablename: tableName,
+                                uuid: row.uuid,
+                                data: data,
+                                archived_on: archivedOn
+                            });
+                            tx.executeSql(sql[0], sql[1]);
+                        }
+                    }
+                    callback();
+                });
+            };
+
+            // Foreign keys must be off while the table is replaced
+            adapter.executeSql('PRAGMA foreign_keys = OFF;', [], function() {
+                adapter.transaction(function(tx) {
+                    archiveData(tx, function() {
+                        statements.forEach(function(sql) {
+                            tx.executeSql(sql);
+                        });
+                    });
+                }, onError, onSuccess);
+            }, onError);
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Generate the SQL statements to rebuild this table with a new
+         * structure (copying the data), for use in a transaction
+         *
+         * @param {Table} table - the table with the new structure
+         * @param {Array} dropped - names of the fields not to copy
+         * @param {object} converted - SQL expressions to convert columns,
+         *                             {fieldName: expression}
+         *
+         * @returns {Array} - the SQL statements
+         */
+        Table.prototype._rebuildSQL = function(table, dropped, converted) {
+
+            var tableName = this.name,
+                tempName = tableName + '__migrate',
+                currentFields = this.fields;
+
+            // Columns to copy, and the expressions to copy from
+            var columns = [],
+                sources = [],
+                field,
+                defaultValue;
+            for (var fieldName in table.fields) {
+                if (!currentFields.hasOwnProperty(fieldName) || dropped.indexOf(fieldName) != -1) {
+                    // New column => fill with static default if any
+                    field = table.fields[fieldName];
+                    defaultValue = field.defaultValue;
+                    if (defaultValue !== undefined && defaultValue !== null &&
+                        typeof defaultValue != 'function') {
+                        columns.push('"' + fieldName + '"');
+                        sources.push(field.sqlEncode(defaultValue));
+                    }
+                    continue;
+                }
+                columns.push('"' + fieldName + '"');
+                sources.push(converted[fieldName] || '"' + fieldName + '"');
+            }
+
+            return [
+                'DROP TABLE IF EXISTS "' + tempName + '"',
+                table._create().replace('"' + tableName + '"', '"' + tempName + '"'),
+                'INSERT INTO "' + tempName + '" (' + columns.join(',') + ') ' +
+                'SELECT ' + sources.join(',') + ' FROM "' + tableName + '"',
+                'DROP TABLE "' + tableName + '"',
+                'ALTER TABLE "' + tempName + '" RENAME TO "' + tableName + '"'
+            ];
+        };
+
         // --------------------------------------------------------------------
         /**
          * Save the schema for this table in the schema table (em_schema)
@@ -898,6 +1314,24 @@ EdenMobile.factory('Table', [
            (new Set(this)).select(fields, options, onSuccess, onError);
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Iterate over the records in this table (see Set.iterate)
+         *
+         * @param {Array} columns - array of column expressions, can be
+         *                          omitted (defaults to all fields in the
+         *                          table)
+         * @param {object} options - an object with query options (orderby,
+         *                           pageSize, etc), can be omitted
+         * @param {function} onRow - callback for each row, required
+         * @param {function} onComplete - completion callback, optional
+         * @param {function} onError - error callback, optional
+         */
+        Table.prototype.iterate = function(fields, options, onRow, onComplete, onError) {
+
+           (new Set(this)).iterate(fields, options, onRow, onComplete, onError);
+        };
+
         // --------------------------------------------------------------------
         /**
          * Get all files linked to records in this table
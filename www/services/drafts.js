@@ -0,0 +1,444 @@
+/**
+ * Sahana Eden Mobile - Drafts
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emDrafts - Service to save in-progress form entries as drafts
+ *
+ * Drafts are records with the em_incomplete flag set, so they are not
+ * uploaded until the form has been submitted. Forms save drafts:
+ *
+ *  - periodically (forms.autosaveInterval setting)
+ *  - when the app is paused (e.g. sent to background, or killed)
+ *  - when the session is suspended (emSessionSuspended event)
+ *  - when leaving the form without submitting or discarding it
+ *
+ * Rows of repeat groups are stored together with the draft, and
+ * deleted when the draft is discarded.
+ *
+ * @class emDrafts
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emDrafts', [
+    '$interval', '$q', '$rootScope', '$timeout', 'emConfig', 'emDialogs',
+    function ($interval, $q, $rootScope, $timeout, emConfig, emDialogs) {
+
+        "use strict";
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the autosave interval
+         *
+         * @returns {promise} - a promise that resolves into the interval
+         *                      in seconds (0 if autosave is disabled)
+         */
+        var getInterval = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                var interval = parseInt(settings.get('forms.autosaveInterval'));
+                deferred.resolve(isNaN(interval) ? 0 : interval);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a value is a promise (e.g. from a widget
+         * that finalizes its value upon submit)
+         *
+         * @param {*} value - the value
+         *
+         * @returns {boolean} - whether the value is a promise
+         */
+        var isPromise = function(value) {
+            return !!value && typeof value.then == 'function';
+        };
+
+        // ====================================================================
+        /**
+         * Draft - an in-progress form entry
+         *
+         * @param {Subset} subset - the subset to store the draft in
+         * @param {integer} recordID - the record ID of an existing draft
+         * @param {object} values - the initial form data (defaults or
+         *                          data loaded from the draft), which
+         *                          are not saved unless they are changed
+         */
+        function Draft(subset, recordID, values) {
+
+            this.subset = subset;
+            this.recordID = recordID || null;
+
+            // The data last saved (JSON), to skip saving without changes
+            this.snapshot = null;
+            if (values) {
+                var data = this.extract(values);
+                if (data) {
+                    this.snapshot = angular.toJson(data);
+                }
+            }
+            this.discarded = false;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Extract the draft data from the form data
+         *
+         * @param {object} values - the form data {fieldName: value}
+         *
+         * @returns {object} - the data to store, or null if the form is empty
+         */
+        Draft.prototype.extract = function(values) {
+
+            var fields = this.subset.resource.fields,
+                data = {},
+                empty = true,
+                fieldName,
+                field,
+                value;
+
+            for (fieldName in values) {
+                field = fields[fieldName];
+                if (!field || field.meta || fieldName == 'id') {
+                    continue;
+                }
+                value = values[fieldName];
+                if (value === undefined || isPromise(value)) {
+                    continue;
+                }
+                if (value !== null && value !== '') {
+                    empty = false;
+                }
+                data[fieldName] = value;
+            }
+
+            return empty ? null : data;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Save the draft (insert or update the incomplete record)
+         *
+         * @param {object} values - the form data {fieldName: value}
+         *
+         * @returns {promise} - a promise that resolves into the record ID
+         *                      of the draft (null if nothing was saved)
+         */
+        Draft.prototype.save = function(values) {
+
+            var self = this;
+
+            if (this.discarded) {
+                return $q.resolve(null);
+            }
+
+            var data = this.extract(values);
+            if (!data) {
+                return $q.resolve(this.recordID);
+            }
+
+            var snapshot = angular.toJson(data);
+            if (snapshot == this.snapshot) {
+                // No changes since last save
+                return $q.resolve(this.recordID);
+            }
+
+            data.em_incomplete = true;
+
+            var subset = this.subset,
+                table = subset.table,
+                recordID = this.recordID,
+                saved;
+
+            if (recordID) {
+                // Only ever update incomplete records
+                saved = subset.where(table.$('id').is(recordID).and(
+                                     table.$('em_incomplete').is(true)))
+                              .update(data).then(function() {
+                    return recordID;
+                });
+            } else {
+                saved = subset.insert(data);
+            }
+
+            return saved.then(function(recordID) {
+                self.recordID = recordID;
+                self.snapshot = snapshot;
+                return recordID;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Discard the draft (delete the incomplete record and the rows
+         * of its repeat groups)
+         *
+         * @returns {promise} - a promise that is resolved when the draft
+         *                      has been deleted
+         */
+        Draft.prototype.discard = function() {
+
+            var subset = this.subset,
+                resource = subset.resource,
+                table = subset.table,
+                recordID = this.recordID;
+
+            this.discarded = true;
+            this.recordID = null;
+
+            if (!recordID) {
+                return $q.resolve();
+            }
+
+            var incomplete = subset.where(table.$('id').is(recordID).and(
+                                          table.$('em_incomplete').is(true)));
+
+            return incomplete.count().then(function(numRows) {
+
+                if (!numRows) {
+                    // Not a draft (anymore)
+                    return;
+                }
+
+                // Delete the component rows first (the component
+                // subsets are joined with the master record)
+                var components = resource.activeComponents || {},
+                    deletions = [];
+                Object.keys(components).forEach(function(alias) {
+                    if (!components[alias].multiple) {
+                        return;
+                    }
+                    var component = resource.component(alias);
+                    if (component) {
+                        deletions.push(component.subSet(recordID).delete());
+                    }
+                });
+
+                return $q.all(deletions).then(function() {
+                    return incomplete.delete();
+                });
+            });
+        };
+
+        // ====================================================================
+        /**
+         * Autosave - periodic and event-triggered saving of a draft
+         *
+         * @param {object} $scope - the form scope (autosave stops when
+         *                          the scope is destroyed)
+         * @param {function} saveDraft - function to save the draft, returns
+         *                               a promise (or nothing to skip)
+         */
+        function Autosave($scope, saveDraft) {
+
+            var self = this;
+
+            this.saveDraft = saveDraft;
+            this.saving = null;
+            this.timer = null;
+
+            // Save when the app is paused
+            var onPause = function() {
+                $timeout(function() {
+                    self.save();
+                });
+            };
+            document.addEventListener('pause', onPause, false);
+
+            // Save when the session is suspended
+            var cleanup = $rootScope.$on('emSessionSuspended', function() {
+                self.save();
+            });
+
+            // Save periodically
+            getInterval().then(function(interval) {
+                if (interval > 0 && !self.stopped) {
+                    self.timer = $interval(function() {
+                        self.save();
+                    }, interval * 1000);
+                }
+            });
+
+            this.stop = function() {
+                self.stopped = true;
+                if (self.timer) {
+                    $interval.cancel(self.timer);
+                    self.timer = null;
+                }
+                document.removeEventListener('pause', onPause, false);
+                cleanup();
+            };
+            $scope.$on('$destroy', this.stop);
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Save the draft now
+         *
+         * @returns {promise} - a promise that is resolved when the draft
+         *                      has been saved
+         */
+        Autosave.prototype.save = function() {
+
+            var self = this;
+
+            if (this.saving) {
+                return this.saving;
+            }
+
+            var saving = $q.when(this.saveDraft()).then(null, function(error) {
+                console.error('Could not save draft: ' + error);
+            });
+            this.saving = saving.finally(function() {
+                self.saving = null;
+            });
+            return this.saving;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Wait for a save in progress to complete
+         *
+         * @returns {promise} - a promise that is resolved when no
+         *                      save is in progress
+         */
+        Autosave.prototype.wait = function() {
+
+            return $q.when(this.saving);
+        };
+
+        // ====================================================================
+        /**
+         * Get the most recent draft in a subset
+         *
+         * @param {Subset} subset - the subset
+         *
+         * @returns {promise} - a promise that resolves into the record ID
+         *                      of the draft, or null if there is none
+         */
+        var latest = function(subset) {
+
+            var table = subset.table;
+
+            return subset.where(table.$('em_incomplete').is(true))
+                         .select(['id'], {
+                             orderby: table.$('modified_on').desc(),
+                             limitby: 1
+                         }).then(function(rows) {
+                return rows.length ? rows[0].$('id') : null;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a record is a draft
+         *
+         * @param {Subset} subset - the subset containing the record
+         * @param {integer} recordID - the record ID
+         *
+         * @returns {promise} - a promise that resolves into true|false
+         */
+        var isDraft = function(subset, recordID) {
+
+            var table = subset.table;
+
+            if (!recordID) {
+                return $q.resolve(false);
+            }
+            return subset.where(table.$('id').is(recordID).and(
+                                table.$('em_incomplete').is(true)))
+                         .count().then(function(count) {
+                return count > 0;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Ask the user whether to resume the most recent draft in a subset
+         *
+         * @param {Subset} subset - the subset
+         * @param {function} onResume - callback function to resume the
+         *                              draft, receives the record ID
+         */
+        var resumePrompt = function(subset, onResume) {
+
+            latest(subset).then(function(recordID) {
+                if (!recordID) {
+                    return;
+                }
+                emDialogs.confirmAction(
+                    'Resume Draft',
+                    'There is an unfinished entry for this form. Do you want to continue it?',
+                    {
+                        okText: 'Resume',
+                        cancelText: 'Start New'
+                    },
+                    function() {
+                        onResume(recordID);
+                    });
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+
+            /**
+             * Get a Draft for a form
+             *
+             * @param {Subset} subset - the subset to store the draft in
+             * @param {integer} recordID - the record ID of an existing draft
+             * @param {object} values - the initial form data
+             *
+             * @returns {Draft} - the Draft
+             */
+            draft: function(subset, recordID, values) {
+                return new Draft(subset, recordID, values);
+            },
+
+            /**
+             * Start autosaving a draft
+             *
+             * @param {object} $scope - the form scope
+             * @param {function} saveDraft - function to save the draft
+             *
+             * @returns {Autosave} - the Autosave
+             */
+            autosave: function($scope, saveDraft) {
+                return new Autosave($scope, saveDraft);
+            },
+
+            latest: latest,
+            isDraft: isDraft,
+            resumePrompt: resumePrompt
+        };
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,987 @@
+/**
+ * Sahana Eden Mobile - Calculated Fields
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Helpers
+    //
+    var isEmpty = function(value) {
+        return value === undefined || value === null || value === '';
+    };
+
+    var isDate = function(value) {
+        return value instanceof Date;
+    };
+
+    var toNumber = function(value) {
+        if (isEmpty(value)) {
+            return null;
+        }
+        if (isDate(value)) {
+            return value.getTime();
+        }
+        if (typeof value == 'boolean') {
+            return value ? 1 : 0;
+        }
+        var number = value - 0;
+        return isNaN(number) ? null : number;
+    };
+
+    var toText = function(value) {
+        if (isEmpty(value)) {
+            return '';
+        }
+        if (isDate(value)) {
+            return value.toISOString().slice(0, 10);
+        }
+        return '' + value;
+    };
+
+    var toDate = function(value) {
+        if (isEmpty(value)) {
+            return null;
+        }
+        var date = isDate(value) ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    };
+
+    var toList = function(value) {
+        if (isEmpty(value)) {
+            return [];
+        }
+        return value.constructor === Array ? value : [value];
+    };
+
+    // Collect all items from function arguments, flattening arrays
+    var collect = function(args) {
+        var items = [];
+        args.forEach(function(arg) {
+            toList(arg).forEach(function(item) {
+                if (!isEmpty(item)) {
+                    items.push(item);
+                }
+            });
+        });
+        return items;
+    };
+
+    // ========================================================================
+    // Functions available in expressions
+    //
+    var functions = {
+
+        // --------------------------------------------------------------------
+        // Conditional, if(condition, then, else)
+        'if': function(condition, thenValue, elseValue) {
+            return condition ? thenValue : (elseValue === undefined ? null : elseValue);
+        },
+
+        // First non-empty value
+        coalesce: function() {
+            var args = Array.prototype.slice.call(arguments);
+            for (var i = 0; i < args.length; i++) {
+                if (!isEmpty(args[i])) {
+                    return args[i];
+                }
+            }
+            return null;
+        },
+
+        // --------------------------------------------------------------------
+        // Numbers
+        number: toNumber,
+        round: function(value, digits) {
+            value = toNumber(value);
+            if (value === null) {
+                return null;
+            }
+            var factor = Math.pow(10, toNumber(digits) || 0);
+            return Math.round(value * factor) / factor;
+        },
+        floor: function(value) {
+            value = toNumber(value);
+            return value === null ? null : Math.floor(value);
+        },
+        ceil: function(value) {
+            value = toNumber(value);
+            return value === null ? null : Math.ceil(value);
+        },
+        abs: function(value) {
+            value = toNumber(value);
+            return value === null ? null : Math.abs(value);
+        },
+
+        // --------------------------------------------------------------------
+        // Strings
+        string: toText,
+        concat: function() {
+            return Array.prototype.slice.call(arguments).map(toText).join('');
+        },
+        upper: function(value) {
+            return toText(value).toUpperCase();
+        },
+        lower: function(value) {
+            return toText(value).toLowerCase();
+        },
+        length: function(value) {
+            return toText(value).length;
+        },
+
+        // --------------------------------------------------------------------
+        // Dates
+        today: function() {
+            var now = new Date();
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        },
+        now: function() {
+            return new Date();
+        },
+        date: toDate,
+
+        /**
+         * Difference between two dates, datediff(start, end, unit)
+         * - unit: 'days' (default), 'weeks', 'months' or 'years'
+         * - months and years are counted as completed calendar units
+         */
+        datediff: function(start, end, unit) {
+            start = toDate(start);
+            end = toDate(end);
+            if (!start || !end) {
+                return null;
+            }
+            var months;
+            switch(unit) {
+                case 'weeks':
+                    return Math.floor((end - start) / 604800000);
+                case 'months':
+                case 'years':
+                    months = (end.getFullYear() - start.getFullYear()) * 12 +
+                             end.getMonth() - start.getMonth();
+                    if (end.getDate() < start.getDate()) {
+                        months--;
+                    }
+                    return unit == 'years' ? Math.floor(months / 12) : months;
+                default:
+                    // Ignore daylight saving time shifts
+                    return Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+                                       Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / 86400000);
+            }
+        },
+
+        // --------------------------------------------------------------------
+        // Lists (multiple selections, columns of repeating components)
+
+        /**
+         * Number of items, count(value)
+         * - for a multiple-selection field: number of selected options
+         * - for a repeating component: number of rows
+         * - otherwise: 1 if not empty, else 0
+         */
+        count: function(value) {
+            if (isEmpty(value)) {
+                return 0;
+            }
+            if (value.constructor === Array) {
+                return value.filter(function(item) {
+                    return !isEmpty(item);
+                }).length;
+            }
+            return 1;
+        },
+
+        // Whether a value is selected, selected(field, value)
+        selected: function(value, option) {
+            return toList(value).some(function(item) {
+                return item == option;
+            });
+        },
+
+        sum: function() {
+            return collect(Array.prototype.slice.call(arguments)).reduce(function(total, item) {
+                return total + (toNumber(item) || 0);
+            }, 0);
+        },
+        min: function() {
+            var items = collect(Array.prototype.slice.call(arguments)).map(toNumber);
+            return items.length ? Math.min.apply(null, items) : null;
+        },
+        max: function() {
+            var items = collect(Array.prototype.slice.call(arguments)).map(toNumber);
+            return items.length ? Math.max.apply(null, items) : null;
+        },
+        avg: function() {
+            var items = collect(Array.prototype.slice.call(arguments)).map(toNumber);
+            if (!items.length) {
+                return null;
+            }
+            return items.reduce(function(total, item) {
+                return total + item;
+            }, 0) / items.length;
+        }
+    };
+
+    // ========================================================================
+    // Tokenizer
+    //
+    var tokenPattern = /^\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(==|!=|<>|<=|>=|&&|\|\||[-+*\/%<>=!(),]))/;
+
+    /**
+     * Split an expression into tokens
+     *
+     * @param {string} expression - the expression
+     *
+     * @returns {Array} - array of tokens {type: 'num'|'str'|'name'|'op', value}
+     */
+    var tokenize = function(expression) {
+
+        var tokens = [],
+            remaining = expression,
+            match;
+
+        while (remaining.trim()) {
+            match = tokenPattern.exec(remaining);
+            if (!match) {
+                throw new Error('Invalid expression at "' + remaining.trim() + '"');
+            }
+            remaining = remaining.slice(match[0].length);
+
+            if (match[1] !== undefined) {
+                tokens.push({type: 'num', value: parseFloat(match[1])});
+            } else if (match[2] !== undefined) {
+                tokens.push({
+                    type: 'str',
+                    value: match[2].slice(1, -1).replace(/\\(.)/g, '$1')
+                });
+            } else if (match[3] !== undefined) {
+                tokens.push({type: 'name', value: match[3]});
+            } else {
+                tokens.push({type: 'op', value: match[4]});
+            }
+        }
+        return tokens;
+    };
+
+    // ========================================================================
+    /**
+     * Parser for calculation expressions; produces a tree of nodes:
+     *
+     *  {type: 'literal', value: value}
+     *  {type: 'name', name: name}
+     *  {type: 'call', name: functionName, args: [node, ...]}
+     *  {type: 'unary', op: op, arg: node}
+     *  {type: 'binary', op: op, left: node, right: node}
+     *
+     * @param {Array} tokens - the tokens of the expression
+     */
+    function Parser(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    Parser.prototype.peek = function() {
+        return this.tokens[this.position];
+    };
+
+    Parser.prototype.next = function() {
+        return this.tokens[this.position++];
+    };
+
+    /**
+     * Consume the next token if it is one of the given operators/keywords
+     *
+     * @returns {string} - the operator, or undefined if none matches
+     */
+    Parser.prototype.accept = function() {
+        var token = this.peek(),
+            options = Array.prototype.slice.call(arguments);
+        if (token && (token.type == 'op' || token.type == 'name') && options.indexOf(token.value) != -1) {
+            this.position++;
+            return token.value;
+        }
+    };
+
+    Parser.prototype.expect = function(op) {
+        if (!this.accept(op)) {
+            throw new Error('Expected "' + op + '"');
+        }
+    };
+
+    Parser.prototype.parse = function() {
+        var node = this.or();
+        if (this.peek()) {
+            throw new Error('Unexpected token "' + this.peek().value + '"');
+        }
+        return node;
+    };
+
+    Parser.prototype.binary = function(operand, operators, normalize) {
+        var node = operand.call(this),
+            op;
+        while ((op = this.accept.apply(this, operators))) {
+            node = {
+                type: 'binary',
+                op: normalize && normalize[op] || op,
+                left: node,
+                right: operand.call(this)
+            };
+        }
+        return node;
+    };
+
+    Parser.prototype.or = function() {
+        return this.binary(this.and, ['or', '||'], {'||': 'or'});
+    };
+
+    Parser.prototype.and = function() {
+        return this.binary(this.not, ['and', '&&'], {'&&': 'and'});
+    };
+
+    Parser.prototype.not = function() {
+        if (this.accept('not', '!')) {
+            return {type: 'unary', op: 'not', arg: this.not()};
+        }
+        return this.comparison();
+    };
+
+    Parser.prototype.comparison = function() {
+        var node = this.additive(),
+            op = this.accept('==', '=', '!=', '<>', '<', '<=', '>', '>=');
+        if (op) {
+            node = {
+                type: 'binary',
+                op: {'=': '==', '<>': '!='}[op] || op,
+                left: node,
+                right: this.additive()
+            };
+        }
+        return node;
+    };
+
+    Parser.prototype.additive = function() {
+        return this.binary(this.multiplicative, ['+', '-']);
+    };
+
+    Parser.prototype.multiplicative = function() {
+        return this.binary(this.unary, ['*', '/', '%']);
+    };
+
+    Parser.prototype.unary = function() {
+        if (this.accept('-')) {
+            return {type: 'unary', op: '-', arg: this.unary()};
+        }
+        return this.primary();
+    };
+
+    Parser.prototype.primary = function() {
+
+        var token = this.next();
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        switch(token.type) {
+            case 'num':
+            case 'str':
+                return {type: 'literal', value: token.value};
+            case 'name':
+                switch(token.value) {
+                    case 'true':
+                        return {type: 'literal', value: true};
+                    case 'false':
+                        return {type: 'literal', value: false};
+                    case 'null':
+                        return {type: 'literal', value: null};
+                    default:
+                        break;
+                }
+                if (this.accept('(')) {
+                    var name = token.value,
+                        args = [];
+                    if (!functions.hasOwnProperty(name)) {
+                        throw new Error('Unknown function "' + name + '"');
+                    }
+                    if (!this.accept(')')) {
+                        do {
+                            args.push(this.or());
+                        } while (this.accept(','));
+                        this.expect(')');
+                    }
+                    return {type: 'call', name: name, args: args};
+                }
+                return {type: 'name', name: token.value};
+            default:
+                if (token.value == '(') {
+                    var node = this.or();
+                    this.expect(')');
+                    return node;
+                }
+                throw new Error('Unexpected token "' + token.value + '"');
+        }
+    };
+
+    // ========================================================================
+    /**
+     * Calculation - a parsed calculation expression
+     *
+     * @param {string} expression - the expression
+     *
+     * @property {string} error - the parse error message if the expression
+     *                            is invalid (evaluate then returns null)
+     */
+    function Calculation(expression) {
+
+        this.expression = expression;
+
+        try {
+            this.tree = new Parser(tokenize('' + expression)).parse();
+        } catch(e) {
+            this.error = 'Invalid calculation "' + expression + '": ' + e.message;
+        }
+    }
+
+    /**
+     * Get the names referenced in the expression
+     *
+     * @returns {Array} - array of names (field names, or alias.fieldName
+     *                    for columns of components)
+     */
+    Calculation.prototype.references = function() {
+
+        var names = [],
+            walk = function(node) {
+                if (!node) {
+                    return;
+                }
+                switch(node.type) {
+                    case 'name':
+                        if (names.indexOf(node.name) == -1) {
+                            names.push(node.name);
+                        }
+                        break;
+                    case 'call':
+                        node.args.forEach(walk);
+                        break;
+                    case 'unary':
+                        walk(node.arg);
+                        break;
+                    case 'binary':
+                        walk(node.left);
+                        walk(node.right);
+                        break;
+                    default:
+                        break;
+                }
+            };
+
+        walk(this.tree);
+        return names;
+    };
+
+    /**
+     * Evaluate the expression
+     *
+     * @param {object} form - the form data {fieldName: value}
+     * @param {object} rosters - the rows of repeating components,
+     *                           {alias: {rows: [{fieldName: value}, ...]}}
+     *
+     * @returns {*} - the result of the calculation, or null if the
+     *                expression is invalid or can not be evaluated
+     */
+    Calculation.prototype.evaluate = function(form, rosters) {
+
+        if (!this.tree) {
+            return null;
+        }
+
+        var lookup = function(name) {
+
+            // Rows of a repeating component, or a column thereof
+            var path = name.split('.'),
+                roster = rosters && rosters[path[0]];
+            if (roster) {
+                var rows = roster.rows || [];
+                if (path.length == 1) {
+                    return rows;
+                }
+                return rows.map(function(row) {
+                    return row[path[1]];
+                });
+            }
+
+            var value = form ? form[name] : undefined;
+            return value === undefined ? null : value;
+        };
+
+        var evaluate = function(node) {
+
+            var left,
+                right;
+
+            switch(node.type) {
+
+                case 'literal':
+                    return node.value;
+
+                case 'name':
+                    return lookup(node.name);
+
+                case 'call':
+                    if (node.name == 'if') {
+                        // Evaluate only the chosen branch
+                        return evaluate(node.args[0]) ?
+                               (node.args[1] ? evaluate(node.args[1]) : null) :
+                               (node.args[2] ? evaluate(node.args[2]) : null);
+                    }
+                    return functions[node.name].apply(null, node.args.map(evaluate));
+
+                case 'unary':
+                    left = evaluate(node.arg);
+                    if (node.op == 'not') {
+                        return !left;
+                    }
+                    left = toNumber(left);
+                    return left === null ? null : -left;
+
+                case 'binary':
+                    if (node.op == 'and') {
+                        return evaluate(node.left) && evaluate(node.right);
+                    } else if (node.op == 'or') {
+                        return evaluate(node.left) || evaluate(node.right);
+                    }
+                    left = evaluate(node.left);
+                    right = evaluate(node.right);
+                    return binaryOperation(node.op, left, right);
+
+                default:
+                    return null;
+            }
+        };
+
+        try {
+            return evaluate(this.tree);
+        } catch(e) {
+            return null;
+        }
+    };
+
+    /**
+     * Apply a binary operator
+     *
+     * @param {string} op - the operator
+     * @param {*} left - the left operand
+     * @param {*} right - the right operand
+     *
+     * @returns {*} - the result
+     */
+    var binaryOperation = function(op, left, right) {
+
+        // Strings are concatenated
+        if (op == '+' && (typeof left == 'string' || typeof right == 'string')) {
+            return toText(left) + toText(right);
+        }
+
+        // Dates are compared by value
+        if (isDate(left) || isDate(right)) {
+            left = toNumber(left);
+            right = toNumber(right);
+        }
+
+        switch(op) {
+            case '==':
+                return isEmpty(left) && isEmpty(right) || left == right;
+            case '!=':
+                return !(isEmpty(left) && isEmpty(right) || left == right);
+            default:
+                break;
+        }
+
+        if (isEmpty(left) || isEmpty(right)) {
+            // No arithmetic or ordering with missing values
+            return ['<', '<=', '>', '>='].indexOf(op) == -1 ? null : false;
+        }
+
+        switch(op) {
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            case '>=':
+                return left >= right;
+            default:
+                break;
+        }
+
+        left = toNumber(left);
+        right = toNumber(right);
+        if (left === null || right === null) {
+            return null;
+        }
+
+        var result;
+        switch(op) {
+            case '+':
+                result = left + right;
+                break;
+            case '-':
+                result = left - right;
+                break;
+            case '*':
+                result = left * right;
+                break;
+            case '/':
+                result = left / right;
+                break;
+            case '%':
+                result = left % right;
+                break;
+            default:
+                return null;
+        }
+        return isFinite(result) ? result : null;
+    };
+
+    // ========================================================================
+    /**
+     * emCalculate - Service for calculated fields
+     *
+     * Fields can be calculated from other fields by specifying an
+     * expression as "calculate" in the field description (or its
+     * settings), e.g.:
+     *
+     *      {"type": "integer", "calculate": "adults + children"}
+     *
+     * Expressions support:
+     *
+     *      - numbers, 'strings', true, false, null, and field names
+     *      - arithmetic: + - * / % (+ concatenates if either side is a string)
+     *      - comparison: == != < <= > >=, logic: and or not
+     *      - conditionals: if(condition, value, otherwise)
+     *      - functions: coalesce, number, round, floor, ceil, abs,
+     *                   string, concat, upper, lower, length,
+     *                   today, now, date, datediff(start, end, unit),
+     *                   count, selected(field, option), sum, min, max, avg
+     *
+     * Columns of multiple-components (e.g. repeat groups) are referenced
+     * as alias.fieldName, e.g. "sum(members.income)", "count(members)".
+     *
+     * @class emCalculate
+     * @memberof EdenMobile
+     */
+    EdenMobile.factory('emCalculate', [
+        '$q',
+        function($q) {
+
+            // Parsed expressions
+            var parsed = {};
+
+            // ----------------------------------------------------------------
+            /**
+             * Get a parsed calculation expression
+             *
+             * @param {string} expression - the expression
+             *
+             * @returns {Calculation} - the parsed expression; if the
+             *                          expression is invalid, its error
+             *                          property holds the parse error
+             */
+            var parse = function(expression) {
+
+                var calculation = parsed[expression];
+                if (!calculation) {
+                    calculation = parsed[expression] = new Calculation(expression);
+                }
+                return calculation;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the calculation expression for a field
+             *
+             * @param {Field} field - the Field
+             *
+             * @returns {Calculation} - the parsed expression, or undefined
+             *                          if the field is not calculated
+             */
+            var getCalculation = function(field) {
+
+                var description = field._description || {},
+                    expression = description.calculate || field.getSetting('calculate');
+
+                if (expression) {
+                    return parse(expression);
+                }
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get all calculations for a resource
+             *
+             * @param {Resource} resource - the Resource
+             *
+             * @returns {object} - {fieldName: Calculation}
+             */
+            var getCalculations = function(resource) {
+
+                var fields = resource.fields,
+                    calculations = {},
+                    calculation;
+
+                for (var fieldName in fields) {
+                    calculation = getCalculation(fields[fieldName]);
+                    if (calculation) {
+                        calculations[fieldName] = calculation;
+                    }
+                }
+                return calculations;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Convert the result of a calculation to the field type
+             *
+             * @param {Field} field - the Field
+             * @param {*} value - the result of the calculation
+             *
+             * @returns {*} - the field value
+             */
+            var convert = function(field, value) {
+
+                if (isEmpty(value)) {
+                    return null;
+                }
+
+                switch(field.type) {
+                    case 'integer':
+                        value = toNumber(value);
+                        return value === null ? null : Math.round(value);
+                    case 'double':
+                        return toNumber(value);
+                    case 'boolean':
+                        return !!value;
+                    case 'date':
+                    case 'datetime':
+                        return toDate(value);
+                    case 'string':
+                    case 'text':
+                        return toText(value);
+                    default:
+                        return value;
+                }
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Calculate the value for a field
+             *
+             * @param {Field} field - the Field
+             * @param {object} form - the form data
+             * @param {object} rosters - the rows of repeating components
+             *                           {alias: {rows: []}}
+             *
+             * @returns {*} - the calculated field value
+             */
+            var calculate = function(field, form, rosters) {
+
+                var calculation = getCalculation(field);
+                if (!calculation) {
+                    return form[field.name];
+                }
+                return convert(field, calculation.evaluate(form, rosters));
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Re-evaluate all calculated fields of a resource, e.g. before
+             * saving the record
+             *
+             * @param {Resource} resource - the Resource
+             * @param {object} values - the record data {fieldName: value},
+             *                          will be updated in-place
+             * @param {object} rosters - the rows of repeating components
+             *                           {alias: {rows: []}}
+             *
+             * @returns {object} - the record data
+             */
+            var apply = function(resource, values, rosters) {
+
+                var calculations = getCalculations(resource),
+                    fieldNames = Object.keys(calculations),
+                    fields = resource.fields;
+
+                // Calculations can depend on other calculated fields,
+                // so repeat until the values are stable
+                var passes = fieldNames.length,
+                    changed = true;
+                while (changed && passes--) {
+                    changed = false;
+                    fieldNames.forEach(function(fieldName) {
+                        var field = fields[fieldName],
+                            value = convert(field, calculations[fieldName].evaluate(values, rosters));
+                        if (!angular.equals(value, values[fieldName])) {
+                            values[fieldName] = value;
+                            changed = true;
+                        }
+                    });
+                }
+                return values;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the aliases of the multiple-components referenced by
+             * the calculated fields of a resource
+             *
+             * @param {Resource} resource - the Resource
+             *
+             * @returns {Array} - the component aliases
+             */
+            var getComponents = function(resource) {
+
+                var calculations = getCalculations(resource),
+                    aliases = [];
+
+                for (var fieldName in calculations) {
+                    calculations[fieldName].references().forEach(function(name) {
+                        var alias = name.split('.')[0];
+                        if (aliases.indexOf(alias) != -1 || resource.fields.hasOwnProperty(alias)) {
+                            return;
+                        }
+                        var component = resource.component(alias);
+                        if (component && component.multiple) {
+                            aliases.push(alias);
+                        }
+                    });
+                }
+                return aliases;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Load the rows of all multiple-components referenced by
+             * the calculated fields of a resource
+             *
+             * @param {Resource} resource - the Resource
+             * @param {integer} recordID - the master record ID
+             * @param {object} rosters - rows already loaded {alias: {rows: []}},
+             *                           these will not be reloaded
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      rosters {alias: {rows: []}}
+             */
+            var loadRosters = function(resource, recordID, rosters) {
+
+                rosters = rosters || {};
+
+                var queries = [];
+                getComponents(resource).forEach(function(alias) {
+
+                    if (rosters[alias]) {
+                        return;
+                    }
+                    var roster = rosters[alias] = {rows: []};
+                    if (!recordID) {
+                        return;
+                    }
+
+                    var component = resource.component(alias),
+                        fieldNames = Object.keys(component.fields);
+                    queries.push(component.subSet(recordID).select(fieldNames).then(function(rows) {
+                        roster.rows = rows.map(function(row) {
+                            return row._();
+                        });
+                    }));
+                });
+
+                return $q.all(queries).then(function() {
+                    return rosters;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Evaluate the calculated fields of a resource live in a scope
+             *
+             * @param {object} $scope - the scope
+             * @param {Resource} resource - the Resource
+             * @param {string} scopeName - name of the scope object holding
+             *                             the form data (default: 'form')
+             *
+             * @returns {function} - function to stop the evaluation
+             */
+            var watch = function($scope, resource, scopeName) {
+
+                if (!scopeName) {
+                    scopeName = 'form';
+                }
+
+                var calculations = getCalculations(resource),
+                    fieldNames = Object.keys(calculations),
+                    fields = resource.fields;
+
+                if (!fieldNames.length) {
+                    return angular.noop;
+                }
+
+                return $scope.$watch(function(scope) {
+                    var form = scope[scopeName],
+                        results = {};
+                    if (form) {
+                        fieldNames.forEach(function(fieldName) {
+                            var value = calculations[fieldName].evaluate(form, scope.rosters);
+                            results[fieldName] = convert(fields[fieldName], value);
+                        });
+                    }
+                    return results;
+                }, function(results) {
+                    var form = $scope[scopeName];
+                    if (form) {
+                        angular.extend(form, results);
+                    }
+                }, true);
+            };
+
+            // ----------------------------------------------------------------
+            // API
+            //
+            return {
+                parse: parse,
+                getCalculation: getCalculation,
+                getCalculations: getCalculations,
+                calculate: calculate,
+                apply: apply,
+                loadRosters: loadRosters,
+                watch: watch
+            };
+        }
+    ]);
+
+})(EdenMobile);
+
+// END ========================================================================
@@ -24,7 +24,8 @@
  */
 
 EdenMobile.factory('emDisplayLogic', [
-    function() {
+    'emCalculate',
+    function(emCalculate) {
 
         /**
          * Type-check helpers
@@ -35,6 +36,91 @@ EdenMobile.factory('emDisplayLogic', [
         var isArray = function(value) {
             return value && typeof value === 'object' && value.constructor === Array;
         };
+        var isEmpty = function(value) {
+            return value === undefined || value === null || value === '' ||
+                   isArray(value) && !value.length;
+        };
+
+        /**
+         * Convert dates (or ISO date strings compared to dates) into
+         * time values, so that they can be compared
+         *
+         * @param {*} a - the first value
+         * @param {*} b - the second value
+         *
+         * @returns {Array} - the comparable values [a, b]
+         */
+        var comparable = function(a, b) {
+            if (a instanceof Date || b instanceof Date) {
+                return [a, b].map(function(value) {
+                    if (isEmpty(value)) {
+                        // Not comparable
+                        return NaN;
+                    } else if (value instanceof Date) {
+                        return value.getTime();
+                    } else if (typeof value == 'string') {
+                        return new Date(value).getTime();
+                    }
+                    return value;
+                });
+            }
+            return [a, b];
+        };
+
+        /**
+         * Check whether an Array contains a value, comparing the same
+         * way as eq/ne (i.e. loosely, so that e.g. 1 matches '1')
+         *
+         * @param {Array} items - the Array
+         * @param {*} value - the value
+         *
+         * @returns {boolean} - whether the Array contains the value
+         */
+        var hasItem = function(items, value) {
+            return items.some(function(item) {
+                var values = comparable(item, value);
+                return values[0] == values[1];
+            });
+        };
+
+        /**
+         * Compute a date relative to today
+         *
+         * @param {string} offset - the offset, e.g. '-18 years', '+2 weeks',
+         *                          'today'
+         *
+         * @returns {Date} - the date, or undefined if offset is invalid
+         */
+        var relativeDate = function(offset) {
+
+            var now = new Date(),
+                date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+            if (!offset || offset == 'today') {
+                return date;
+            }
+
+            var match = /^\s*([+-]?\d+)\s*(day|week|month|year)s?\s*$/i.exec('' + offset);
+            if (!match) {
+                return;
+            }
+            var amount = match[1] - 0;
+            switch(match[2].toLowerCase()) {
+                case 'day':
+                    date.setDate(date.getDate() + amount);
+                    break;
+                case 'week':
+                    date.setDate(date.getDate() + amount * 7);
+                    break;
+                case 'month':
+                    date.setMonth(date.getMonth() + amount);
+                    break;
+                case 'year':
+                    date.setFullYear(date.getFullYear() + amount);
+                    break;
+            }
+            return date;
+        };
 
         /**
          * Display Logic Rule Processor; for use with ngShow
@@ -43,6 +129,8 @@ EdenMobile.factory('emDisplayLogic', [
          * @param {object} form - the form data object (scope model)
          * @param {string} fieldName - name of the field the rule is for
          * @param {*} - the display logic rule
+         * @param {object} parentForm - the form data object of the parent
+         *                              record (for rows in repeat groups)
          *
          * Rule format:
          *
@@ -52,6 +140,23 @@ EdenMobile.factory('emDisplayLogic', [
          *                                             op-value-pairs can be specified
          *                                             (all must apply = AND)
          *
+         *      further operators:
+         *        - in|notIn: [value, ...]           - value is (not) one of the values
+         *        - contains: value|[value, ...]     - multiple-selection contains the
+         *                                             value(s)
+         *        - isEmpty: true|false              - value is (not) empty
+         *        - regex: pattern                   - value matches a regular expression
+         *
+         *      instead of a constant, the value can also be:
+         *        - {"field": fieldName}             - the value of another field
+         *        - {"date": offset}                 - a date relative to today, e.g.
+         *                                             {"date": "-18 years"}, so that
+         *                                             {"field": "dob", "le": {"date": "-18 years"}}
+         *                                             means older than 18 years
+         *
+         *      {"expression": expression}           - field will show when the expression
+         *                                             (see emCalculate) evaluates true
+         *
          *      otherFieldName                       - the field will show when the other
          *                                             field is not empty
          *
@@ -63,11 +168,16 @@ EdenMobile.factory('emDisplayLogic', [
          *
          *      any other value                      - field will show if value is truthy
          *
+         * In repeat groups, rules can refer to fields of the parent record
+         * by prefixing the field name with "$parent.", e.g.:
+         *
+         *      {"field": "$parent.household_size", "gt": 2}
          */
-        function DisplayLogic(form, fieldName, rule) {
+        function DisplayLogic(form, fieldName, rule, parentForm) {
 
             this.form = form;
             this.fieldName = fieldName;
+            this.parentForm = parentForm;
 
             var conditions;
 
@@ -97,7 +207,7 @@ EdenMobile.factory('emDisplayLogic', [
                 // Create child instances
                 conditions = [];
                 rules.forEach(function(c) {
-                    conditions.push(new DisplayLogic(form, fieldName, c).show);
+                    conditions.push(new DisplayLogic(form, fieldName, c, parentForm).show);
                 });
 
                 // Construct this.how
@@ -115,6 +225,12 @@ EdenMobile.factory('emDisplayLogic', [
 
                 // Single rule
 
+                // Expression rule
+                if (rule.expression) {
+                    this.show = this.expression(rule.expression);
+                    return;
+                }
+
                 // Get field name
                 var other = rule.field;
                 if (!other || other == fieldName) {
@@ -148,6 +264,21 @@ EdenMobile.factory('emDisplayLogic', [
                         case 'ge':
                             conditions.push(this.ge(other, value));
                             break;
+                        case 'in':
+                            conditions.push(this.in(other, value));
+                            break;
+                        case 'notIn':
+                            conditions.push(this.notIn(other, value));
+                            break;
+                        case 'contains':
+                            conditions.push(this.contains(other, value));
+                            break;
+                        case 'isEmpty':
+                            conditions.push(this.isEmpty(other, value));
+                            break;
+                        case 'regex':
+                            conditions.push(this.regex(other, value));
+                            break;
                         case 'selectedRegion':
                             conditions.push(this.selectedRegion(other, value));
                             break;
@@ -180,14 +311,17 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.eq = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                var fieldValue = form[other];
+                var fieldValue = getValue(),
+                    operand = getOperand();
                 if (isArray(fieldValue)) {
                     // Treat as containment-operator with Array
-                    return fieldValue.indexOf(value) != -1;
+                    return hasItem(fieldValue, operand);
                 } else {
-                    return fieldValue == value;
+                    var values = comparable(fieldValue, operand);
+                    return values[0] == values[1];
                 }
             };
         };
@@ -198,9 +332,11 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.ne = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                return form[other] != value;
+                var values = comparable(getValue(), getOperand());
+                return values[0] != values[1];
             };
         };
 
@@ -210,9 +346,11 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.lt = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                return form[other] < value;
+                var values = comparable(getValue(), getOperand());
+                return values[0] < values[1];
             };
         };
 
@@ -222,9 +360,11 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.le = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                return form[other] <= value;
+                var values = comparable(getValue(), getOperand());
+                return values[0] <= values[1];
             };
         };
 
@@ -234,9 +374,11 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.gt = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                return form[other] > value;
+                var values = comparable(getValue(), getOperand());
+                return values[0] > values[1];
             };
         };
 
@@ -246,9 +388,114 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.ge = function(other, value) {
-            var form = this.form;
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
             return function() {
-                return form[other] >= value;
+                var values = comparable(getValue(), getOperand());
+                return values[0] >= values[1];
+            };
+        };
+
+        /**
+         * Show field if other field has one of the values; if the other
+         * field has multiple values, any of them must be in values
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.in = function(other, value) {
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
+            return function() {
+                var fieldValue = getValue(),
+                    options = getOperand();
+                if (!isArray(options)) {
+                    options = [options];
+                }
+                if (isArray(fieldValue)) {
+                    return fieldValue.some(function(item) {
+                        return hasItem(options, item);
+                    });
+                }
+                return hasItem(options, fieldValue);
+            };
+        };
+
+        /**
+         * Show field if other field has none of the values
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.notIn = function(other, value) {
+            var isIn = this.in(other, value);
+            return function() {
+                return !isIn();
+            };
+        };
+
+        /**
+         * Show field if other field (multiple-selection) contains the
+         * value, or all of the values if value is an Array
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.contains = function(other, value) {
+            var getValue = this.getter(other),
+                getOperand = this.operand(value);
+            return function() {
+                var fieldValue = getValue(),
+                    required = getOperand();
+                if (isEmpty(fieldValue)) {
+                    return false;
+                }
+                if (!isArray(required)) {
+                    required = [required];
+                }
+                if (isArray(fieldValue)) {
+                    return required.every(function(item) {
+                        return hasItem(fieldValue, item);
+                    });
+                }
+                // Substring of a text
+                fieldValue = '' + fieldValue;
+                return required.every(function(item) {
+                    return fieldValue.indexOf('' + item) != -1;
+                });
+            };
+        };
+
+        /**
+         * Show field if other field is empty (value=true), or if it
+         * is not empty (value=false)
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.isEmpty = function(other, value) {
+            var getValue = this.getter(other);
+            return function() {
+                return isEmpty(getValue()) == !!value;
+            };
+        };
+
+        /**
+         * Show field if other field matches a regular expression
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.regex = function(other, value) {
+
+            var getValue = this.getter(other),
+                pattern;
+            try {
+                pattern = new RegExp(value);
+            } catch(e) {
+                return this.never;
+            }
+            return function() {
+                var fieldValue = getValue();
+                if (isEmpty(fieldValue)) {
+                    return false;
+                }
+                return pattern.test('' + fieldValue);
             };
         };
 
@@ -259,7 +506,7 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.selectedRegion = function(other, value) {
-            var form = this.form,
+            var getValue = this.getter(other),
                 showIf;
 
             value = value - 0;
@@ -268,7 +515,7 @@ EdenMobile.factory('emDisplayLogic', [
                 showIf = this.never;
             } else {
                 showIf = function() {
-                    var fieldValue = form[other];
+                    var fieldValue = getValue();
                     if (isObject(fieldValue)) {
                         var selectedRegions = fieldValue.selectedRegions;
                         if (isArray(selectedRegions)) {
@@ -281,6 +528,81 @@ EdenMobile.factory('emDisplayLogic', [
             return showIf;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get a function to look up the current value of another field,
+         * either in this form, or - with "$parent." prefix - in the form
+         * of the parent record
+         *
+         * @param {string} other - name of the other field
+         *
+         * @returns {function} - function returning the current value
+         */
+        DisplayLogic.prototype.getter = function(other) {
+
+            var form = this.form,
+                prefix = '$parent.';
+
+            if (other && other.slice(0, prefix.length) == prefix) {
+                var parentForm = this.parentForm,
+                    parentField = other.slice(prefix.length);
+                return function() {
+                    return parentForm ? parentForm[parentField] : undefined;
+                };
+            }
+            return function() {
+                return form[other];
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a function to look up the value to compare with, which is
+         * either a constant, the value of another field ({field: name}),
+         * or a date relative to today ({date: offset})
+         *
+         * @param {*} value - the value from the rule
+         *
+         * @returns {function} - function returning the current value
+         */
+        DisplayLogic.prototype.operand = function(value) {
+
+            if (isObject(value)) {
+                if (value.field) {
+                    return this.getter(value.field);
+                } else if (value.hasOwnProperty('date')) {
+                    var offset = value.date;
+                    return function() {
+                        return relativeDate(offset);
+                    };
+                }
+            }
+            return function() {
+                return value;
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Show field if an expression evaluates true
+         *
+         * @param {string} expression - the expression (see emCalculate)
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.expression = function(expression) {
+
+            var calculation = emCalculate.parse(expression),
+                form = this.form;
+
+            if (calculation.error) {
+                return this.never;
+            }
+            return function() {
+                return !!calculation.evaluate(form);
+            };
+        };
+
         // --------------------------------------------------------------------
         /**
          * Show the field always
@@ -350,9 +672,9 @@ EdenMobile.factory('emDisplayLogic', [
          * @returns {function} - show-function
          */
         DisplayLogic.prototype.ifNotEmpty = function(other) {
-            var form = this.form;
+            var getValue = this.getter(other);
             return function() {
-                return !!form[other];
+                return !!getValue();
             };
         };
 
@@ -31,7 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.factory('emForms', [
-    function () {
+    'emCalculate',
+    function (emCalculate) {
 
         "use strict";
 
@@ -52,7 +53,9 @@ EdenMobile.factory('emForms', [
                 custom_widget = fieldDescription.widget || (fieldDescription.settings && fieldDescription.settings.widget);
 
             if (field.hasOptions()) {
-                if ((custom_widget === Object(custom_widget)) && custom_widget.type == "location") {
+                if ((custom_widget === Object(custom_widget)) && custom_widget.type == "point") {
+                    widgetType = '<em-point-widget>';
+                } else if ((custom_widget === Object(custom_widget)) && custom_widget.type == "location") {
                     widgetType = '<em-location-widget>';
                 } else {
                     widgetType = '<em-options-widget>';
@@ -88,6 +91,19 @@ EdenMobile.factory('emForms', [
             widget.attr('field', field.name);
             widget.attr('widget', custom_widget); // Doesn't work for Objects
 
+            // Point widget options
+            if ((custom_widget === Object(custom_widget)) && custom_widget.type == "point") {
+                if (custom_widget.min_accuracy) {
+                    widget.attr('min-accuracy', '' + custom_widget.min_accuracy);
+                }
+                if (custom_widget.timeout) {
+                    widget.attr('timeout', '' + custom_widget.timeout);
+                }
+                if (custom_widget.map === false) {
+                    widget.attr('map', 'false');
+                }
+            }
+
             // Set disabled when not writable
             if (writable === false) {
                 widget.attr('disabled', 'disabled');
@@ -354,6 +370,11 @@ EdenMobile.factory('emForms', [
                             attr['ng-show'] = hiddenBy;
                         }
 
+                        // Calculated fields are read-only
+                        if (emCalculate.getCalculation(field)) {
+                            attr.disabled = 'disabled';
+                        }
+
                         // Auto-Totals
                         if (autototals.hasOwnProperty(fieldName)) {
                             var sumField = fieldName,
@@ -459,10 +480,25 @@ EdenMobile.factory('emForms', [
                     if (widget) {
                         // TODO use emFormStyle to produce widget
                         formRows.append(widget);
+
+                        // Server error (if the record has been rejected)
+                        var serverError = 'rejection.fields["' + fieldName + '"]',
+                            errorRow = angular.element('<div class="item item-text-wrap server-error">')
+                                              .attr('ng-if', serverError)
+                                              .text('{{' + serverError + '}}');
+                        if (hiddenBy) {
+                            errorRow.attr('ng-show', hiddenBy);
+                        }
+                        formRows.append(errorRow);
                     }
                 }
             });
 
+            // Evaluate calculated fields live
+            if ($scope) {
+                emCalculate.watch($scope, resource, scopeName);
+            }
+
             // Add form rows to form
             return form.append(formRows);
         };
@@ -27,6 +27,31 @@
 
     "use strict";
 
+    // ========================================================================
+    /**
+     * Convert a (server-side, Python) regular expression into a
+     * JavaScript regular expression pattern
+     *
+     * @param {string} pattern - the regular expression
+     *
+     * @returns {string} - the JavaScript pattern, or null if the
+     *                     pattern is not a valid regular expression
+     */
+    var jsPattern = function(pattern) {
+
+        // Python-specific syntax
+        pattern = pattern.replace(/\(\?P</g, '(?<')
+                         .replace(/\(\?P=(\w+)\)/g, '\\k<$1>')
+                         .replace(/\\A/g, '^')
+                         .replace(/\\Z/g, '$');
+        try {
+            new RegExp(pattern);
+        } catch(e) {
+            return null;
+        }
+        return pattern;
+    };
+
     // ========================================================================
     // Validation rules
     // - translate rule+options into directives and error messages
@@ -165,6 +190,151 @@
             };
         },
 
+        // --------------------------------------------------------------------
+        /**
+         * isEmail
+         *
+         * @param {object} options - the options for the rule
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         */
+        isEmail: function(options) {
+
+            var errorMsg = options.error;
+            if (!errorMsg) {
+                errorMsg = 'Enter a valid email address';
+            }
+
+            return {
+                directives: {'ng-pattern': '/^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$/'},
+                errors: ['pattern'],
+                message: errorMsg
+            };
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isMatch - value must match a regular expression
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {string} options.pattern - the regular expression
+         *  @keyword {boolean} options.search - pattern can match anywhere
+         *                                      in the value (default: must
+         *                                      match at the start)
+         *  @keyword {boolean} options.strict - pattern must match up to the
+         *                                      end of the value
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         */
+        isMatch: function(options) {
+
+            var pattern = options.pattern;
+            if (!pattern) {
+                return null;
+            }
+            // Skip invalid patterns (would break the form)
+            pattern = jsPattern('' + pattern);
+            if (pattern === null) {
+                return null;
+            }
+            pattern = '(?:' + pattern + ')';
+            if (!options.search) {
+                pattern = '^' + pattern;
+            }
+            if (options.strict) {
+                pattern += '$';
+            }
+
+            var errorMsg = options.error;
+            if (!errorMsg) {
+                errorMsg = 'Invalid value';
+            }
+
+            return {
+                directives: {'ng-pattern': '/' + pattern + '/'},
+                errors: ['pattern'],
+                message: errorMsg
+            };
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isLength - minimum/maximum length of a text
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {integer} options.min - the minimum length
+         *  @keyword {integer} options.max - the maximum length
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         */
+        isLength: function(options) {
+
+            var directives = {},
+                errors = [],
+                min = options.min,
+                max = options.max;
+            if (min && !isNaN(min - 0)) {
+                min = directives['ng-minlength'] = '' + min;
+                errors.push('minlength');
+            } else {
+                min = null;
+            }
+            if (max && !isNaN(max - 0)) {
+                max = directives['ng-maxlength'] = '' + max;
+                errors.push('maxlength');
+            } else {
+                max = null;
+            }
+            if (!errors.length) {
+                return null;
+            }
+
+            var errorMsg = options.error;
+            if (!errorMsg) {
+                if (min && max) {
+                    errorMsg = 'Enter between ' + min + ' and ' + max + ' characters';
+                } else if (min) {
+                    errorMsg = 'Enter at least ' + min + ' characters';
+                } else {
+                    errorMsg = 'Enter at most ' + max + ' characters';
+                }
+            }
+
+            return {
+                directives: directives,
+                errors: errors,
+                message: errorMsg
+            };
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isInSet - value must be one of a set of values
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {Array} options.options - the allowed values
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         */
+        isInSet: function(options) {
+
+            var values = options.options;
+            if (!values || values.constructor !== Array) {
+                return null;
+            }
+
+            var errorMsg = options.error;
+            if (!errorMsg) {
+                errorMsg = 'Value not allowed';
+            }
+
+            return {
+                directives: {'in-set': JSON.stringify(values)},
+                errors: ['inSet'],
+                message: errorMsg
+            };
+        },
+
         // --------------------------------------------------------------------
         /**
          * TODO test
@@ -253,8 +423,8 @@
      * Service to produce validation directives for form inputs
      */
     EdenMobile.factory('emValidate', [
-
-        function() {
+        'emCalculate',
+        function(emCalculate) {
 
             /**
              * Encode a validation rule as an array of validator directives
@@ -384,12 +554,285 @@
                 return directives;
             };
 
+            // --------------------------------------------------------------------
+            /**
+             * Check whether a value satisfies the validation directives
+             * of a rule (JavaScript equivalent of the directives, for
+             * validation outside of forms)
+             *
+             * @param {object} directives - the directives {'attr': 'value'}
+             * @param {*} value - the value (not empty)
+             *
+             * @returns {boolean} - whether the value is valid
+             */
+            var satisfies = function(directives, value) {
+
+                var valid = true,
+                    option,
+                    items;
+
+                for (var name in directives) {
+
+                    option = directives[name];
+
+                    switch(name) {
+                        case 'ng-pattern':
+                            var match = /^\/(.*)\/([a-z]*)$/.exec(option);
+                            if (match && typeof value != 'object') {
+                                valid = new RegExp(match[1], match[2]).test('' + value);
+                            }
+                            break;
+                        case 'min':
+                            valid = !isNaN(value - 0) && value - 0 >= option - 0;
+                            break;
+                        case 'max':
+                            valid = !isNaN(value - 0) && value - 0 <= option - 0;
+                            break;
+                        case 'ng-minlength':
+                            valid = ('' + value).length >= option - 0;
+                            break;
+                        case 'ng-maxlength':
+                            valid = ('' + value).length <= option - 0;
+                            break;
+                        case 'in-set':
+                            var values = JSON.parse(option).map(function(item) {
+                                return '' + item;
+                            });
+                            items = value.constructor === Array ? value : [value];
+                            valid = items.every(function(item) {
+                                return values.indexOf('' + item) != -1;
+                            });
+                            break;
+                        case 'max-selected':
+                            valid = value.constructor !== Array || value.length <= option - 0;
+                            break;
+                        case 'min-selected-points':
+                            items = value.selectedPoints;
+                            valid = !!items && items.constructor === Array && items.length >= option - 0;
+                            break;
+                        default:
+                            // ng-required (=missing answer), is-json (parser),
+                            // max-selected-points (enforced by the widget)
+                            break;
+                    }
+                    if (!valid) {
+                        break;
+                    }
+                }
+                return valid;
+            };
+
+            // --------------------------------------------------------------------
+            /**
+             * Check a field value against the validators of the field
+             * (e.g. to review answers outside of the form)
+             *
+             * @param {Field} field - the field
+             * @param {*} value - the value
+             *
+             * @returns {Array} - the error messages of all failed validators,
+             *                    empty values are not checked (=missing, not
+             *                    invalid)
+             */
+            var checkValue = function(field, value) {
+
+                var messages = [];
+
+                if (value === null || value === undefined || value === '' ||
+                    value.constructor === Array && !value.length) {
+                    return messages;
+                }
+
+                getDirectives(field).forEach(function(rule) {
+                    var message = rule.message;
+                    if (!message || messages.indexOf(message) != -1) {
+                        return;
+                    }
+                    if (!satisfies(rule.directives, value)) {
+                        messages.push(message);
+                    }
+                });
+
+                return messages;
+            };
+
+            // --------------------------------------------------------------------
+            /**
+             * Get the cross-field validation rules for a resource; rules
+             * are declared in the resource settings like:
+             *
+             *      "validation": [
+             *          {"expression": "end_date > start_date",
+             *           "when": "start_date != null and end_date != null",
+             *           "fields": ["end_date"],
+             *           "error": "End date must be after start date"
+             *           },
+             *          {"expression": "sum(pct_a, pct_b, pct_c) == 100",
+             *           "error": "Percentages must add up to 100"
+             *           },
+             *          {"expression": "count(phone) + count(email) > 0",
+             *           "fields": ["phone", "email"],
+             *           "error": "Enter a phone number or an email address"
+             *           }
+             *      ]
+             *
+             *   - expression: the condition that must be true (see emCalculate)
+             *   - when: the condition for the rule to apply (optional)
+             *   - fields: the fields to mark as invalid (default: all fields
+             *             referenced by the expression)
+             *
+             *   Rows of repeating components are referenced by the component
+             *   alias (e.g. "count(members)", "sum(members.age)"), these
+             *   aliases are kept in the references of the rule
+             *   - error: the error message
+             *
+             * @param {Resource} resource - the Resource
+             *
+             * @returns {Array} - array of rules
+             *                    [{calculation, condition, fields, references, message}]
+             */
+            var getRules = function(resource) {
+
+                var settings = resource.settings || {},
+                    validation = settings.validation,
+                    fields = resource.fields,
+                    components = resource.activeComponents || {},
+                    rules = [];
+
+                if (!validation || validation.constructor !== Array) {
+                    return rules;
+                }
+
+                validation.forEach(function(rule) {
+
+                    if (!rule || !rule.expression) {
+                        return;
+                    }
+                    var calculation = emCalculate.parse(rule.expression);
+                    if (calculation.error) {
+                        return;
+                    }
+                    var condition = rule.when ? emCalculate.parse(rule.when) : null;
+
+                    // Fields and component aliases referenced by the rule
+                    var names = calculation.references();
+                    if (condition) {
+                        names = names.concat(condition.references());
+                    }
+                    var references = [],
+                        fieldNames = [];
+                    names.forEach(function(name) {
+                        if (fields.hasOwnProperty(name)) {
+                            fieldNames.push(name);
+                        } else {
+                            // Alias of a repeating component
+                            name = name.split('.')[0];
+                            if (!components.hasOwnProperty(name)) {
+                                return;
+                            }
+                        }
+                        if (references.indexOf(name) == -1) {
+                            references.push(name);
+                        }
+                    });
+
+                    rules.push({
+                        calculation: calculation,
+                        condition: condition,
+                        fields: rule.fields || fieldNames,
+                        references: references,
+                        message: rule.error || 'Invalid input'
+                    });
+                });
+
+                return rules;
+            };
+
+            // --------------------------------------------------------------------
+            /**
+             * Check the cross-field validation rules for a resource
+             *
+             * @param {Resource} resource - the Resource
+             * @param {object} values - the form data {fieldName: value}
+             * @param {object} rosters - rows of repeating components
+             *                           {alias: {rows: []}}
+             * @param {Array} fieldNames - check only rules that refer to
+             *                             these fields (or component
+             *                             aliases) only (e.g. those filled
+             *                             in so far); default: all
+             *
+             * @returns {object} - the errors {fieldName: [message, ...]},
+             *                     or null if all rules are satisfied
+             */
+            var checkRules = function(resource, values, rosters, fieldNames) {
+
+                var errors = {},
+                    failed = false;
+
+                getRules(resource).forEach(function(rule) {
+
+                    if (fieldNames) {
+                        var applicable = rule.references.every(function(name) {
+                            return fieldNames.indexOf(name) != -1;
+                        });
+                        if (!applicable) {
+                            return;
+                        }
+                    }
+
+                    var condition = rule.condition;
+                    if (condition && !condition.evaluate(values, rosters)) {
+                        return;
+                    }
+                    if (!rule.calculation.evaluate(values, rosters)) {
+                        failed = true;
+                        var message = rule.message,
+                            targets = rule.fields.length ? rule.fields : ['_'];
+                        targets.forEach(function(fieldName) {
+                            var messages = errors[fieldName];
+                            if (!messages) {
+                                messages = errors[fieldName] = [];
+                            }
+                            if (messages.indexOf(message) == -1) {
+                                messages.push(message);
+                            }
+                        });
+                    }
+                });
+
+                return failed ? errors : null;
+            };
+
+            // --------------------------------------------------------------------
+            /**
+             * Get all distinct messages from validation errors
+             *
+             * @param {object} errors - the errors as returned from checkRules
+             *
+             * @returns {Array} - array of messages
+             */
+            var getMessages = function(errors) {
+
+                var messages = [];
+                for (var fieldName in errors) {
+                    errors[fieldName].forEach(function(message) {
+                        if (messages.indexOf(message) == -1) {
+                            messages.push(message);
+                        }
+                    });
+                }
+                return messages;
+            };
+
             // --------------------------------------------------------------------
             // API
             //
             return {
                 encode: encode,
-                getDirectives: getDirectives
+                getDirectives: getDirectives,
+                checkValue: checkValue,
+                checkRules: checkRules,
+                getMessages: getMessages
             };
         }
     ]);
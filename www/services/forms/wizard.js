@@ -46,6 +46,19 @@ EdenMobile.factory('emFormWizard', [
          *                    [{empty: true|false, final: true|false, fields: []}, ...]
          *                    where fields is an Array of objects like:
          *                    {type: 'input', field: fieldName}
+         *
+         * Repeat groups (rosters) can be configured as form elements like:
+         *
+         *      {type: 'repeat',
+         *       component: alias,        - the component alias
+         *       label: 'Household Members',
+         *       rowLabel: 'Member',      - label for individual rows
+         *       min: 1,                  - minimum number of rows
+         *       max: 10,                 - maximum number of rows
+         *       fields: [...]            - the form elements for rows (same
+         *                                  format as resource.form, default
+         *                                  is the component form)
+         *       }
          */
         var getSections = function(resource) {
 
@@ -81,6 +94,12 @@ EdenMobile.factory('emFormWizard', [
                                 section.push(formElement);
                                 empty = false;
                                 break;
+                            case 'repeat':
+                                if (getRepeatComponent(resource, formElement)) {
+                                    section.push(formElement);
+                                    empty = false;
+                                }
+                                break;
                             case 'section-break':
                                 if (section.length) {
                                     sections.push(section);
@@ -117,6 +136,151 @@ EdenMobile.factory('emFormWizard', [
             return sections;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get the component for a repeat group
+         *
+         * @param {Resource} resource - the master resource
+         * @param {object} formElement - the repeat group form element
+         *
+         * @returns {Resource} - the component, or undefined if the
+         *                       component does not exist or is not
+         *                       a multiple-component
+         */
+        var getRepeatComponent = function(resource, formElement) {
+
+            var alias = formElement.component;
+            if (!alias) {
+                return;
+            }
+
+            var component = resource.component(alias);
+            if (!component || !component.multiple) {
+                return;
+            }
+            return component;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the form elements for the rows of a repeat group
+         *
+         * @param {Resource} component - the component
+         * @param {object} formElement - the repeat group form element
+         *
+         * @returns {Array} - array of form elements (input|instructions)
+         */
+        var getRepeatElements = function(component, formElement) {
+
+            var fields = component.fields,
+                form = formElement.fields || component.form;
+
+            if (!form) {
+                form = Object.keys(fields).filter(function(fieldName) {
+                    return fields[fieldName].readable;
+                });
+            }
+
+            // The foreign key is set automatically
+            var fkey = component.link ? null : component.fkey;
+
+            var elements = [];
+            form.forEach(function(element) {
+
+                if (!element) {
+                    return;
+                }
+                if (element.constructor === Object) {
+                    switch(element.type) {
+                        case 'input':
+                            if (element.field != fkey && fields.hasOwnProperty(element.field)) {
+                                elements.push(element);
+                            }
+                            break;
+                        case 'instructions':
+                            elements.push(element);
+                            break;
+                        default:
+                            // Section breaks and nested repeats not supported
+                            break;
+                    }
+                } else if (element != fkey && fields.hasOwnProperty(element)) {
+                    elements.push({
+                        type: 'input',
+                        field: element
+                    });
+                }
+            });
+
+            return elements;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the component to store the additional pictures of a
+         * photo widget with multiple pictures, configured like:
+         *
+         *      "widget": {"type": "photo",
+         *                 "multiple": true,
+         *                 "maxImages": 5,
+         *                 "component": "image",
+         *                 "field": "file"
+         *                 }
+         *
+         *   - the field itself holds the first picture, all further
+         *     pictures are stored as rows of the component (so that
+         *     each of them is an upload field of its own record, which
+         *     are exported and synchronized with the master record)
+         *   - component: alias of a multiple-component (default: image)
+         *   - field: the upload field of the component (default: the
+         *            first upload field in the component table)
+         *
+         * @param {Resource} resource - the master resource
+         * @param {Field} field - the field using the photo widget
+         *
+         * @returns {object} - {component: Resource, alias: alias,
+         *                      fieldName: name of the upload field},
+         *                     or undefined if the field does not take
+         *                     multiple pictures
+         */
+        var getImageComponent = function(resource, field) {
+
+            if (!field || field.type != 'upload') {
+                return;
+            }
+
+            var fieldDescription = field._description,
+                fieldSettings = fieldDescription.settings || {},
+                widgetConfig = fieldDescription.widget || fieldSettings.widget;
+
+            if (!widgetConfig || !widgetConfig.multiple) {
+                return;
+            }
+
+            var alias = widgetConfig.component || 'image',
+                component = getRepeatComponent(resource, {component: alias});
+            if (!component) {
+                return;
+            }
+
+            var fields = component.fields,
+                fieldName = widgetConfig.field;
+            if (!fieldName) {
+                fieldName = Object.keys(fields).filter(function(name) {
+                    return fields[name].type == 'upload';
+                })[0];
+            }
+            if (!fieldName || !fields[fieldName] || fields[fieldName].type != 'upload') {
+                return;
+            }
+
+            return {
+                component: component,
+                alias: alias,
+                fieldName: fieldName
+            };
+        };
+
         // --------------------------------------------------------------------
         /**
          * Get the image for a survey question
@@ -264,9 +428,10 @@ EdenMobile.factory('emFormWizard', [
 //                 case 'password':
 //                     element = '<em-wizard-password-widget>';
 //                     break;
-//                 case 'upload':
-//                     element = '<em-photo-widget>';
-//                     break;
+                case 'upload':
+                case 'photo':
+                    element = '<em-wizard-photo-widget>';
+                    break;
                 case 'options':
                     element = '<em-wizard-options-widget>';
                     break;
@@ -306,6 +471,26 @@ EdenMobile.factory('emFormWizard', [
 
             // Widget-specific attributes and inline elements
             switch(widgetType) {
+                case 'upload':
+                case 'photo':
+                    // Widget-directive is input itself => set a name
+                    widget.attr('name', field.name);
+                    if (widgetConfig) {
+                        if (widgetConfig.multiple) {
+                            // Component for pictures resolved by the widget
+                            widget.attr('multiple', 'true');
+                            if (widgetConfig.maxImages) {
+                                widget.attr('max-images', '' + widgetConfig.maxImages);
+                            }
+                        }
+                        if (widgetConfig.maxResolution !== undefined) {
+                            widget.attr('max-resolution', '' + widgetConfig.maxResolution);
+                        }
+                        if (widgetConfig.quality) {
+                            widget.attr('quality', '' + widgetConfig.quality);
+                        }
+                    }
+                    break;
                 case 'image-map':
                 case 'heatmap':
                     // Widget-directive is input itself => set a name
@@ -372,6 +557,9 @@ EdenMobile.factory('emFormWizard', [
         //
         return {
             getSections: getSections,
+            getRepeatComponent: getRepeatComponent,
+            getRepeatElements: getRepeatElements,
+            getImageComponent: getImageComponent,
             getWidget: getWidget,
             getImage: getImage
         };
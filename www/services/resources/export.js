@@ -0,0 +1,768 @@
+/**
+ * Sahana Eden Mobile - Data Export
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emExport - Service to export records to files on the device (for when
+ *            no server is reachable)
+ *
+ * Columns are specified as field selectors, which can include fields in
+ * referenced tables (e.g. "person_id$first_name") and components (e.g.
+ * "address.location_id"). Component columns produce one line per
+ * component record.
+ *
+ * Supported formats:
+ *  - csv: comma-separated values
+ *  - xlsx: Excel workbook (single worksheet, uncompressed)
+ *  - geojson: GeoJSON feature collection (only records with location)
+ *
+ * @class emExport
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emExport', [
+    '$q', 'emFiles', 'emUtils', 'Join', 'Represent', 'Selector',
+    function ($q, emFiles, emUtils, Join, Represent, Selector) {
+
+        "use strict";
+
+        var mimeTypes = {
+            csv: 'text/csv',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            geojson: 'application/geo+json'
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Determine the location field of a resource
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {string} - the name of the first field referencing
+         *                     gis_location, or null if there is none
+         */
+        var getLocationField = function(resource) {
+
+            var fields = resource.fields,
+                foreignKey;
+
+            for (var fieldName in fields) {
+                foreignKey = fields[fieldName].getForeignKey();
+                if (foreignKey && foreignKey.table == 'gis_location') {
+                    return fieldName;
+                }
+            }
+            return null;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the default columns for a resource (all readable fields)
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {Array} - an array of field selectors
+         */
+        var defaultColumns = function(resource) {
+
+            var fields = resource.fields,
+                selectors = ['id'],
+                field;
+
+            for (var fieldName in fields) {
+                field = fields[fieldName];
+                if (fieldName == 'id' || field.meta || !field.readable) {
+                    continue;
+                }
+                selectors.push(fieldName);
+            }
+            return selectors;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Resolve field selectors into Fields, and build the Join tree
+         * for the tables containing them
+         *
+         * @param {Resource} resource - the resource
+         * @param {Array} selectors - the field selectors
+         *
+         * @returns {object} - an object {join: Join, columns: Array},
+         *                     with columns as [{selector, field}]
+         *
+         * @throws {Error} - if a selector can not be resolved
+         */
+        var resolveColumns = function(resource, selectors) {
+
+            if (resource.link) {
+                throw new Error('export from link tables not supported');
+            }
+
+            var join = resource.getJoin(),
+                rootPath = join.getPath(),
+                parent = resource.parent,
+                paths = [];
+
+            if (parent) {
+                // Component subsets join the master table to filter by
+                // parent record, so other joins of the master table must
+                // use an alias
+                join.tables[parent.tableName] = [new Join(parent.tableName)];
+            }
+
+            // Resolve the selectors, merge their joins
+            selectors.forEach(function(selector) {
+
+                var resolved = new Selector(selector).resolveSelectors(resource),
+                    fieldPath = resolved.expr;
+
+                if (rootPath) {
+                    // Component: the path is relative to the master,
+                    // but the join tree is rooted in the component
+                    fieldPath.path = fieldPath.path.slice(1);
+                }
+                join.merge(resolved.join);
+                paths.push(fieldPath);
+            });
+
+            // Map the aliases in the join tree to (aliased) Tables
+            var db = resource._db,
+                tableMap = {},
+                mapTables = function(node) {
+                    var tableName = node.tableName,
+                        alias = node.getAlias(),
+                        table = db.tables[tableName];
+                    if (alias) {
+                        tableMap[alias] = table.as(alias);
+                    } else {
+                        tableMap[tableName] = table;
+                    }
+                    for (var path in node.joins) {
+                        mapTables(node.joins[path]);
+                    }
+                };
+            mapTables(join);
+
+            // Resolve the field paths
+            var columns = paths.map(function(fieldPath, index) {
+                return {
+                    selector: selectors[index],
+                    field: fieldPath.resolvePaths(join, tableMap)
+                };
+            });
+
+            return {join: join, columns: columns};
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Format a raw field value for export
+         *
+         * @param {Field} field - the field
+         * @param {*} value - the value
+         *
+         * @returns {string|number|boolean} - the export value
+         */
+        var rawValue = function(field, value) {
+
+            if (value === undefined || value === null) {
+                return null;
+            }
+
+            switch(field.type) {
+                case 'date':
+                    value = value.toISOString().split('T')[0];
+                    break;
+                case 'datetime':
+                    value = value.toISOString();
+                    break;
+                case 'json':
+                    value = JSON.stringify(value);
+                    break;
+                default:
+                    if (value.constructor === Array) {
+                        value = JSON.stringify(value);
+                    }
+                    break;
+            }
+            return value;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Render string representations for all values in a column
+         *
+         * @param {Field} field - the field
+         * @param {Array} values - the raw values of the column
+         *
+         * @returns {promise} - a promise that resolves into an array
+         *                      with the represented values
+         */
+        var representColumn = function(field, values) {
+
+            var isList = field.type.slice(0, 5) == 'list:',
+                lookup = field.isForeignKey && !field.isObjectKey && field.name != 'em_object_id' ||
+                         !!field._description.options;
+
+            if (!lookup) {
+                // Default representation, no lookups required
+                return $q.resolve(values.map(function(value) {
+                    if (isList && value) {
+                        return value.map(function(item) {
+                            return field.reprDefault(item, '');
+                        }).join(', ');
+                    }
+                    return field.reprDefault(value, '');
+                }));
+            }
+
+            // Collect unique values
+            var unique = [];
+            values.forEach(function(value) {
+                var items = isList && value ? value : [value];
+                items.forEach(function(item) {
+                    if (item !== null && item !== undefined && unique.indexOf(item) == -1) {
+                        unique.push(item);
+                    }
+                });
+            });
+
+            // Bulk-lookup the representations
+            var renderer = new Represent(field.getTable(), field);
+            return renderer.bulk(unique).then(function(repr) {
+                return values.map(function(value) {
+                    if (value === null || value === undefined) {
+                        return '';
+                    }
+                    if (isList) {
+                        return value.map(function(item) {
+                            return repr[item];
+                        }).join(', ');
+                    }
+                    return repr[value];
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Extract the export data from a subset
+         *
+         * @param {Subset} subset - the subset
+         * @param {Array} selectors - the field selectors of the columns
+         * @param {boolean} represent - whether to export represented
+         *                              values rather than raw values
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {columns: [{selector, field}], rows: [[value]]}
+         */
+        var extract = function(subset, selectors, represent) {
+
+            var resolved;
+            try {
+                resolved = resolveColumns(subset.resource, selectors);
+            } catch(e) {
+                return $q.reject(e.message);
+            }
+
+            var columns = resolved.columns,
+                fields = columns.map(function(column) {
+                    return column.field;
+                }),
+                table = subset.table;
+
+            return subset.select(fields, {
+                join: resolved.join,
+                orderby: table.$('id')
+            }).then(function(rows) {
+
+                // Extract the values column by column
+                var values = fields.map(function(field) {
+                    return rows.map(function(row) {
+                        return row.$(field);
+                    });
+                });
+
+                var formatted;
+                if (represent) {
+                    formatted = $q.all(fields.map(function(field, index) {
+                        return representColumn(field, values[index]);
+                    }));
+                } else {
+                    formatted = $q.resolve(fields.map(function(field, index) {
+                        return values[index].map(function(value) {
+                            return rawValue(field, value);
+                        });
+                    }));
+                }
+
+                // Transpose into rows
+                return formatted.then(function(data) {
+                    return {
+                        columns: columns,
+                        rows: rows.map(function(row, rowIndex) {
+                            return data.map(function(column) {
+                                return column[rowIndex];
+                            });
+                        })
+                    };
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to escape a string for XML
+         *
+         * @param {string} value - the string
+         *
+         * @returns {string} - the XML-escaped string
+         */
+        var xmlEscape = function(value) {
+
+            return ('' + value).replace(/&/g, '&amp;')
+                               .replace(/</g, '&lt;')
+                               .replace(/>/g, '&gt;')
+                               .replace(/"/g, '&quot;')
+                               // Characters not allowed in XML 1.0
+                               .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Encode a string as UTF-8
+         *
+         * @param {string} str - the string
+         *
+         * @returns {Uint8Array} - the UTF-8 bytes
+         */
+        var utf8Encode = function(str) {
+
+            var binary = unescape(encodeURIComponent(str)),
+                bytes = new Uint8Array(binary.length);
+
+            for (var i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Lookup table for CRC-32 checksums (ZIP)
+         */
+        var crcTable = (function() {
+
+            var table = [],
+                c;
+
+            for (var n = 0; n < 256; n++) {
+                c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            return table;
+        })();
+
+        // --------------------------------------------------------------------
+        /**
+         * Compute the CRC-32 checksum of a byte array
+         *
+         * @param {Uint8Array} bytes - the bytes
+         *
+         * @returns {integer} - the checksum
+         */
+        var crc32 = function(bytes) {
+
+            var crc = 0xFFFFFFFF;
+            for (var i = 0; i < bytes.length; i++) {
+                crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build a ZIP archive (without compression)
+         *
+         * @param {Array} entries - the archive entries, [{name, data}],
+         *                          with data as string
+         *
+         * @returns {Array} - Array of ArrayBuffers and Uint8Arrays for a Blob
+         */
+        var zipArchive = function(entries) {
+
+            var parts = [],
+                directory = [],
+                offset = 0;
+
+            // Header helper, writes little-endian integers
+            var header = function(size, values) {
+                var buffer = new ArrayBuffer(size),
+                    view = new DataView(buffer),
+                    pos = 0;
+                values.forEach(function(value) {
+                    if (value[1] == 4) {
+                        view.setUint32(pos, value[0], true);
+                    } else {
+                        view.setUint16(pos, value[0], true);
+                    }
+                    pos += value[1];
+                });
+                return buffer;
+            };
+
+            entries.forEach(function(entry) {
+
+                var name = utf8Encode(entry.name),
+                    data = utf8Encode(entry.data),
+                    crc = crc32(data),
+                    size = data.length;
+
+                // Local file header
+                parts.push(header(30, [
+                    [0x04034B50, 4],    // signature
+                    [20, 2],            // version needed to extract
+                    [0x0800, 2],        // flags (UTF-8 names)
+                    [0, 2],             // compression method (stored)
+                    [0, 2],             // modification time
+                    [0x21, 2],          // modification date (1980-01-01)
+                    [crc, 4],
+                    [size, 4],          // compressed size
+                    [size, 4],          // uncompressed size
+                    [name.length, 2],
+                    [0, 2]              // extra field length
+                ]), name, data);
+
+                // Central directory entry
+                directory.push(header(46, [
+                    [0x02014B50, 4],    // signature
+                    [20, 2],            // version made by
+                    [20, 2],            // version needed to extract
+                    [0x0800, 2],        // flags (UTF-8 names)
+                    [0, 2],             // compression method (stored)
+                    [0, 2],             // modification time
+                    [0x21, 2],          // modification date (1980-01-01)
+                    [crc, 4],
+                    [size, 4],          // compressed size
+                    [size, 4],          // uncompressed size
+                    [name.length, 2],
+                    [0, 2],             // extra field length
+                    [0, 2],             // comment length
+                    [0, 2],             // disk number
+                    [0, 2],             // internal attributes
+                    [0, 4],             // external attributes
+                    [offset, 4]         // offset of local header
+                ]), name);
+
+                offset += 30 + name.length + size;
+            });
+
+            var directorySize = directory.reduce(function(total, part) {
+                return total + part.byteLength;
+            }, 0);
+
+            // End of central directory
+            directory.push(header(22, [
+                [0x06054B50, 4],        // signature
+                [0, 2],                 // disk number
+                [0, 2],                 // disk with central directory
+                [entries.length, 2],    // entries on this disk
+                [entries.length, 2],    // total entries
+                [directorySize, 4],
+                [offset, 4],            // offset of central directory
+                [0, 2]                  // comment length
+            ]));
+
+            return parts.concat(directory);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the column name for a column index in a worksheet
+         *
+         * @param {integer} index - the column index (0-based)
+         *
+         * @returns {string} - the column name (A, B, ..., Z, AA, AB, ...)
+         */
+        var columnName = function(index) {
+
+            var name = '';
+            index++;
+            while (index > 0) {
+                var mod = (index - 1) % 26;
+                name = String.fromCharCode(65 + mod) + name;
+                index = Math.floor((index - mod) / 26);
+            }
+            return name;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Write the data as CSV
+         *
+         * @param {Array} header - the column headers
+         * @param {Array} rows - the rows
+         *
+         * @returns {Array} - the contents for a Blob
+         */
+        var writeCSV = function(header, rows) {
+
+            var lines = [header.map(emUtils.csvValue).join(',')];
+
+            rows.forEach(function(row) {
+                lines.push(row.map(emUtils.csvValue).join(','));
+            });
+
+            // BOM so that spreadsheet applications detect UTF-8
+            return ['\uFEFF' + lines.join('\r\n')];
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Write the data as XLSX
+         *
+         * @param {Array} header - the column headers
+         * @param {Array} rows - the rows
+         * @param {string} title - the worksheet title
+         *
+         * @returns {Array} - the contents for a Blob
+         */
+        var writeXLSX = function(header, rows, title) {
+
+            var xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n',
+                sheetRows = [];
+
+            [header].concat(rows).forEach(function(row, rowIndex) {
+
+                var cells = [];
+                row.forEach(function(value, colIndex) {
+
+                    if (value === null || value === undefined || value === '') {
+                        return;
+                    }
+
+                    var ref = columnName(colIndex) + (rowIndex + 1);
+                    if (typeof value == 'number' && isFinite(value)) {
+                        cells.push('<c r="' + ref + '"><v>' + value + '</v></c>');
+                    } else if (typeof value == 'boolean') {
+                        cells.push('<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>');
+                    } else {
+                        cells.push('<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' +
+                                   xmlEscape(value) + '</t></is></c>');
+                    }
+                });
+                sheetRows.push('<row r="' + (rowIndex + 1) + '">' + cells.join('') + '</row>');
+            });
+
+            // Worksheet names are limited to 31 characters, excluding []:*?/\
+            var sheetName = xmlEscape(('' + title).replace(/[\[\]:*?\/\\]/g, '').slice(0, 31) || 'Sheet1');
+
+            var entries = [
+                {
+                    name: '[Content_Types].xml',
+                    data: xmlHead +
+                          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                          '<Default Extension="xml" ContentType="application/xml"/>' +
+                          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                          '</Types>'
+                },
+                {
+                    name: '_rels/.rels',
+                    data: xmlHead +
+                          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                          '</Relationships>'
+                },
+                {
+                    name: 'xl/workbook.xml',
+                    data: xmlHead +
+                          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                          '<sheets><sheet name="' + sheetName + '" sheetId="1" r:id="rId1"/></sheets>' +
+                          '</workbook>'
+                },
+                {
+                    name: 'xl/_rels/workbook.xml.rels',
+                    data: xmlHead +
+                          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                          '</Relationships>'
+                },
+                {
+                    name: 'xl/worksheets/sheet1.xml',
+                    data: xmlHead +
+                          '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                          '<sheetData>' + sheetRows.join('') + '</sheetData>' +
+                          '</worksheet>'
+                }
+            ];
+
+            return zipArchive(entries);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Write the data as GeoJSON
+         *
+         * @param {Array} header - the column headers (property names)
+         * @param {Array} rows - the rows, with [lat, lon] as the last
+         *                       two columns
+         *
+         * @returns {Array} - the contents for a Blob
+         */
+        var writeGeoJSON = function(header, rows) {
+
+            var features = [];
+
+            rows.forEach(function(row) {
+
+                var numColumns = row.length - 2,
+                    lat = row[numColumns],
+                    lon = row[numColumns + 1];
+
+                if (lat === null || lat === undefined || lat === '' ||
+                    lon === null || lon === undefined || lon === '') {
+                    // Not located
+                    return;
+                }
+
+                var properties = {};
+                for (var i = 0; i < numColumns; i++) {
+                    properties[header[i]] = row[i];
+                }
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [lon - 0, lat - 0]
+                    },
+                    properties: properties
+                });
+            });
+
+            return [JSON.stringify({
+                type: 'FeatureCollection',
+                features: features
+            }, null, 2)];
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Export the records in a subset to a file
+         *
+         * @param {Subset} subset - the subset (e.g. resource.subSet(),
+         *                          or a filtered subset)
+         * @param {string} format - the export format: csv|xlsx|geojson
+         * @param {object} options - export options
+         * @property {Array} options.columns - the field selectors of the
+         *                                     columns to export (default:
+         *                                     all readable fields)
+         * @property {boolean} options.represent - export represented values
+         *                                         rather than raw values,
+         *                                         and field labels rather
+         *                                         than selectors as headers
+         *
+         * @returns {promise} - a promise that resolves into the URI of
+         *                      the export file
+         */
+        var exportRecords = function(subset, format, options) {
+
+            options = options || {};
+
+            if (!mimeTypes.hasOwnProperty(format)) {
+                return $q.reject('unsupported export format: ' + format);
+            }
+
+            var resource = subset.resource,
+                selectors = options.columns || defaultColumns(resource),
+                represent = !!options.represent;
+
+            if (format == 'geojson') {
+                var locationField = getLocationField(resource);
+                if (!locationField) {
+                    return $q.reject('resource has no location field');
+                }
+                selectors = selectors.concat([
+                    locationField + '$lat',
+                    locationField + '$lon'
+                ]);
+            }
+
+            return extract(subset, selectors, represent).then(function(data) {
+
+                var columns = data.columns,
+                    rows = data.rows,
+                    title = resource.getLabel(true),
+                    header,
+                    contents;
+
+                header = columns.map(function(column) {
+                    return represent ? column.field.getLabel() : column.selector;
+                });
+
+                switch(format) {
+                    case 'xlsx':
+                        contents = writeXLSX(header, rows, title);
+                        break;
+                    case 'geojson':
+                        contents = writeGeoJSON(header, rows);
+                        break;
+                    default:
+                        contents = writeCSV(header, rows);
+                        break;
+                }
+
+                var deferred = $q.defer(),
+                    timeStamp = new Date().toISOString().split('.')[0].replace(/[\-:]/g, ''),
+                    fileName = resource.name + '_' + timeStamp + '.' + format,
+                    blob = new Blob(contents, {type: mimeTypes[format]});
+
+                emFiles.createExportFile(fileName, blob, function(fileURI) {
+                    deferred.resolve(fileURI);
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            formats: Object.keys(mimeTypes),
+            getLocationField: getLocationField,
+            defaultColumns: defaultColumns,
+            export: exportRecords
+        };
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,569 @@
+/**
+ * Sahana Eden Mobile - Record Filters
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emFilters - Service to search, filter and sort the records of a resource
+ *
+ * A filter is an object like:
+ *
+ *  {
+ *      search: 'text',                 // text search
+ *      criteria: [                     // field criteria (all must match)
+ *          {field: 'name', op: 'contains', value: 'x'}, ...
+ *      ],
+ *      sort: {field: 'name', desc: false}
+ *  }
+ *
+ * Text search matches each search term against the record title (llrepr),
+ * all readable string/text fields, and the labels of fixed field options.
+ *
+ * Filters can be saved per resource (em_filter table) to reuse them later.
+ *
+ * @class emFilters
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emFilters', [
+    '$q', 'emDB',
+    function ($q, emDB) {
+
+        "use strict";
+
+        // --------------------------------------------------------------------
+        /**
+         * Operators for field criteria, per filter type
+         */
+        var operators = {
+            text: [
+                {op: 'contains', label: 'contains'},
+                {op: 'eq', label: 'is'},
+                {op: 'ne', label: 'is not'},
+                {op: 'empty', label: 'is empty'},
+                {op: 'notempty', label: 'is not empty'}
+            ],
+            number: [
+                {op: 'eq', label: '='},
+                {op: 'ne', label: '≠'},
+                {op: 'lt', label: '<'},
+                {op: 'le', label: '≤'},
+                {op: 'gt', label: '>'},
+                {op: 'ge', label: '≥'},
+                {op: 'empty', label: 'is empty'},
+                {op: 'notempty', label: 'is not empty'}
+            ],
+            date: [
+                {op: 'eq', label: 'on'},
+                {op: 'lt', label: 'before'},
+                {op: 'gt', label: 'after'},
+                {op: 'empty', label: 'is empty'},
+                {op: 'notempty', label: 'is not empty'}
+            ],
+            boolean: [
+                {op: 'eq', label: 'is'}
+            ],
+            options: [
+                {op: 'eq', label: 'is'},
+                {op: 'ne', label: 'is not'},
+                {op: 'empty', label: 'is empty'},
+                {op: 'notempty', label: 'is not empty'}
+            ]
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the fixed options of a field
+         *
+         * @param {Field} field - the field
+         *
+         * @returns {Array} - the options [{value: value, label: label}],
+         *                    or null if the field has no fixed options
+         */
+        var getOptions = function(field) {
+
+            var fieldOptions = field._description.options;
+            if (!fieldOptions) {
+                return null;
+            }
+
+            var options = [];
+            if (fieldOptions.constructor === Array) {
+                fieldOptions.forEach(function(option) {
+                    options.push({value: option[0], label: '' + option[1]});
+                });
+            } else {
+                for (var value in fieldOptions) {
+                    options.push({value: value, label: '' + fieldOptions[value]});
+                }
+            }
+            return options;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the filter type of a field
+         *
+         * @param {Field} field - the field
+         *
+         * @returns {string} - the filter type (key in operators), or
+         *                     undefined if the field can not be filtered
+         */
+        var getFilterType = function(field) {
+
+            if (field._description.options) {
+                return 'options';
+            }
+            switch(field.type) {
+                case 'string':
+                case 'text':
+                    return 'text';
+                case 'integer':
+                case 'double':
+                    return 'number';
+                case 'date':
+                case 'datetime':
+                    return 'date';
+                case 'boolean':
+                    return 'boolean';
+                default:
+                    return undefined;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the fields of a resource that can be used in filters
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {Array} - the filter fields [{name: fieldName,
+         *                                        label: fieldLabel,
+         *                                        type: filterType,
+         *                                        operators: [],
+         *                                        options: []}]
+         */
+        var getFields = function(resource) {
+
+            var fields = resource.fields,
+                filterFields = [],
+                fieldName,
+                field,
+                filterType;
+
+            for (fieldName in fields) {
+                field = fields[fieldName];
+                if (!field.readable || field.meta) {
+                    continue;
+                }
+                filterType = getFilterType(field);
+                if (!filterType) {
+                    continue;
+                }
+                filterFields.push({
+                    name: fieldName,
+                    label: field.getLabel(),
+                    type: filterType,
+                    operators: operators[filterType],
+                    options: getOptions(field)
+                });
+            }
+            return filterFields;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build a LIKE pattern to match a text anywhere in a value, with
+         * LIKE wildcards in the text escaped (using backslash as escape
+         * character)
+         *
+         * @param {string} text - the text
+         *
+         * @returns {string} - the pattern
+         */
+        var likePattern = function(text) {
+
+            return '%' + ('' + text).replace(/[\\%_]/g, '\\$&') + '%';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build the query for a text search
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} text - the search text
+         *
+         * @returns {Expression} - the query, or null for no search
+         */
+        var searchQuery = function(resource, text) {
+
+            var terms = ('' + (text || '')).trim().split(/\s+/).filter(function(term) {
+                return !!term;
+            });
+            if (!terms.length) {
+                return null;
+            }
+
+            var table = resource.table,
+                fields = resource.fields,
+                query = null;
+
+            terms.forEach(function(term) {
+
+                var pattern = likePattern(term),
+                    lowerTerm = term.toLowerCase(),
+                    termQuery = table.$('llrepr').like(pattern, '\\'),
+                    fieldName,
+                    field,
+                    options,
+                    matches;
+
+                for (fieldName in fields) {
+                    field = fields[fieldName];
+                    if (!field.readable || field.meta) {
+                        continue;
+                    }
+                    options = getOptions(field);
+                    if (options) {
+                        // Match the option labels
+                        matches = options.filter(function(option) {
+                            return option.label.toLowerCase().indexOf(lowerTerm) != -1;
+                        }).map(function(option) {
+                            return option.value;
+                        });
+                        if (matches.length) {
+                            termQuery = termQuery.or(table.$(fieldName).in(matches));
+                        }
+                    } else if (field.type == 'string' || field.type == 'text') {
+                        termQuery = termQuery.or(table.$(fieldName).like(pattern, '\\'));
+                    }
+                }
+
+                query = query ? query.and(termQuery) : termQuery;
+            });
+
+            return query;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a criterion value into a field value
+         *
+         * @param {Field} field - the field
+         * @param {*} value - the criterion value (e.g. from saved filter)
+         *
+         * @returns {*} - the field value
+         */
+        var fieldValue = function(field, value) {
+
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+
+            switch(field.type) {
+                case 'date':
+                case 'datetime':
+                    if (value.constructor !== Date) {
+                        value = new Date(value);
+                    }
+                    return isNaN(value.getTime()) ? null : value;
+                case 'integer':
+                case 'double':
+                    value = value - 0;
+                    return isNaN(value) ? null : value;
+                case 'boolean':
+                    return value === true || value === 'true';
+                default:
+                    return value;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build the query for a field criterion
+         *
+         * @param {Resource} resource - the resource
+         * @param {object} criterion - the criterion {field, op, value}
+         *
+         * @returns {Expression} - the query, or null if the criterion
+         *                         is incomplete
+         */
+        var criterionQuery = function(resource, criterion) {
+
+            var fieldName = criterion.field,
+                field = resource.fields[fieldName];
+            if (!field || !criterion.op) {
+                return null;
+            }
+
+            var expr = resource.table.$(fieldName),
+                isText = field.type == 'string' || field.type == 'text',
+                op = criterion.op;
+
+            switch(op) {
+                case 'empty':
+                    return isText ? expr.isNull().or(expr.is('')) : expr.isNull();
+                case 'notempty':
+                    return isText ? expr.isNotNull().and(expr.isNot('')) : expr.isNotNull();
+                default:
+                    break;
+            }
+
+            var value = fieldValue(field, criterion.value);
+            if (value === null) {
+                return null;
+            }
+
+            if (field.type == 'datetime' && (op == 'eq' || op == 'gt')) {
+                // Compare with whole days
+                var start = new Date(value.getFullYear(), value.getMonth(), value.getDate()),
+                    end = new Date(start.getTime());
+                end.setDate(end.getDate() + 1);
+                if (op == 'eq') {
+                    return expr.greaterOrEqual(start).and(expr.lessThan(end));
+                } else {
+                    return expr.greaterOrEqual(end);
+                }
+            }
+
+            switch(op) {
+                case 'contains':
+                    return expr.like(likePattern(value), '\\');
+                case 'eq':
+                    return expr.equals(value);
+                case 'ne':
+                    return expr.notEqual(value).or(expr.isNull());
+                case 'lt':
+                    return expr.lessThan(value);
+                case 'le':
+                    return expr.lessOrEqual(value);
+                case 'gt':
+                    return expr.greaterThan(value);
+                case 'ge':
+                    return expr.greaterOrEqual(value);
+                default:
+                    return null;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build the query for a filter
+         *
+         * @param {Resource} resource - the resource
+         * @param {object} filter - the filter {search, criteria, sort}
+         *
+         * @returns {Expression} - the query, or null if the filter
+         *                         does not restrict the records
+         */
+        var getQuery = function(resource, filter) {
+
+            var query = searchQuery(resource, filter && filter.search);
+
+            ((filter && filter.criteria) || []).forEach(function(criterion) {
+                var subQuery = criterionQuery(resource, criterion);
+                if (subQuery) {
+                    query = query ? query.and(subQuery) : subQuery;
+                }
+            });
+
+            return query;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the orderby-option for a filter
+         *
+         * @param {Resource} resource - the resource
+         * @param {object} filter - the filter {search, criteria, sort}
+         *
+         * @returns {Expression} - the orderby-option, or undefined for
+         *                         default order
+         */
+        var getOrderBy = function(resource, filter) {
+
+            var sort = filter && filter.sort;
+            if (!sort || !sort.field || !resource.fields[sort.field]) {
+                return undefined;
+            }
+
+            var expr = resource.table.$(sort.field);
+            return sort.desc ? expr.desc() : expr.asc();
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the saved filters for a resource
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      saved filters [{id, name, filter}]
+         */
+        var saved = function(resource) {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_filter').then(function(table) {
+
+                var fields = ['id', 'name', 'filter'];
+
+                table.where(table.$('resource').equals(resource.name))
+                     .select(fields, {orderby: table.$('name')}, function(rows) {
+                    deferred.resolve(rows.map(function(row) {
+                        return {
+                            id: row.$('id'),
+                            name: row.$('name'),
+                            filter: row.$('filter') || {}
+                        };
+                    }));
+                }, function(error) {
+                    deferred.reject(error);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Save a filter for a resource (replacing any saved filter with
+         * the same name)
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} name - the name for the filter
+         * @param {object} filter - the filter {search, criteria, sort}
+         *
+         * @returns {promise} - a promise that resolves into the record ID
+         *                      of the saved filter
+         */
+        var save = function(resource, name, filter) {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_filter').then(function(table) {
+
+                var query = table.$('resource').equals(resource.name).and(
+                            table.$('name').equals(name));
+
+                var data = {
+                    resource: resource.name,
+                    name: name,
+                    filter: {
+                        search: filter.search || '',
+                        criteria: (filter.criteria || []).map(function(criterion) {
+                            return {
+                                field: criterion.field,
+                                op: criterion.op,
+                                value: criterion.value
+                            };
+                        }),
+                        sort: filter.sort || null
+                    },
+                    saved_on: new Date()
+                };
+
+                table.where(query).delete(function() {
+                    table.insert(data,
+                        function(recordID) {
+                            deferred.resolve(recordID);
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Delete a saved filter
+         *
+         * @param {integer} filterID - the record ID of the saved filter
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      filter has been deleted
+         */
+        var remove = function(filterID) {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_filter').then(function(table) {
+                table.where(table.$('id').equals(filterID)).delete(
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+            });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            getFields: getFields,
+            getQuery: getQuery,
+            getOrderBy: getOrderBy,
+
+            /**
+             * Apply a filter to a subset
+             *
+             * @param {Subset} subset - the subset
+             * @param {object} filter - the filter {search, criteria, sort}
+             *
+             * @returns {Subset} - the filtered subset
+             */
+            apply: function(subset, filter) {
+                var query = getQuery(subset.resource, filter);
+                return query ? subset.where(query) : subset;
+            },
+
+            /**
+             * Check whether a filter restricts or orders the records
+             *
+             * @param {object} filter - the filter {search, criteria, sort}
+             *
+             * @returns {boolean} - whether the filter is active
+             */
+            isActive: function(filter) {
+                return !!filter && !!(filter.search ||
+                                      filter.criteria && filter.criteria.length ||
+                                      filter.sort && filter.sort.field);
+            },
+
+            saved: saved,
+            save: save,
+            remove: remove
+        };
+    }
+]);
+
+// END ========================================================================
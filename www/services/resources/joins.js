@@ -178,7 +178,7 @@
             if (!parent.parent && componentAlias && componentAlias != parentAlias) {
                 alias = componentAlias;
             } else if (this.useAlias) {
-                alias = parentAlias + this.getPath();
+                alias = (parentAlias || parent.tableName) + this.getPath();
             }
         }
 
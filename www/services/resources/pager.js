@@ -0,0 +1,141 @@
+/**
+ * Sahana Eden Mobile - Paged Record Lists
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * Pager - paged loading of the records in a Subset, for long lists
+ *
+ * @class Pager
+ * @memberof EdenMobile
+ */
+EdenMobile.factory('Pager', [
+    '$q',
+    function ($q) {
+
+        "use strict";
+
+        // ====================================================================
+        /**
+         * Pager - loads the records of a subset page by page
+         *
+         * @param {Subset} subset - the subset
+         * @param {Array} fields - the fields to extract
+         * @param {object} options - options for the pager:
+         *  @property {Expression|Array} options.orderby - the order of records
+         *  @property {integer} options.pageSize - the number of records per page
+         *  @property {boolean} options.represent - resolve pages into represented
+         *                                          records (representRecords)
+         *                                          rather than Rows
+         */
+        function Pager(subset, fields, options) {
+
+            this.subset = subset;
+            this.fields = fields;
+
+            options = options || {};
+
+            // Order by record ID as tie-breaker, so that pages are stable
+            var orderby = options.orderby,
+                table = subset.table;
+            if (!orderby) {
+                orderby = [];
+            } else if (orderby.constructor !== Array) {
+                orderby = [orderby];
+            }
+            this.orderby = orderby.concat([table.$('id')]);
+
+            this.pageSize = options.pageSize || 50;
+            this.represent = !!options.represent;
+
+            this.offset = 0;
+            this.more = true;
+            this.loading = false;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Count all records in the subset
+         *
+         * @returns {promise} - a promise that resolves into the number
+         *                      of records
+         */
+        Pager.prototype.count = function() {
+
+            return this.subset.count();
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Load the next page
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      Rows (or represented records); an empty
+         *                      array if there are no more records, or
+         *                      if the previous page is still loading
+         */
+        Pager.prototype.next = function() {
+
+            if (!this.more || this.loading) {
+                return $q.resolve([]);
+            }
+            this.loading = true;
+
+            var self = this,
+                pageSize = this.pageSize,
+                subset = this.subset;
+
+            return subset.select(this.fields, {
+                orderby: this.orderby,
+                limitby: [this.offset, pageSize]
+            }).then(function(rows) {
+
+                self.offset += rows.length;
+                if (rows.length < pageSize) {
+                    self.more = false;
+                }
+
+                if (self.represent) {
+                    // Represent the records of this page only
+                    var records = rows.map(function(row) {
+                        return row._();
+                    });
+                    return subset.resource.representRecords(records);
+                } else {
+                    return rows;
+                }
+
+            }).finally(function() {
+                self.loading = false;
+            });
+        };
+
+        // ====================================================================
+        // Return prototype
+        //
+        return Pager;
+    }
+]);
+
+// END ========================================================================
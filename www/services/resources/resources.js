@@ -79,20 +79,7 @@ EdenMobile.factory('emResources', [
             this.function = settings.function;
 
             // Fields
-            var fieldOptions = options.fields || {},
-                fields = {},
-                field;
-            for (var fieldName in table.fields) {
-                field = fieldOptions[fieldName];
-                if (field) {
-                    field.inherit(table.fields[fieldName]);
-                } else {
-                    field = table.fields[fieldName].clone();
-                }
-                field.resource = this;
-                fields[fieldName] = field;
-            }
-            this.fields = fields;
+            this.setFields(options.fields);
 
             // The parent resource
             this.parent = parent;
@@ -143,6 +130,34 @@ EdenMobile.factory('emResources', [
             return name;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Set up the fields of this resource from the table fields
+         *
+         * @param {object} fieldOptions - resource-specific field options,
+         *                                {fieldName: Field}
+         */
+        Resource.prototype.setFields = function(fieldOptions) {
+
+            var table = this.table,
+                fields = {},
+                field;
+
+            fieldOptions = fieldOptions || {};
+
+            for (var fieldName in table.fields) {
+                field = fieldOptions[fieldName];
+                if (field) {
+                    field.inherit(table.fields[fieldName]);
+                } else {
+                    field = table.fields[fieldName].clone();
+                }
+                field.resource = this;
+                fields[fieldName] = field;
+            }
+            this.fields = fields;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Register components for this resource
@@ -1368,7 +1383,8 @@ EdenMobile.factory('emResources', [
                             resource.settings = angular.extend({}, table.settings, settings);
                         }
 
-                        // @todo: migrate schema
+                        // Update fields (table may have been migrated)
+                        resource.setFields(schema.fields);
                     }
 
                     // Register and save schema
@@ -1387,7 +1403,26 @@ EdenMobile.factory('emResources', [
                             schema.records
                         ).then(installResource);
                     } else {
-                        installResource(table);
+                        // Migrate the table to the new schema; columns of
+                        // dropped fields are only removed if no other
+                        // resource uses the same table, and a look-up
+                        // schema does not replace a main resource schema
+                        var name = Resource.prototype.getName(table, settings),
+                            resourceNames = Object.keys(table.resources),
+                            existing = table.resources[name],
+                            dropColumns = false;
+
+                        if (!resourceNames.length) {
+                            dropColumns = true;
+                        } else if (resourceNames.length == 1 && existing) {
+                            dropColumns = !existing.main || !!settings.main;
+                        }
+
+                        table.migrate(schema.fields, dropColumns).then(
+                            installResource,
+                            function(error) {
+                                resourceInstalled.reject(error);
+                            });
                     }
                 });
                 return resourceInstalled.promise;
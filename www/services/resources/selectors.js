@@ -259,16 +259,16 @@ EdenMobile.factory('Selector', [
                 if (fieldName) {
 
                     // Add keys to Join
-                    var fkJoin = joinedField.join;
-                    fkJoin.lKey = field.name;
+                    join = joinedField.join;
+                    join.lKey = field.name;
                     if (fk.table == 'em_object') {
-                        fkJoin.rKey = 'em_object_id';
+                        join.rKey = 'em_object_id';
                     } else {
-                        fkJoin.rKey = fk.key;
+                        join.rKey = fk.key;
                     }
 
                     // Get path and field name
-                    path = [fkJoin.getPath()];
+                    path = [join.getPath()];
 
                 } else {
                     error = joinedField.error;
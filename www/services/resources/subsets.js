@@ -117,6 +117,10 @@ EdenMobile.factory('Subset', [
          *
          * @param {Array} fields - Array of Fields or field names to extract
          * @param {object} options - select options (orderby, limitby etc.)
+         * @property {Join} options.join - a Join tree (e.g. from resolving
+         *                                 field selectors) to left-join
+         *                                 the tables of Fields outside of
+         *                                 this Subset's table
          *
          * @returns {promise} - a promise that resolves into the extracted
          *                      records (Rows)
@@ -128,6 +132,11 @@ EdenMobile.factory('Subset', [
                 table = this.table,
                 set = table;
 
+            // Add joins for fields in other tables
+            if (options && options.join) {
+                set = options.join.extendSet(set);
+            }
+
             // Add parent joins+query
             if (parent.joins) {
                 parent.joins.forEach(function(join) {
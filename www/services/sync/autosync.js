@@ -0,0 +1,264 @@
+/**
+ * Sahana Eden Mobile - Automatic Synchronization
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emAutoSync - Service to run synchronization automatically in the
+ *              background, triggered by:
+ *
+ *  - a configurable interval (sync.autoSyncInterval)
+ *  - the device coming back online (emDeviceOnline event)
+ *  - a form submission (emDataSubmitted event)
+ *
+ * Automatic synchronization runs quietly (no dialogs), the results are
+ * reported in the synchronization log.
+ *
+ * @class emAutoSync
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emAutoSync', [
+    '$q', '$rootScope', '$timeout', 'emAuth', 'emConfig', 'emSync',
+    function ($q, $rootScope, $timeout, emAuth, emConfig, emSync) {
+
+        "use strict";
+
+        // Check interval for scheduled synchronization (milliseconds)
+        var checkInterval = 60000;
+
+        var started = false,
+            lastRun = null,
+            timer = null,
+            listeners = [];
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current automatic synchronization settings
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      with the settings
+         */
+        var getSettings = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+
+                var interval = parseInt(settings.get('sync.autoSyncInterval'));
+
+                deferred.resolve({
+                    enabled: !!settings.get('sync.autoSync') && !!settings.get('server.url'),
+                    interval: isNaN(interval) ? 0 : interval,
+                    onOnline: !!settings.get('sync.autoSyncOnline'),
+                    onSubmit: !!settings.get('sync.autoSyncOnSubmit'),
+                    wifiOnly: !!settings.get('sync.autoSyncWifiOnly'),
+                    uploadOnly: !!settings.get('sync.autoSyncUploadOnly')
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check the current network connection
+         *
+         * @param {boolean} wifiOnly - require an unmetered connection
+         *
+         * @returns {boolean} - whether the connection is suitable
+         */
+        var connectionAvailable = function(wifiOnly) {
+
+            var connection = navigator.connection;
+
+            if (!connection || typeof Connection == 'undefined') {
+                // Network information not available
+                // => assume online unless the browser says otherwise
+                return navigator.onLine !== false;
+            }
+
+            var type = connection.type;
+            if (type == Connection.NONE) {
+                return false;
+            }
+            if (wifiOnly) {
+                return type == Connection.WIFI || type == Connection.ETHERNET;
+            }
+            return true;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Run the synchronization (if permitted by settings and connection)
+         *
+         * @param {string} trigger - the trigger: 'interval'|'online'|'submit'
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      synchronization is complete, or rejected
+         *                      if it was not run
+         */
+        var synchronize = function(trigger) {
+
+            return getSettings().then(function(settings) {
+
+                if (!settings.enabled) {
+                    return $q.reject('automatic synchronization disabled');
+                }
+                if ($rootScope.syncInProgress) {
+                    return $q.reject('sync already in progress');
+                }
+                if (!connectionAvailable(settings.wifiOnly)) {
+                    return $q.reject('no suitable connection');
+                }
+
+                return emAuth.getSession(true).then(null, function() {
+                    // No session => only proceed without master key auth
+                    if (emAuth.useMasterKey()) {
+                        return $q.reject('no active session');
+                    }
+                }).then(function() {
+
+                    console.log('Automatic synchronization (' + trigger + ')');
+                    lastRun = new Date();
+
+                    var options = {
+                        quiet: true,
+                        trigger: 'auto (' + trigger + ')'
+                    };
+                    if (settings.uploadOnly) {
+                        return emSync.uploadAllData(options);
+                    } else {
+                        return emSync.synchronize([], [], options);
+                    }
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a scheduled synchronization is due, and run it
+         */
+        var checkSchedule = function() {
+
+            timer = $timeout(checkSchedule, checkInterval);
+
+            getSettings().then(function(settings) {
+
+                var interval = settings.interval;
+                if (!settings.enabled || !interval) {
+                    return;
+                }
+                var now = new Date();
+                if (!lastRun || now - lastRun >= interval * 60000) {
+                    synchronize('interval').catch(function(reason) {
+                        console.log('Automatic synchronization skipped: ' + reason);
+                    });
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Handle events that can trigger a synchronization
+         *
+         * @param {string} trigger - the trigger: 'online'|'submit'
+         * @param {string} option - the setting that enables the trigger
+         */
+        var onEvent = function(trigger, option) {
+
+            getSettings().then(function(settings) {
+                if (settings[option]) {
+                    synchronize(trigger).catch(function(reason) {
+                        console.log('Automatic synchronization skipped: ' + reason);
+                    });
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Start the scheduler
+         */
+        var start = function() {
+
+            if (started) {
+                return;
+            }
+            started = true;
+
+            // Don't run immediately upon start
+            lastRun = new Date();
+            timer = $timeout(checkSchedule, checkInterval);
+
+            listeners = [
+                $rootScope.$on('emDeviceOnline', function() {
+                    onEvent('online', 'onOnline');
+                }),
+                $rootScope.$on('emDataSubmitted', function() {
+                    onEvent('submit', 'onSubmit');
+                })
+            ];
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Stop the scheduler
+         */
+        var stop = function() {
+
+            if (timer) {
+                $timeout.cancel(timer);
+                timer = null;
+            }
+            listeners.forEach(function(deregister) {
+                deregister();
+            });
+            listeners = [];
+
+            started = false;
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            start: start,
+            stop: stop,
+            synchronize: synchronize
+        };
+    }
+]);
+
+// ============================================================================
+/**
+ * Start the automatic synchronization scheduler with the app
+ */
+EdenMobile.run(['emAutoSync', function(emAutoSync) {
+
+    "use strict";
+
+    emAutoSync.start();
+}]);
+
+// END ========================================================================
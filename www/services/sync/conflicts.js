@@ -0,0 +1,469 @@
+/**
+ * Sahana Eden Mobile - Synchronization Conflicts
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emConflicts - Service to detect and resolve synchronization conflicts,
+ * i.e. records that have been modified both on the device and on the
+ * server since the last synchronization
+ *
+ * Conflict policies:
+ *  - server-wins: the server version replaces the device version
+ *  - device-wins: the device version is kept (and uploaded)
+ *  - newest-wins: the most recently modified version wins
+ *  - manual: the conflict is queued for manual resolution; the record
+ *            is held back from upload until resolved
+ *
+ * @class emConflicts
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emConflicts', [
+    '$q', 'emConfig', 'emDB', 'emResources',
+    function ($q, emConfig, emDB, emResources) {
+
+        "use strict";
+
+        var policies = ['server-wins', 'device-wins', 'newest-wins', 'manual'],
+            defaultPolicy = 'newest-wins';
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to extract the encoded values of all data fields of
+         * a record (for storage in the conflict queue)
+         *
+         * @param {Table} table - the table
+         * @param {object} data - the record data
+         *
+         * @returns {object} - the SQL-encoded field values
+         */
+        var encodeData = function(table, data) {
+
+            var fields = table.fields,
+                field,
+                encoded = {};
+
+            for (var fieldName in fields) {
+                field = fields[fieldName];
+                if (field.meta || !data.hasOwnProperty(fieldName)) {
+                    continue;
+                }
+                encoded[fieldName] = field.encode(data[fieldName]);
+            }
+            return encoded;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to decode stored field values
+         *
+         * @param {Table} table - the table
+         * @param {object} data - the SQL-encoded field values
+         *
+         * @returns {object} - the decoded field values
+         */
+        var decodeData = function(table, data) {
+
+            var fields = table.fields,
+                field,
+                decoded = {};
+
+            for (var fieldName in data) {
+                field = fields[fieldName];
+                if (field) {
+                    decoded[fieldName] = field.decode(data[fieldName]);
+                }
+            }
+            return decoded;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Determine the conflict policy for a resource
+         *
+         * @param {string} resourceName - the resource name
+         * @param {string} tableName - the table name
+         *
+         * @returns {promise} - a promise that resolves into the policy
+         */
+        var getPolicy = function(resourceName, tableName) {
+
+            return emResources.open(resourceName).then(function(resource) {
+
+                var policy;
+
+                // Resource-specific policy
+                if (resource && resource.tableName == tableName) {
+                    policy = resource.settings.conflict_policy;
+                } else {
+                    return emDB.table(tableName).then(function(table) {
+                        if (table) {
+                            policy = table.settings.conflict_policy;
+                        }
+                        return policy;
+                    });
+                }
+                return policy;
+
+            }).then(function(policy) {
+
+                if (policies.indexOf(policy) != -1) {
+                    return policy;
+                }
+
+                // Fall back to the configured default policy
+                var deferred = $q.defer();
+                emConfig.apply(function(settings) {
+                    policy = settings.get('sync.conflictPolicy');
+                    if (policies.indexOf(policy) == -1) {
+                        policy = defaultPolicy;
+                    }
+                    deferred.resolve(policy);
+                });
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Queue a conflict for manual resolution (or update a queued
+         * conflict with a newer server version)
+         *
+         * @param {string} resourceName - the resource name
+         * @param {string} tableName - the table name
+         * @param {integer} recordID - the local record ID
+         * @param {object} remoteData - the server version of the record
+         *
+         * @returns {promise} - a promise that is resolved when the conflict
+         *                      has been registered
+         */
+        var register = function(resourceName, tableName, recordID, remoteData) {
+
+            var deferred = $q.defer();
+
+            emDB.table(tableName).then(function(table) {
+
+                table.where(table.$('id').equals(recordID)).select({limitby: 1},
+                    function(rows) {
+
+                        if (!rows.length) {
+                            deferred.reject('record not found');
+                            return;
+                        }
+
+                        var local = rows[0]._(),
+                            remoteModifiedOn = remoteData.modified_on || remoteData.created_on,
+                            conflict = {
+                                tablename: tableName,
+                                resource: resourceName,
+                                uuid: local.uuid,
+                                local_data: encodeData(table, local),
+                                remote_data: encodeData(table, remoteData),
+                                remote_modified_on: remoteModifiedOn || null,
+                                detected_on: new Date()
+                            };
+
+                        emDB.table('em_conflict').then(function(conflictTable) {
+
+                            var query = allOf(
+                                    conflictTable.$('tablename').equals(tableName),
+                                    conflictTable.$('uuid').equals(local.uuid)
+                                ),
+                                dbSet = conflictTable.where(query);
+
+                            var onError = function(error) {
+                                deferred.reject(error);
+                            };
+
+                            dbSet.select(['id'], {limitby: 1}, function(rows) {
+                                if (rows.length) {
+                                    dbSet.update(conflict, function() {
+                                        deferred.resolve(rows[0].$('id'));
+                                    }, onError);
+                                } else {
+                                    conflictTable.insert(conflict, function(insertID) {
+                                        deferred.resolve(insertID);
+                                    }, onError);
+                                }
+                            }, onError);
+                        });
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the UUIDs of all records with pending conflicts (to hold
+         * them back from upload)
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {tableName: [uuid, ...]}
+         */
+        var pending = function() {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_conflict').then(function(table) {
+                table.select(['tablename', 'uuid'], function(rows) {
+                    var uuids = {};
+                    rows.forEach(function(row) {
+                        var tableName = row.$('tablename'),
+                            items = uuids[tableName] || [];
+                        items.push(row.$('uuid'));
+                        uuids[tableName] = items;
+                    });
+                    deferred.resolve(uuids);
+                }, function(error) {
+                    deferred.reject(error);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get all pending conflicts, with the differing fields of both
+         * versions (raw and represented values)
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      conflict objects:
+         *                      {id: the conflict ID,
+         *                       resource: the Resource,
+         *                       uuid: the record UUID,
+         *                       detectedOn: Date,
+         *                       remoteModifiedOn: Date,
+         *                       fields: [{name, label,
+         *                                 local, remote,
+         *                                 localRepr, remoteRepr}]
+         *                       }
+         */
+        var conflictList = function() {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_conflict').then(function(table) {
+
+                var fields = [
+                    'id',
+                    'tablename',
+                    'resource',
+                    'uuid',
+                    'local_data',
+                    'remote_data',
+                    'remote_modified_on',
+                    'detected_on'
+                ];
+
+                table.select(fields, {orderby: table.$('detected_on').desc()}, function(rows) {
+
+                    var conflicts = rows.map(function(row) {
+                        return row._();
+                    });
+
+                    $q.all(conflicts.map(function(conflict) {
+
+                        return emResources.open(conflict.resource).then(function(resource) {
+
+                            if (!resource || resource.tableName != conflict.tablename) {
+                                return;
+                            }
+
+                            var local = decodeData(resource.table, conflict.local_data || {}),
+                                remote = decodeData(resource.table, conflict.remote_data || {});
+
+                            return resource.representRecords([local, remote]).then(function(repr) {
+
+                                var localRepr = repr[0],
+                                    remoteRepr = repr[1],
+                                    differences = [],
+                                    fieldName;
+
+                                for (fieldName in conflict.remote_data) {
+                                    var field = resource.fields[fieldName];
+                                    if (!field || !field.readable) {
+                                        continue;
+                                    }
+                                    var localValue = conflict.local_data[fieldName],
+                                        remoteValue = conflict.remote_data[fieldName];
+                                    if (JSON.stringify(localValue) == JSON.stringify(remoteValue)) {
+                                        continue;
+                                    }
+                                    differences.push({
+                                        name: fieldName,
+                                        label: field.getLabel(),
+                                        local: local[fieldName],
+                                        remote: remote[fieldName],
+                                        localRepr: localRepr[fieldName],
+                                        remoteRepr: remoteRepr[fieldName]
+                                    });
+                                }
+
+                                return {
+                                    id: conflict.id,
+                                    resource: resource,
+                                    uuid: conflict.uuid,
+                                    detectedOn: conflict.detected_on,
+                                    remoteModifiedOn: conflict.remote_modified_on,
+                                    fields: differences
+                                };
+                            });
+                        });
+
+                    })).then(function(results) {
+                        deferred.resolve(results.filter(function(conflict) {
+                            return !!conflict;
+                        }));
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Resolve a conflict by writing the chosen values to the local
+         * record; the record is then uploaded with the next synchronization
+         *
+         * The sync baseline (synchronized_on) of the record is moved to
+         * the resolved server version, so that the upload does not
+         * detect the same conflict again
+         *
+         * @param {integer} conflictID - the conflict ID
+         * @param {object} data - the chosen values {fieldName: value},
+         *                        fields not included keep their local value
+         *
+         * @returns {promise} - a promise that is resolved when the conflict
+         *                      has been resolved
+         */
+        var resolve = function(conflictID, data) {
+
+            return emDB.table('em_conflict').then(function(table) {
+
+                var deferred = $q.defer(),
+                    dbSet = table.where(table.$('id').equals(conflictID));
+
+                var onError = function(error) {
+                    deferred.reject(error);
+                };
+
+                var fields = ['resource', 'tablename', 'uuid', 'remote_modified_on'];
+
+                dbSet.select(fields, {limitby: 1}, function(rows) {
+
+                    if (!rows.length) {
+                        deferred.reject('conflict not found');
+                        return;
+                    }
+                    var conflict = rows[0]._();
+
+                    emResources.open(conflict.resource).then(function(resource) {
+
+                        var done = function() {
+                            dbSet.delete(function() {
+                                deferred.resolve();
+                            }, onError);
+                        };
+
+                        // Move the sync baseline to the resolved server
+                        // version (also sets modified_on, so the record
+                        // will be uploaded as the newer version)
+                        var setBaseline = function() {
+                            emDB.table(conflict.tablename).then(function(recordTable) {
+                                if (!recordTable) {
+                                    done();
+                                    return;
+                                }
+                                recordTable.where(recordTable.$('uuid').equals(conflict.uuid))
+                                           .update({synchronized_on: conflict.remote_modified_on},
+                                                   done,
+                                                   onError);
+                            }, onError);
+                        };
+
+                        if (!resource || !data || !Object.keys(data).length) {
+                            // Nothing to write => keep local version
+                            setBaseline();
+                            return;
+                        }
+
+                        // Update the local record with the chosen values
+                        resource.where(resource.table.$('uuid').equals(conflict.uuid))
+                                .update(data)
+                                .then(setBaseline, onError);
+                    }, onError);
+                }, onError);
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Count the pending conflicts
+         *
+         * @returns {promise} - a promise that resolves into the number
+         *                      of pending conflicts
+         */
+        var count = function() {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_conflict').then(function(table) {
+                table.count(function(numRows) {
+                    deferred.resolve(numRows);
+                }, function(error) {
+                    deferred.reject(error);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+            policies: policies,
+            getPolicy: getPolicy,
+            register: register,
+            pending: pending,
+            conflictList: conflictList,
+            resolve: resolve,
+            count: count
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
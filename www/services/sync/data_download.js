@@ -47,6 +47,7 @@ EdenMobile.factory('DataDownload', [
             var job = this.job,
                 run = this.run,
                 ref = job.ref,
+                source = run.options.source || emServer,
                 self = this;
 
             console.log('Downloading data from ' + ref.c + '/' + ref.f);
@@ -63,24 +64,40 @@ EdenMobile.factory('DataDownload', [
                 }
                 ref.v.mdata = '1';
 
-                // Set msince
+                // Set msince to only download records modified since
+                // the last synchronization (unless full refresh requested)
                 var lastSync = resource.getLastSync();
-                if (lastSync) {
+                if (lastSync && !job.fullRefresh) {
                     var msince = lastSync.toISOString().split('.')[0];
                     ref.v.msince = msince;
+                } else {
+                    lastSync = null;
+                    delete ref.v.msince;
                 }
 
                 // Start download
-                emServer.getData(job.ref,
+                source.getData(job.ref,
                     function(data) {
 
                         run.createDataImports(job, job.tableName, data).then(
                             function(result) {
+
+                                // New lastSync date (using the server time
+                                // stamps to be safe from device clock skew),
+                                // set by the job once all imports succeeded
+                                var lastModified = self.lastModified(result, lastSync);
+
+                                job.count('downloaded', result.filter(function(task) {
+                                    return !!task.record;
+                                }).length);
+                                // Data from other sources (e.g. data packages)
+                                // do not advance the lastSync date
+                                if (lastModified && source === emServer) {
+                                    job.lastModified = lastModified;
+                                }
+
                                 self.resolve(result);
                             });
-
-                        // Update lastSync date
-                        resource.setLastSync(new Date());
                     },
                     function(response) {
                         // Download failed
@@ -92,6 +109,37 @@ EdenMobile.factory('DataDownload', [
             });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Determine the latest modification date of the downloaded
+         * master records (as new lastSync date)
+         *
+         * @param {Array} dataImports - the DataImport tasks for the
+         *                              downloaded data
+         * @param {Date} lastSync - the previous lastSync date
+         *
+         * @returns {Date} - the latest modification date
+         */
+        DataDownload.prototype.lastModified = function(dataImports, lastSync) {
+
+            var tableName = this.job.tableName,
+                lastModified = lastSync || null;
+
+            dataImports.forEach(function(task) {
+
+                var record = task.record;
+                if (task.tableName != tableName || !record) {
+                    return;
+                }
+                var modifiedOn = record.data.modified_on || record.data.created_on;
+                if (modifiedOn && (!lastModified || modifiedOn > lastModified)) {
+                    lastModified = modifiedOn;
+                }
+            });
+
+            return lastModified;
+        };
+
         // ====================================================================
         // Return the constructor
         //
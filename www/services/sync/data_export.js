@@ -24,11 +24,66 @@
  */
 
 EdenMobile.factory('DataExport', [
-    '$q', 'emS3JSON', 'DataUpload', 'LoadMap', 'SyncTask',
-    function ($q, emS3JSON, DataUpload, LoadMap, SyncTask) {
+    '$q', 'emConfig', 'emFiles', 'emS3JSON', 'DataUpload', 'LoadMap', 'SyncTask',
+    function ($q, emConfig, emFiles, emS3JSON, DataUpload, LoadMap, SyncTask) {
 
         "use strict";
 
+        // Default limits per upload request (see sync settings)
+        var defaultChunkSize = 50,
+            defaultChunkBytes = 262144;
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to find the names of all attached files referenced
+         * in an S3JSON item (including its components)
+         *
+         * @param {object} item - the S3JSON item
+         * @param {Array} fileNames - array to add the file names to
+         *
+         * @returns {Array} - the file names
+         */
+        var referencedFiles = function(item, fileNames) {
+
+            if (fileNames === undefined) {
+                fileNames = [];
+            }
+
+            var value;
+            for (var key in item) {
+                value = item[key];
+                if (key == '@filename') {
+                    fileNames.push(value);
+                } else if (value && typeof value == 'object') {
+                    referencedFiles(value, fileNames);
+                }
+            }
+            return fileNames;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to determine the total size of the files referenced in
+         * an S3JSON item, which are not yet attached to the chunk
+         *
+         * @param {object} item - the S3JSON item
+         * @param {object} fileSizes - the file sizes {fileName: size}
+         * @param {object} attached - the files already attached to the
+         *                            chunk {fileName: true}
+         *
+         * @returns {integer} - the total size in bytes
+         */
+        var filesSize = function(item, fileSizes, attached) {
+
+            var size = 0;
+            referencedFiles(item).forEach(function(fileName) {
+                if (!attached[fileName]) {
+                    size += fileSizes[fileName] || 0;
+                }
+            });
+            return size;
+        };
+
         /**
          * SyncTask to
          * - export data from a database table
@@ -67,7 +122,8 @@ EdenMobile.factory('DataExport', [
 
         // --------------------------------------------------------------------
         /**
-         * Execute this data export; produces a DataUpload task
+         * Execute this data export; produces an array of DataUpload tasks,
+         * one for each chunk of data (see chunks)
          */
         DataExport.prototype.execute = function() {
 
@@ -81,50 +137,176 @@ EdenMobile.factory('DataExport', [
             // records as necessary)
             loadMap.load(true, true).then(function() {
                 return self.export().then(function() {
+                    return self.chunks().then(function(chunks) {
+
+                        if (chunks.length) {
+                            // Generate the data upload tasks, then resolve
+                            var job = self.job,
+                                files = self.files;
+                            self.resolve(chunks.map(function(chunk) {
+
+                                // Attach only the files referenced in the chunk
+                                var attachments = {};
+                                referencedFiles(chunk).forEach(function(fileName) {
+                                    if (files.hasOwnProperty(fileName)) {
+                                        attachments[fileName] = files[fileName];
+                                    }
+                                });
+                                return new DataUpload(job, chunk, attachments);
+                            }));
+                        } else {
+                            // No data to upload => just resolve
+                            self.resolve();
+                        }
+                    });
+                });
+            }).catch(function(e) {
+                self.reject(e);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Collect all exported records into S3JSON objects, each with no
+         * more than the configured number of records or data volume
+         * (sync.uploadChunkSize and sync.uploadChunkBytes settings)
+         *
+         * - referenced records come before the records referencing them,
+         *   so that each chunk only references records either in the same
+         *   or in a previous chunk
+         * - the data volume includes the files attached to the records
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      S3JSON objects
+         */
+        DataExport.prototype.chunks = function() {
+
+            var deferred = $q.defer(),
+                lookups = this.lookups;
+
+            $q.all([this.settings(), this.fileSizes()]).then(function(results) {
+
+                var settings = results[0],
+                    fileSizes = results[1];
 
-                    var jsonData = {},
-                        lookups = self.lookups,
-                        tableName,
-                        items,
-                        recordID,
+                var maxItems = parseInt(settings.get('sync.uploadChunkSize')),
+                    maxBytes = parseInt(settings.get('sync.uploadChunkBytes'));
+                if (isNaN(maxItems)) {
+                    maxItems = defaultChunkSize;
+                }
+                if (isNaN(maxBytes)) {
+                    maxBytes = defaultChunkBytes;
+                }
+
+                // LoadMaps are created in order of reference, so process
+                // them in reverse order to have look-up records first
+                var tableNames = Object.keys(lookups).reverse(),
+                    chunks = [],
+                    chunk = null,
+                    numItems = 0,
+                    numBytes = 0,
+                    attached = {};
+
+                tableNames.forEach(function(tableName) {
+
+                    if (tableName.slice(0, 3) === 'em_') {
+                        // System table not exported
+                        return;
+                    }
+
+                    var items = lookups[tableName].items,
+                        key = '$_' + tableName,
                         item,
-                        data,
-                        upload = false;
+                        size;
 
-                    // Collect all records into one S3JSON object
-                    for (tableName in lookups) {
+                    for (var recordID in items) {
 
-                        if (tableName.slice(0, 3) === 'em_') {
-                            // System table not exported
+                        item = items[recordID];
+                        if (item.parent) {
+                            // Exported as component of the parent record
                             continue;
                         }
 
-                        items = lookups[tableName].items;
-                        data = [];
-
-                        for (recordID in items) {
-                            item = items[recordID];
-                            if (!item.parent) {
-                                data.push(item.data);
-                            }
+                        size = JSON.stringify(item.data).length +
+                               filesSize(item.data, fileSizes, attached);
+                        if (chunk && (maxItems && numItems >= maxItems ||
+                                      maxBytes && numBytes + size > maxBytes)) {
+                            // Start a new chunk (size including all files)
+                            chunk = null;
+                            size = JSON.stringify(item.data).length +
+                                   filesSize(item.data, fileSizes, {});
                         }
-                        if (data.length) {
-                            angular.extend(jsonData, emS3JSON.encode(tableName, data));
-                            upload = true;
+                        if (!chunk) {
+                            chunk = {};
+                            chunks.push(chunk);
+                            numItems = 0;
+                            numBytes = 0;
+                            attached = {};
                         }
-                    }
+                        referencedFiles(item.data).forEach(function(fileName) {
+                            attached[fileName] = true;
+                        });
+                        if (!chunk.hasOwnProperty(key)) {
+                            angular.extend(chunk, emS3JSON.encode(tableName, []));
+                        }
+                        chunk[key].push(item.data);
 
-                    if (upload) {
-                        // Generate the data upload task, then resolve
-                        var dataUpload = new DataUpload(self.job, jsonData, self.files);
-                        self.resolve(dataUpload);
-                    } else {
-                        // No data to upload => just resolve
-                        self.resolve();
+                        numItems++;
+                        numBytes += size;
                     }
                 });
-            }).catch(function(e) {
-                self.reject(e);
+
+                deferred.resolve(chunks);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current settings
+         *
+         * @returns {promise} - a promise that resolves into the settings
+         */
+        DataExport.prototype.settings = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                deferred.resolve(settings);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Look up the sizes of all files scheduled for upload
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {fileName: size in bytes}
+         */
+        DataExport.prototype.fileSizes = function() {
+
+            var files = this.files,
+                fileSizes = {};
+
+            return $q.all(Object.keys(files).map(function(fileName) {
+
+                var deferred = $q.defer();
+
+                emFiles.getFile(files[fileName], function(name, file) {
+                    fileSizes[fileName] = file.size || 0;
+                    deferred.resolve();
+                }, function() {
+                    // File not found => can not be attached anyway
+                    deferred.resolve();
+                });
+
+                return deferred.promise;
+
+            })).then(function() {
+                return fileSizes;
             });
         };
 
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('DataImport', [
-    '$q', 'emDB', 'emFiles', 'SyncTask',
-    function ($q, emDB, emFiles, SyncTask) {
+    '$q', 'emConflicts', 'emDB', 'emFiles', 'SyncTask',
+    function ($q, emConflicts, emDB, emFiles, SyncTask) {
 
         "use strict";
 
@@ -130,14 +130,12 @@ EdenMobile.factory('DataImport', [
                                 timeStamp = data.created_on;
                             }
 
-                            // Simplified NEWER-policy:
-                            // If...
+                            // Skip the import (=resolve without updating) if...
                             // - the remote record age is unknown (=no timeStamp), or
                             // - the record has never been synchronized before and
                             //   the remote record is older, or
                             // - the remote record has not been modified since last
-                            //   sync, then
-                            // => skip the import (=resolve without updating)
+                            //   sync
                             if (!timeStamp ||
                                 !synchronizedOn && timeStamp < modifiedOn ||
                                 timeStamp <= synchronizedOn) {
@@ -145,23 +143,96 @@ EdenMobile.factory('DataImport', [
                                 return;
                             }
 
-                            // Set synchronized_on to now
-                            data.synchronized_on = new Date();
-                            data.em_incomplete = false;
-                            table.where(table.$('id').equals(recordID)).update(data,
-                                function(numRowsAffected) {
-                                    if (numRowsAffected) {
+                            // Update the local record
+                            var update = function() {
+
+                                var dbSet = table.where(table.$('id').equals(recordID));
+
+                                if (record.deleted) {
+                                    // Deleted on the server => delete locally
+                                    dbSet.delete(
+                                        function() {
+                                            self.resolve();
+                                        },
+                                        function() {
+                                            // Still referenced by other records
+                                            // (RESTRICT) => keep it
+                                            self.resolve(recordID);
+                                        });
+                                    return;
+                                }
+
+                                // Set synchronized_on (unless unsynchronized import)
+                                self.setSyncDate(data);
+                                data.em_incomplete = false;
+                                dbSet.update(data,
+                                    function(numRowsAffected) {
+                                        if (numRowsAffected) {
+                                            self.resolve(recordID);
+                                        } else {
+                                            self.reject('error updating record');
+                                        }
+                                    });
+                            };
+
+                            if (!synchronizedOn || modifiedOn <= synchronizedOn) {
+                                // No local changes since last sync
+                                update();
+                                return;
+                            }
+
+                            // Record modified on both sides => resolve the
+                            // conflict according to the configured policy
+                            var job = self.job,
+                                resourceName = tableName;
+                            if (job && job.tableName == tableName) {
+                                resourceName = job.resourceName;
+                            }
+                            return emConflicts.getPolicy(resourceName, tableName).then(function(policy) {
+
+                                switch(policy) {
+                                    case 'server-wins':
+                                        update();
+                                        break;
+                                    case 'device-wins':
                                         self.resolve(recordID);
-                                    } else {
-                                        self.reject('error updating record');
-                                    }
-                                });
+                                        break;
+                                    case 'manual':
+                                        if (record.deleted) {
+                                            // Keep the local version
+                                            self.resolve(recordID);
+                                            break;
+                                        }
+                                        emConflicts.register(resourceName, tableName, recordID, data).then(
+                                            function() {
+                                                self.resolve(recordID);
+                                            },
+                                            function(error) {
+                                                self.reject(error);
+                                            });
+                                        break;
+                                    default:
+                                        // newest-wins
+                                        if (timeStamp > modifiedOn) {
+                                            update();
+                                        } else {
+                                            self.resolve(recordID);
+                                        }
+                                        break;
+                                }
+                            }, function(error) {
+                                self.reject(error);
+                            });
+
+                        } else if (record.deleted) {
+                            // Deleted on the server, but not present locally
+                            self.resolve();
 
                         } else {
                             // Create new record
 
-                            // Set synchronized_on to now
-                            data.synchronized_on = new Date();
+                            // Set synchronized_on (unless unsynchronized import)
+                            self.setSyncDate(data);
 
                             table.insert(data,
                                 function(insertID) {
@@ -180,6 +251,25 @@ EdenMobile.factory('DataImport', [
             });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Set the synchronization date for the imported record
+         *
+         * - records imported with the unsynchronized option (e.g. from
+         *   data packages) are not marked as synchronized, so that they
+         *   will still be uploaded to the server
+         *
+         * @param {object} data - the record data
+         */
+        DataImport.prototype.setSyncDate = function(data) {
+
+            if (this.run.options.unsynchronized) {
+                delete data.synchronized_on;
+            } else {
+                data.synchronized_on = new Date();
+            }
+        };
+
         // --------------------------------------------------------------------
         /**
          * Add a pending foreign key
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('DataUpload', [
-    '$q', 'emDB', 'emServer', 'SyncTask',
-    function ($q, emDB, emServer, SyncTask) {
+    '$q', 'emConflicts', 'emDB', 'emRejections', 'emServer', 'SyncTask',
+    function ($q, emConflicts, emDB, emRejections, emServer, SyncTask) {
 
         "use strict";
 
@@ -54,52 +54,168 @@ EdenMobile.factory('DataUpload', [
             var deferred = $q.defer(),
                 self = this;
 
-            // Collect the attachments
-            var files = this.files,
-                fileHooks = [];
-            for (var fileName in files) {
-                fileHooks.push([fileName, files[fileName]]);
-            }
+            // Hold back records with unresolved conflicts
+            emConflicts.pending().then(function(pending) {
 
-            // Prepare data for upload
-            var uploadData = JSON.stringify(this.data);
-            if (fileHooks.length) {
-                uploadData = {
-                    'data.s3json': uploadData,
-                    '_files': fileHooks
-                };
-            }
+                var data = self.data;
+                if (Object.keys(pending).length) {
+                    data = self.removeConflicts(data, pending);
+                }
+                if (!data) {
+                    // Nothing left to upload
+                    self.resolve();
+                    return;
+                }
+                self.data = data;
 
-            // Use ignore_errors=True
-            var ref = this.job.ref;
-            if (!ref.v) {
-                ref.v = {};
-            }
-            ref.v.ignore_errors = 'True';
+                // Collect the attachments
+                var files = self.files,
+                    fileHooks = [];
+                for (var fileName in files) {
+                    fileHooks.push([fileName, files[fileName]]);
+                }
 
-            // Upload
-            emServer.postData(ref, uploadData,
-                function(response) {
-                    self.updateSyncDate(response);
-                    self.resolve();
-                },
-                function(error) {
-                    self.reject(emServer.parseServerError(error));
-                });
+                // Prepare data for upload
+                var uploadData = JSON.stringify(data);
+                if (fileHooks.length) {
+                    uploadData = {
+                        'data.s3json': uploadData,
+                        '_files': fileHooks
+                    };
+                }
+
+                // Use ignore_errors=True
+                var ref = self.job.ref;
+                if (!ref.v) {
+                    ref.v = {};
+                }
+                ref.v.ignore_errors = 'True';
+
+                // Upload (to the server, unless the run has another
+                // destination, e.g. a peer hub)
+                var source = self.run.options.source,
+                    destination = source && source.postData ? source : emServer;
+                destination.postData(ref, uploadData,
+                    function(response) {
+                        // Resolve only after synchronized_on has been
+                        // set, so that an interrupted upload can resume
+                        // with the next chunk
+                        self.updateSyncDate(response).finally(function() {
+                            self.resolve();
+                        });
+                    },
+                    function(error) {
+                        self.reject(emServer.parseServerError(error));
+                    });
+            }, function(error) {
+                self.reject(error);
+            });
 
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Remove all items with unresolved conflicts (and their components)
+         * from the object tree to send to the server
+         *
+         * @param {object} tree - the object tree (or a sub-section of it)
+         * @param {object} pending - items with unresolved conflicts
+         *                           {tableName: [uuid, ...]}
+         *
+         * @returns {object} - the object tree without the conflicting
+         *                     items, or null if no items are left
+         */
+        DataUpload.prototype.removeConflicts = function(tree, pending) {
+
+            var tableName,
+                conflicts,
+                items,
+                hasItems = false,
+                self = this;
+
+            var keepItem = function(item) {
+                return conflicts.indexOf(item['@uuid']) == -1;
+            };
+            var removeComponents = function(item) {
+                self.removeConflicts(item, pending);
+            };
+
+            for (var key in tree) {
+                if (key.slice(0, 2) == '$_') {
+                    tableName = key.slice(2);
+                    conflicts = pending[tableName] || [];
+
+                    items = tree[key].filter(keepItem);
+                    items.forEach(removeComponents);
+
+                    if (items.length) {
+                        tree[key] = items;
+                        hasItems = true;
+                    } else {
+                        delete tree[key];
+                    }
+                }
+            }
+
+            return hasItems ? tree : null;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Extract the field errors for an item in the error tree
+         *
+         * @param {object} item - the item in the error tree
+         *
+         * @returns {object} - the field errors {fieldName: error}
+         */
+        DataUpload.prototype.fieldErrors = function(item) {
+
+            var fieldErrors = {},
+                fieldName,
+                value,
+                error;
+
+            for (var key in item) {
+
+                if (key[0] == '@' || key.slice(0, 2) == '$_') {
+                    // Attribute or component
+                    continue;
+                }
+                if (key.slice(0, 3) == '$k_') {
+                    // Foreign key
+                    fieldName = key.slice(3);
+                } else {
+                    fieldName = key;
+                }
+
+                value = item[key];
+                if (value && value.constructor === Object) {
+                    error = value['@error'];
+                    if (error) {
+                        fieldErrors[fieldName] = error;
+                    }
+                }
+            }
+
+            return fieldErrors;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Find the rejected items in the error tree returned from server
          *
          * @param {object} rejected - known rejected items
-         *                            {tableName: {uuid: error}}
+         *                            {tableName: {uuid: {error, fields}}}
          * @param {object} errorTree - the error tree from the server
          *                             (or a sub-section of it)
          * @param {boolean} all - assume all items in the error tree have
          *                        been rejected even if not marked with error
+         *
+         * @returns {object} - the rejected items
+         *                     {tableName: {uuid: {error: message,
+         *                                         fields: {fieldName: message}
+         *                                         }}}
          */
         DataUpload.prototype.rejectedItems = function(rejected, errorTree, all) {
 
@@ -113,20 +229,28 @@ EdenMobile.factory('DataUpload', [
                     tableName,
                     uuid,
                     error,
+                    fieldErrors,
                     self = this;
 
                 var registerRejected = function(item) {
 
                     uuid = item['@uuid'];
                     error = item['@error'];
+                    fieldErrors = self.fieldErrors(item);
 
+                    if (!error && Object.keys(fieldErrors).length) {
+                        error = 'invalid data';
+                    }
                     if (!error && all) {
                         // If the parent item has been rejected, assume
                         // the same for all its components
                         error = 'parent rejected';
                     }
                     if (uuid && error) {
-                        rejectedItems[uuid] = error;
+                        rejectedItems[uuid] = {
+                            error: error,
+                            fields: fieldErrors
+                        };
                     }
                     // Descend into components
                     self.rejectedItems(rejected, item, !!error);
@@ -152,7 +276,7 @@ EdenMobile.factory('DataUpload', [
          * @param {object} accepted - known accepted items
          *                            {tableName: [uuid, ...]}
          * @param {object} rejected - known rejected items
-         *                            {tableName: {uuid: error}}
+         *                            {tableName: {uuid: {error, fields}}}
          * @param {object} tree - the object tree sent to the server
          */
         DataUpload.prototype.acceptedItems = function(accepted, rejected, tree) {
@@ -195,10 +319,14 @@ EdenMobile.factory('DataUpload', [
 
         // --------------------------------------------------------------------
         /**
-         * Identify accepted objects and update their synchronized_on
+         * Identify accepted objects and update their synchronized_on,
+         * register rejected objects for correction
          *
          * @param {object} response - the response object from the server
          *
+         * @returns {promise} - a promise that is resolved when
+         *                      synchronized_on has been updated
+         *
          * @todo: extend for component support
          */
         DataUpload.prototype.updateSyncDate = function(response) {
@@ -208,10 +336,28 @@ EdenMobile.factory('DataUpload', [
                 accepted = this.acceptedItems({}, rejected, this.data);
 
             // Set synchronized_on for accepted items
-            var now = new Date();
-            for (var tableName in accepted) {
-                this.setSyncDate(tableName, accepted[tableName], now);
+            var now = new Date(),
+                pending = [],
+                numAccepted = 0,
+                numRejected = 0,
+                tableName;
+            for (tableName in accepted) {
+                numAccepted += accepted[tableName].length;
+                pending.push(this.setSyncDate(tableName, accepted[tableName], now));
+                pending.push(emRejections.clear(tableName, accepted[tableName]));
+            }
+            pending.push(emRejections.register(rejected));
+            for (tableName in rejected) {
+                numRejected += Object.keys(rejected[tableName]).length;
             }
+
+            // Update the record counts of the job
+            var job = this.job;
+            job.count('uploaded', numAccepted + numRejected);
+            job.count('accepted', numAccepted);
+            job.count('rejected', numRejected);
+
+            return $q.all(pending);
         };
 
         // --------------------------------------------------------------------
@@ -222,17 +368,32 @@ EdenMobile.factory('DataUpload', [
          * @param {Array} uuids - array of uuids for which to set
          *                        synchronized_on
          * @param {Date} syncDate - the value for synchronized_on
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      records have been updated
          */
         DataUpload.prototype.setSyncDate = function(tableName, uuids, syncDate) {
 
+            var deferred = $q.defer();
+
             if (uuids.length) {
                 emDB.table(tableName).then(function(table) {
                     table.where(table.$('uuid').in(uuids))
                          .update(
                              {synchronized_on: syncDate},
-                             {noDefaults: true});
+                             {noDefaults: true},
+                             function() {
+                                 deferred.resolve();
+                             },
+                             function(error) {
+                                 deferred.reject(error);
+                             });
                 });
+            } else {
+                deferred.resolve();
             }
+
+            return deferred.promise;
         };
 
         // ====================================================================
@@ -52,11 +52,12 @@ EdenMobile.factory('FileDownload', [
         FileDownload.prototype.execute = function() {
 
             var url = this.downloadURL,
+                source = this.run.options.source || emServer,
                 self = this;
 
             //console.log('Downloading ' + url);
 
-            emServer.getFile(url,
+            source.getFile(url,
                 function(data, fileName) {
                     // Download succeeded
                     if (data) {
@@ -66,6 +67,9 @@ EdenMobile.factory('FileDownload', [
                             blob = new Blob([data], {type: dataType}),
                             resolve = function(fileURI) {
                                 self.resolve(fileURI);
+                            },
+                            reject = function(error) {
+                                self.reject(error);
                             };
 
                         switch(self.fileType) {
@@ -73,7 +77,7 @@ EdenMobile.factory('FileDownload', [
                                 emFiles.createImageFile(fileName, blob, resolve);
                                 break;
                             default:
-                                emFiles.createTempFile(fileName, blob, resolve);
+                                emFiles.createTempFile(fileName, blob, resolve, reject);
                                 break;
                         }
                     } else {
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('SyncJob', [
-    '$q', 'emSyncLog', 'DataDownload', 'SchemaDownload',
-    function ($q, emSyncLog, DataDownload, SchemaDownload) {
+    '$q', 'emResources', 'emSyncLog', 'DataDownload', 'SchemaDownload',
+    function ($q, emResources, emSyncLog, DataDownload, SchemaDownload) {
 
         "use strict";
 
@@ -51,6 +51,17 @@ EdenMobile.factory('SyncJob', [
             this.tableName = tableName;
             this.ref = angular.copy(ref);
 
+            this.fullRefresh = false;   // pull: ignore lastSync date
+            this.lastModified = null;   // pull: new lastSync date
+
+            // Record counts for the sync log
+            this.counts = {
+                uploaded: 0,
+                accepted: 0,
+                rejected: 0,
+                downloaded: 0
+            };
+
             this.status = 'pending';
             this.error = null;
 
@@ -83,6 +94,58 @@ EdenMobile.factory('SyncJob', [
             return task;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Add to a record count of this job (for the sync log)
+         *
+         * @param {string} counter - the counter name:
+         *                           uploaded|accepted|rejected|downloaded
+         * @param {integer} number - the number of records to add
+         */
+        SyncJob.prototype.count = function(counter, number) {
+
+            var counts = this.counts;
+            if (counts.hasOwnProperty(counter) && number) {
+                counts[counter] += number;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Advance the lastSync date of the resource after a data download,
+         * provided that all import tasks of this job have succeeded (so
+         * that records which failed to import are downloaded again
+         * during the next sync)
+         *
+         * @param {Array} dataImports - the import tasks of the sync run
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      lastSync date has been updated (or
+         *                      remains unchanged)
+         */
+        SyncJob.prototype.updateLastSync = function(dataImports) {
+
+            var lastModified = this.lastModified,
+                self = this;
+
+            if (!lastModified || this.$result) {
+                return $q.resolve();
+            }
+
+            var failed = dataImports.some(function(task) {
+                return task.job === self && task.$result != 'success';
+            });
+            if (failed) {
+                return $q.resolve();
+            }
+
+            return emResources.open(this.resourceName).then(function(resource) {
+                if (resource) {
+                    resource.setLastSync(lastModified);
+                }
+            });
+        };
+
         // @todo: add import
         // @todo: add export
         // @todo: add upload
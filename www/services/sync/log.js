@@ -31,11 +31,61 @@
  * @memberof EdenMobile.Services
  */
 EdenMobile.factory('emSyncLog', [
-    'emDB',
-    function(emDB) {
+    '$q', 'emConfig', 'emDB', 'emFiles', 'emUtils',
+    function($q, emConfig, emDB, emFiles, emUtils) {
 
         "use strict";
 
+        var counters = ['uploaded', 'accepted', 'rejected', 'downloaded'];
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove synchronization runs (and their log entries) beyond the
+         * configured retention limits (sync.logRetention, sync.logMaxRuns)
+         */
+        var purge = function() {
+
+            emConfig.apply(function(settings) {
+
+                var days = parseInt(settings.get('sync.logRetention')),
+                    maxRuns = parseInt(settings.get('sync.logMaxRuns')),
+                    cutoff = null;
+
+                if (days > 0) {
+                    cutoff = new Date();
+                    cutoff.setDate(cutoff.getDate() - days);
+                }
+
+                $q.all([emDB.table('em_sync_run'), emDB.table('em_sync_log')]).then(function(tables) {
+
+                    var runTable = tables[0],
+                        logTable = tables[1];
+
+                    runTable.select(['id', 'started_on'], {orderby: runTable.$('id').desc()}, function(rows) {
+
+                        var obsolete = [];
+                        rows.forEach(function(row, index) {
+                            var startedOn = row.$('started_on');
+                            if (maxRuns > 0 && index >= maxRuns ||
+                                cutoff && startedOn && startedOn < cutoff) {
+                                obsolete.push(row.$('id'));
+                            }
+                        });
+
+                        if (obsolete.length) {
+                            logTable.where(logTable.$('run_id').in(obsolete)).delete(function() {
+                                runTable.where(runTable.$('id').in(obsolete)).delete();
+                            });
+                        }
+                        if (cutoff) {
+                            // Entries logged without run
+                            logTable.where(logTable.$('timestamp').lessThan(cutoff)).delete();
+                        }
+                    });
+                });
+            });
+        };
+
         var api = {
 
             /**
@@ -48,19 +98,101 @@ EdenMobile.factory('emSyncLog', [
             log: function(job, result, message) {
 
                 var entry = {
-                    timestamp: new Date(),
-                    result: result,
-                    message: message
-                };
+                        timestamp: new Date(),
+                        result: result,
+                        message: message
+                    },
+                    runID = null;
 
                 if (job) {
                     entry.type = job.type;
                     entry.mode = job.mode;
                     entry.resource = job.resourceName;
+
+                    var counts = job.counts;
+                    if (counts) {
+                        counters.forEach(function(counter) {
+                            entry[counter] = counts[counter] || 0;
+                        });
+                    }
+                    if (job.run) {
+                        runID = job.run.logID;
+                    }
                 }
 
-                emDB.table('em_sync_log').then(function(table) {
-                    table.insert(entry);
+                $q.when(runID).then(function(runID) {
+                    if (runID) {
+                        entry.run_id = runID;
+                    }
+                    emDB.table('em_sync_log').then(function(table) {
+                        table.insert(entry);
+                    });
+                });
+            },
+
+            /**
+             * Register the start of a synchronization run
+             *
+             * @param {SyncRun} run - the sync run
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      record ID of the run in the log
+             */
+            startRun: function(run) {
+
+                var deferred = $q.defer(),
+                    options = run.options || {};
+
+                emDB.table('em_sync_run').then(function(table) {
+                    table.insert({
+                        started_on: new Date(),
+                        trigger: options.trigger || 'manual'
+                    }, function(runID) {
+                        deferred.resolve(runID);
+                    }, function() {
+                        deferred.resolve(null);
+                    });
+                });
+
+                return deferred.promise;
+            },
+
+            /**
+             * Register the end of a synchronization run, with the total
+             * record counts and the overall result; then remove runs
+             * beyond retention limits
+             *
+             * @param {SyncRun} run - the sync run
+             */
+            endRun: function(run) {
+
+                var data = {
+                        finished_on: new Date(),
+                        result: 'success'
+                    };
+
+                counters.forEach(function(counter) {
+                    data[counter] = 0;
+                });
+                (run.jobs || []).forEach(function(job) {
+                    var counts = job.counts || {};
+                    counters.forEach(function(counter) {
+                        data[counter] += counts[counter] || 0;
+                    });
+                    if (job.$result && job.$result != 'success') {
+                        data.result = 'error';
+                    }
+                });
+
+                $q.when(run.logID).then(function(runID) {
+                    if (!runID) {
+                        return;
+                    }
+                    emDB.table('em_sync_run').then(function(table) {
+                        table.where(table.$('id').equals(runID)).update(data, function() {
+                            purge();
+                        });
+                    });
                 });
             },
 
@@ -101,6 +233,210 @@ EdenMobile.factory('emSyncLog', [
                             }
                         });
                 });
+            },
+
+            /**
+             * Get the synchronization history, grouped by run
+             *
+             * @param {object} filters - filters for the log entries:
+             *   @property {string} resource - the resource name
+             *   @property {string} result - the result (success|error|cancelled)
+             *
+             * @returns {promise} - a promise that resolves into an array
+             *                      of runs (newest first):
+             *                      {id, startedOn, finishedOn, duration (seconds),
+             *                       trigger, result, uploaded, accepted, rejected,
+             *                       downloaded, entries: [log entries]}
+             */
+            history: function(filters) {
+
+                filters = filters || {};
+
+                return $q.all([emDB.table('em_sync_run'), emDB.table('em_sync_log')]).then(function(tables) {
+
+                    var deferred = $q.defer(),
+                        runTable = tables[0],
+                        logTable = tables[1];
+
+                    var query = null,
+                        addFilter = function(expr) {
+                            query = query ? query.and(expr) : expr;
+                        };
+                    if (filters.resource) {
+                        addFilter(logTable.$('resource').equals(filters.resource));
+                    }
+                    if (filters.result) {
+                        addFilter(logTable.$('result').equals(filters.result));
+                    }
+
+                    var logFields = [
+                        'run_id',
+                        'timestamp',
+                        'type',
+                        'mode',
+                        'resource',
+                        'result',
+                        'message'
+                    ].concat(counters);
+
+                    logTable.where(query).select(logFields, {orderby: logTable.$('id')}, function(logRows) {
+
+                        var entries = {};
+                        logRows.forEach(function(row) {
+                            var entry = row._(),
+                                runID = entry.run_id;
+                            if (runID) {
+                                if (!entries[runID]) {
+                                    entries[runID] = [];
+                                }
+                                entries[runID].push(entry);
+                            }
+                        });
+
+                        var runFields = ['id', 'started_on', 'finished_on', 'trigger', 'result'].concat(counters);
+
+                        runTable.select(runFields, {orderby: runTable.$('id').desc()}, function(runRows) {
+
+                            var runs = [];
+                            runRows.forEach(function(row) {
+
+                                var run = row._(),
+                                    runEntries = entries[run.id];
+                                if (!runEntries) {
+                                    if (query) {
+                                        // No matching entries
+                                        return;
+                                    }
+                                    runEntries = [];
+                                }
+
+                                var startedOn = run.started_on,
+                                    finishedOn = run.finished_on,
+                                    duration = null;
+                                if (startedOn && finishedOn) {
+                                    duration = Math.round((finishedOn - startedOn) / 1000);
+                                }
+
+                                var item = {
+                                    id: run.id,
+                                    startedOn: startedOn,
+                                    finishedOn: finishedOn,
+                                    duration: duration,
+                                    trigger: run.trigger,
+                                    result: run.result,
+                                    entries: runEntries
+                                };
+                                counters.forEach(function(counter) {
+                                    item[counter] = run[counter] || 0;
+                                });
+                                runs.push(item);
+                            });
+
+                            deferred.resolve(runs);
+                        });
+                    });
+
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Get the names of all resources in the synchronization log
+             * (for filter options)
+             *
+             * @returns {promise} - a promise that resolves into an array
+             *                      of resource names
+             */
+            resources: function() {
+
+                return emDB.table('em_sync_log').then(function(table) {
+
+                    var deferred = $q.defer(),
+                        resource = table.$('resource');
+
+                    table.select([resource], {groupby: resource, orderby: resource}, function(rows) {
+                        deferred.resolve(rows.map(function(row) {
+                            return row.$(resource);
+                        }).filter(function(name) {
+                            return !!name;
+                        }));
+                    });
+
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Export the synchronization history
+             *
+             * @param {string} format - the export format: json|csv
+             * @param {object} filters - filters for the log entries (see history)
+             *
+             * @returns {promise} - a promise that resolves into the URI of
+             *                      the export file
+             */
+            export: function(format, filters) {
+
+                return api.history(filters).then(function(runs) {
+
+                    var contents,
+                        mimeType;
+
+                    if (format == 'csv') {
+
+                        var columns = [
+                                'run_id',
+                                'run_started_on',
+                                'run_finished_on',
+                                'run_trigger',
+                                'run_result',
+                                'timestamp',
+                                'type',
+                                'mode',
+                                'resource',
+                                'result'
+                            ].concat(counters).concat(['message']),
+                            lines = [columns.join(',')];
+
+                        runs.forEach(function(run) {
+                            var runData = [run.id, run.startedOn, run.finishedOn, run.trigger, run.result];
+                            run.entries.forEach(function(entry) {
+                                var values = runData.concat([
+                                    entry.timestamp,
+                                    entry.type,
+                                    entry.mode,
+                                    entry.resource,
+                                    entry.result
+                                ]);
+                                counters.forEach(function(counter) {
+                                    values.push(entry[counter]);
+                                });
+                                values.push(entry.message);
+                                lines.push(values.map(emUtils.csvValue).join(','));
+                            });
+                        });
+                        contents = lines.join('\r\n');
+                        mimeType = 'text/csv';
+
+                    } else {
+
+                        format = 'json';
+                        contents = JSON.stringify(runs, null, 2);
+                        mimeType = 'application/json';
+                    }
+
+                    var deferred = $q.defer(),
+                        timeStamp = new Date().toISOString().split('.')[0].replace(/[\-:]/g, ''),
+                        fileName = 'synclog_' + timeStamp + '.' + format;
+
+                    emFiles.createExportFile(fileName, new Blob([contents], {type: mimeType}), function(fileURI) {
+                        deferred.resolve(fileURI);
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+
+                    return deferred.promise;
+                });
             }
         };
         return api;
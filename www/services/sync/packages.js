@@ -0,0 +1,1107 @@
+/**
+ * Sahana Eden Mobile - Data Packages
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emPackages - Service for offline data packages, to transfer the
+ * synchronization payload between devices via the file system (e.g.
+ * SD card or USB) where no connection to the server is available
+ *
+ * A data package contains:
+ *  - the schemas of all active forms (in the same format as the server
+ *    provides them, including look-up data for referenced tables)
+ *  - all new and modified records of these forms (S3JSON, as they would
+ *    be uploaded to the server)
+ *  - the attached files and the images of the forms
+ *
+ * The package is signed with the data package key (sync.packageKey
+ * setting), so that only packages from devices with the same key are
+ * accepted. The key must be configured explicitly: the application key
+ * is the same for all installations of the app, and therefore not
+ * suitable to sign packages.
+ *
+ * Records imported from a package are not marked as synchronized, so
+ * the importing device uploads them to the server with its next
+ * synchronization. Alternatively, the package can be uploaded to the
+ * server directly (as-is).
+ *
+ * @class emPackages
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emPackages', [
+    '$q', '$rootScope', 'emConfig', 'emDB', 'emFiles', 'emResources', 'emS3JSON', 'emServer', 'emSyncLog', 'emUtils',
+    'DataExport', 'SyncJob', 'SyncRun',
+    function ($q, $rootScope, emConfig, emDB, emFiles, emResources, emS3JSON, emServer, emSyncLog, emUtils,
+              DataExport, SyncJob, SyncRun) {
+
+        "use strict";
+
+        var packageFormat = 'eden-mobile-package',
+            packageVersion = 1,
+            packageExtension = '.empkg';
+
+        // Resource settings which are not part of the form settings
+        var internalSettings = [
+            'name',
+            'controller',
+            'function',
+            'main',
+            'inactive',
+            'components'
+        ];
+
+        // ====================================================================
+        // Helpers
+        // ====================================================================
+        /**
+         * Get the key to sign and verify data packages
+         *
+         * @returns {promise} - a promise that resolves into the key
+         */
+        var getKey = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                var key = settings.get('sync.packageKey');
+                if (key) {
+                    deferred.resolve(key);
+                } else {
+                    deferred.reject('No data package key configured');
+                }
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Generate the signature for a package payload
+         *
+         * @param {string} payload - the payload (JSON)
+         * @param {string} key - the package key
+         *
+         * @returns {string} - the signature (HMAC-SHA256, hex)
+         */
+        var sign = function(payload, key) {
+
+            return CryptoJS.HmacSHA256(payload, key).toString(CryptoJS.enc.Hex);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read a file as Base64-encoded string
+         *
+         * @param {string} fileURI - the file URI
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {name: fileName, data: base64}
+         */
+        var readBase64 = function(fileURI) {
+
+            var deferred = $q.defer();
+
+            emFiles.getBlob(fileURI,
+                function(fileName, blob) {
+                    var reader = new FileReader();
+                    reader.onloadend = function() {
+                        deferred.resolve({
+                            name: fileName,
+                            data: this.result.split(',')[1] || ''
+                        });
+                    };
+                    reader.readAsDataURL(blob);
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a Base64-encoded string into a Blob
+         *
+         * @param {string} data - the Base64-encoded data
+         *
+         * @returns {Blob} - the Blob
+         */
+        var decodeBase64 = function(data) {
+
+            var binary = atob(data),
+                length = binary.length,
+                bytes = new Uint8Array(length);
+
+            for (var i = 0; i < length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return new Blob([bytes], {type: 'application/octet-stream'});
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Find the names of all attached files referenced in an S3JSON
+         * object (including its components)
+         *
+         * @param {object} item - the S3JSON object (or a part of it)
+         * @param {Array} fileNames - array to add the file names to
+         *
+         * @returns {Array} - the file names
+         */
+        var referencedFiles = function(item, fileNames) {
+
+            if (fileNames === undefined) {
+                fileNames = [];
+            }
+
+            var value;
+            for (var key in item) {
+                value = item[key];
+                if (key == '@filename') {
+                    fileNames.push(value);
+                } else if (value && typeof value == 'object') {
+                    referencedFiles(value, fileNames);
+                }
+            }
+            return fileNames;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert file references in S3JSON data from upload format
+         * ('@filename') into download format ('@url'), so that the
+         * S3JSON decoder requests the files from the package
+         *
+         * @param {object} item - the S3JSON object (or a part of it)
+         */
+        var fileURLs = function(item) {
+
+            var value;
+            for (var key in item) {
+                value = item[key];
+                if (key == '@filename') {
+                    item['@url'] = value;
+                    delete item[key];
+                } else if (value && typeof value == 'object') {
+                    fileURLs(value);
+                }
+            }
+        };
+
+        // ====================================================================
+        // Export
+        // ====================================================================
+        /**
+         * Encode a table schema in the format used by the server
+         *
+         * @param {object} fields - the fields, {fieldName: Field}
+         * @param {object} settings - the table or resource settings
+         * @param {object} images - object to collect the images required
+         *                          by the schema, {url: fileURI}
+         *
+         * @returns {object} - the schema data {schema, settings, ...}
+         */
+        var encodeSchema = function(fields, settings, images) {
+
+            var schema = {},
+                field,
+                description,
+                image;
+
+            for (var fieldName in fields) {
+
+                field = fields[fieldName];
+                if (field.meta) {
+                    continue;
+                }
+
+                description = angular.copy(field.description());
+
+                // Translate internal keywords into server-side keywords
+                if (description.hasOwnProperty('defaultValue')) {
+                    // Foreign key defaults are local record IDs
+                    // and can therefore not be exported
+                    if (!emUtils.getReference(field.type)) {
+                        description['default'] = description.defaultValue;
+                    }
+                    delete description.defaultValue;
+                }
+
+                // Collect images (the importing device will request
+                // them by their original URL)
+                image = description.settings && description.settings.image;
+                if (image && image.url) {
+                    if (image.file) {
+                        images[image.url] = image.file;
+                    }
+                    delete image.file;
+                }
+
+                schema[fieldName] = description;
+            }
+
+            var formSettings = {};
+            for (var key in settings) {
+                if (internalSettings.indexOf(key) == -1) {
+                    formSettings[key] = settings[key];
+                }
+            }
+
+            return {
+                schema: schema,
+                settings: formSettings
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Encode all records of a look-up table as S3JSON
+         *
+         * @param {object} tables - all tables, {tableName: Table}
+         * @param {string} tableName - the look-up table name
+         * @param {object} options - encoding options:
+         *   @property {Expression} query - filter query to select the
+         *                                  records (default: all records)
+         *   @property {object} files - object to collect the attached
+         *                              files, {fileName: fileURI}; if
+         *                              omitted, attachments are skipped
+         *
+         * @returns {promise} - a promise that resolves into the S3JSON data
+         */
+        var lookupData = function(tables, tableName, options) {
+
+            var table = tables[tableName],
+                query = options && options.query,
+                files = options && options.files,
+                deferred = $q.defer();
+
+            var dbSet = query ? table.where(query) : table;
+            dbSet.select(Object.keys(table.fields), function(rows) {
+
+                var items = [],
+                    keys = {};
+
+                rows.forEach(function(row) {
+
+                    var encoded = emS3JSON.encodeRecord(table, row._()),
+                        references = encoded.references,
+                        reference;
+
+                    // Attachments in download format (=by URL)
+                    if (files) {
+                        var attachments = encoded.files,
+                            fileURI,
+                            fileName;
+                        for (var name in attachments) {
+                            fileURI = attachments[name];
+                            fileName = fileURI.split('/').pop().split('#')[0].split('?')[0];
+                            files[fileName] = fileURI;
+                            encoded.data[name] = {'@url': fileName};
+                        }
+                    }
+
+                    for (var fieldName in references) {
+                        reference = references[fieldName];
+                        if (tables[reference[0]]) {
+                            if (!keys.hasOwnProperty(reference[0])) {
+                                keys[reference[0]] = [];
+                            }
+                            keys[reference[0]].push(reference[1]);
+                        }
+                    }
+                    items.push(encoded);
+                });
+
+                // Look up the UUIDs of all referenced records
+                var lookups = {};
+                $q.all(Object.keys(keys).map(function(lookupTableName) {
+
+                    var lookupTable = tables[lookupTableName],
+                        lookup = $q.defer();
+
+                    lookupTable.where(lookupTable.$('id').in(keys[lookupTableName]))
+                               .select(['id', 'uuid'], function(rows) {
+                        var uuids = {};
+                        rows.forEach(function(row) {
+                            uuids[row.$('id')] = row.$('uuid');
+                        });
+                        lookups[lookupTableName] = uuids;
+                        lookup.resolve();
+                    });
+
+                    return lookup.promise;
+
+                })).then(function() {
+
+                    deferred.resolve(emS3JSON.encode(tableName, items.map(function(encoded) {
+
+                        var data = encoded.data,
+                            references = encoded.references,
+                            reference,
+                            uuids;
+
+                        for (var fieldName in references) {
+                            reference = references[fieldName];
+                            uuids = lookups[reference[0]];
+                            if (uuids) {
+                                emS3JSON.addReference(data, fieldName, reference[0], uuids[reference[1]]);
+                            }
+                        }
+                        return data;
+                    })));
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Encode the form of a resource in the format used by the server
+         * (mform), including component and reference schemas
+         *
+         * @param {object} tables - all tables, {tableName: Table}
+         * @param {Resource} resource - the resource
+         * @param {object} images - object to collect the images required
+         *                          by the form, {url: fileURI}
+         *
+         * @returns {promise} - a promise that resolves into the form data
+         */
+        var encodeForm = function(tables, resource, images) {
+
+            var main = encodeSchema(resource.fields, resource.settings, images);
+
+            main.tablename = resource.tableName;
+            main.controller = resource.controller;
+            main.function = resource.function;
+
+            var requires = [],
+                provided = [resource.tableName],
+                addRequirements = function(fields) {
+                    var reference,
+                        lookupTable;
+                    for (var fieldName in fields) {
+                        reference = emUtils.getReference(fields[fieldName].type);
+                        if (reference) {
+                            lookupTable = reference[1];
+                            if (lookupTable.slice(0, 3) != 'em_' && requires.indexOf(lookupTable) == -1) {
+                                requires.push(lookupTable);
+                            }
+                        }
+                    }
+                };
+            addRequirements(resource.fields);
+
+            // Components
+            var components = {},
+                definitions = resource.settings.components || {},
+                definition,
+                table;
+
+            for (var alias in definitions) {
+
+                definition = definitions[alias];
+                table = tables[definition.table];
+                if (!table) {
+                    continue;
+                }
+                components[alias] = angular.extend({},
+                    definition,
+                    encodeSchema(table.fields, table.settings, images)
+                );
+                provided.push(table.name);
+                addRequirements(table.fields);
+
+                if (definition.link && requires.indexOf(definition.link) == -1) {
+                    requires.push(definition.link);
+                }
+            }
+
+            // References (with look-up data)
+            var references = {},
+                pending = [],
+                tableName,
+                addLookupData = function(tableName, reference) {
+                    return lookupData(tables, tableName).then(function(data) {
+                        reference.data = data;
+                    });
+                };
+
+            while (requires.length) {
+
+                tableName = requires.shift();
+                table = tables[tableName];
+                if (!table || provided.indexOf(tableName) != -1) {
+                    continue;
+                }
+                provided.push(tableName);
+
+                references[tableName] = encodeSchema(table.fields, table.settings, images);
+                pending.push(addLookupData(tableName, references[tableName]));
+
+                addRequirements(table.fields);
+            }
+
+            return $q.all(pending).then(function() {
+                return {
+                    main: main,
+                    components: components,
+                    references: references
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Export the new and modified records of a resource
+         *
+         * @param {Resource} resource - the resource
+         * @param {object} files - object to collect the attached files,
+         *                         {fileName: fileURI}
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      S3JSON chunks (empty if there are no data)
+         */
+        var exportData = function(resource, files) {
+
+            var job = new SyncJob(null, 'data', 'push',
+                                  resource.name,
+                                  resource.tableName,
+                                  {c: resource.controller, f: resource.function});
+
+            return new DataExport(job).done().then(function(dataUploads) {
+
+                if (!dataUploads) {
+                    return [];
+                }
+                return dataUploads.map(function(dataUpload) {
+                    angular.extend(files, dataUpload.files);
+                    return dataUpload.data;
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Export a data package with all active forms and their new and
+         * modified records
+         *
+         * @returns {promise} - a promise that resolves into the URI of
+         *                      the package file
+         */
+        var exportPackage = function() {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            $rootScope.syncInProgress = true;
+            $rootScope.syncStage = 'Data Package Export';
+
+            var content = {
+                    created: new Date().toISOString(),
+                    forms: [],
+                    data: [],
+                    files: {}
+                },
+                images = {},
+                attachments = {};
+
+            return $q.all([getKey(), emDB.tables(), emResources.names()]).then(function(results) {
+
+                var key = results[0],
+                    tables = results[1],
+                    resourceNames = results[2];
+
+                return $q.all(resourceNames.map(function(resourceName) {
+                    return emResources.open(resourceName);
+                })).then(function(resources) {
+
+                    // Active main resources which are linked to a
+                    // server-side resource
+                    resources = resources.filter(function(resource) {
+                        return resource && resource.main && !resource.inactive &&
+                               resource.controller && resource.function;
+                    });
+
+                    // Export forms and data one after another
+                    var chain = $q.resolve();
+                    resources.forEach(function(resource) {
+                        chain = chain.then(function() {
+
+                            $rootScope.syncActivity = resource.getLabel(true);
+
+                            var ref = {
+                                c: resource.controller,
+                                f: resource.function
+                            };
+                            return encodeForm(tables, resource, images).then(function(form) {
+                                content.forms.push({
+                                    label: resource.getLabel(true),
+                                    resourceName: resource.name,
+                                    tableName: resource.tableName,
+                                    ref: ref,
+                                    form: form
+                                });
+                                return exportData(resource, attachments);
+                            }).then(function(chunks) {
+                                if (chunks.length) {
+                                    content.data.push({
+                                        resourceName: resource.name,
+                                        tableName: resource.tableName,
+                                        ref: ref,
+                                        chunks: chunks
+                                    });
+                                }
+                            });
+                        });
+                    });
+                    return chain;
+
+                }).then(function() {
+
+                    $rootScope.syncActivity = 'files';
+
+                    // Embed the files (attachments by file name,
+                    // images by their original URL)
+                    var files = content.files,
+                        embed = function(name, fileURI) {
+                            return readBase64(fileURI).then(function(file) {
+                                files[name] = file;
+                            }, function() {
+                                // File not found or not readable => skip
+                            });
+                        },
+                        pending = [],
+                        name;
+
+                    for (name in attachments) {
+                        pending.push(embed(name, attachments[name]));
+                    }
+                    for (name in images) {
+                        pending.push(embed(name, images[name]));
+                    }
+                    return $q.all(pending);
+
+                }).then(function() {
+
+                    // Sign the package and write it to the exports directory
+                    var payload = JSON.stringify(content),
+                        data = {
+                            format: packageFormat,
+                            version: packageVersion,
+                            payload: payload,
+                            signature: sign(payload, key)
+                        };
+
+                    var deferred = $q.defer(),
+                        timeStamp = new Date().toISOString().split('.')[0].replace(/[\-:]/g, ''),
+                        fileName = 'package_' + timeStamp + packageExtension,
+                        blob = new Blob([JSON.stringify(data)], {type: 'application/json'});
+
+                    emFiles.createExportFile(fileName, blob, function(fileURI) {
+                        deferred.resolve(fileURI);
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+
+                    return deferred.promise;
+                });
+
+            }).finally(function() {
+
+                $rootScope.syncStage = null;
+                $rootScope.syncActivity = null;
+
+                $rootScope.syncInProgress = false;
+            });
+        };
+
+        // ====================================================================
+        // Import
+        // ====================================================================
+        /**
+         * List all data packages available for import
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      data packages {name, uri}
+         */
+        var available = function() {
+
+            var directories = emFiles.importDirectories(),
+                exports = $q.defer();
+
+            // Include the packages exported from this device
+            emFiles.getDirectoryURI('exports', exports.resolve);
+
+            return exports.promise.then(function(exportsDirectory) {
+
+                directories.push(exportsDirectory);
+
+                return $q.all(directories.map(function(directoryURI) {
+
+                    var deferred = $q.defer();
+
+                    emFiles.listDirectory(directoryURI, function(entries) {
+                        deferred.resolve(entries.filter(function(entry) {
+                            var name = entry.name.toLowerCase();
+                            return !entry.isDirectory &&
+                                   name.slice(-packageExtension.length) == packageExtension;
+                        }).map(function(entry) {
+                            return {
+                                name: entry.name,
+                                uri: entry.uri
+                            };
+                        }));
+                    }, function() {
+                        // Directory not accessible => skip
+                        deferred.resolve([]);
+                    });
+
+                    return deferred.promise;
+                }));
+
+            }).then(function(results) {
+                var packages = [];
+                results.forEach(function(result) {
+                    packages = packages.concat(result);
+                });
+                return packages;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read a data package and verify its signature
+         *
+         * @param {string} fileURI - the URI of the package file
+         *
+         * @returns {promise} - a promise that resolves into the package
+         *                      content {created, forms, data, files}
+         */
+        var readPackage = function(fileURI) {
+
+            var deferred = $q.defer();
+
+            window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
+                fileEntry.file(function(file) {
+                    var reader = new FileReader();
+                    reader.onloadend = function() {
+                        try {
+                            deferred.resolve(JSON.parse(this.result));
+                        } catch(e) {
+                            deferred.reject('invalid data package');
+                        }
+                    };
+                    reader.readAsText(file);
+                }, deferred.reject);
+            }, deferred.reject);
+
+            return $q.all([deferred.promise, getKey()]).then(function(results) {
+
+                var data = results[0],
+                    key = results[1];
+
+                if (!data || data.format != packageFormat || !data.payload) {
+                    return $q.reject('invalid data package');
+                }
+                if (data.version > packageVersion) {
+                    return $q.reject('unsupported data package version');
+                }
+                if (data.signature !== sign(data.payload, key)) {
+                    return $q.reject('invalid data package signature');
+                }
+                return JSON.parse(data.payload);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Find the entry for a server-side resource in a list of package
+         * forms or data
+         *
+         * @param {Array} entries - the package forms or data
+         * @param {object} ref - the reference {c:controller, f:function}
+         *
+         * @returns {object} - the entry, or undefined if not found
+         */
+        var findEntry = function(entries, ref) {
+
+            for (var i = 0; i < entries.length; i++) {
+                var entryRef = entries[i].ref;
+                if (entryRef.c == ref.c && entryRef.f == ref.f) {
+                    return entries[i];
+                }
+            }
+        };
+
+        // ====================================================================
+        /**
+         * Source for SyncRuns to read forms, data and files from a data
+         * package instead of the server (same API as emServer)
+         *
+         * @param {object} content - the package content
+         */
+        function PackageSource(content) {
+
+            this.content = content;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a form from the package
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(error)
+         */
+        PackageSource.prototype.getForm = function(ref, onSuccess, onError) {
+
+            var entry = findEntry(this.content.forms, ref);
+            if (entry) {
+                onSuccess(angular.copy(entry.form));
+            } else {
+                onError('form not found in data package');
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the data for a resource from the package
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(error)
+         */
+        PackageSource.prototype.getData = function(ref, onSuccess, onError) {
+
+            var entry = findEntry(this.content.data, ref);
+            if (!entry) {
+                onError('no data for this form in data package');
+                return;
+            }
+
+            // Merge the chunks
+            var data = {};
+            entry.chunks.forEach(function(chunk) {
+                for (var key in chunk) {
+                    data[key] = (data[key] || []).concat(angular.copy(chunk[key]));
+                }
+            });
+            fileURLs(data);
+
+            onSuccess(data);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a file from the package
+         *
+         * @param {string} url - the file name or URL
+         * @param {function} onSuccess - success callback, function(data, fileName)
+         * @param {function} onError - error callback, function(error)
+         */
+        PackageSource.prototype.getFile = function(url, onSuccess, onError) {
+
+            var file = this.content.files[url];
+            if (file) {
+                onSuccess(decodeBase64(file.data), file.name);
+            } else {
+                onError('file not found in data package: ' + url);
+            }
+        };
+
+        // ====================================================================
+        /**
+         * Import package content: installs the forms not yet installed on
+         * this device, and imports the data
+         *
+         * @param {object} content - the package content
+         *                           {forms, data, files}
+         * @param {string} trigger - what triggered the import (for the
+         *                           sync log), default 'package'
+         *
+         * @returns {promise} - a promise that resolves into the import
+         *                      result {success, failed, error}
+         */
+        var importContent = function(content, trigger) {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            $rootScope.syncInProgress = true;
+
+            emSyncLog.obsolete();
+
+            return emResources.names().then(function(resourceNames) {
+
+                var formList = content.forms.map(function(entry) {
+                    return {
+                        label: entry.label,
+                        resourceName: entry.resourceName,
+                        tableName: entry.tableName,
+                        ref: entry.ref,
+                        download: resourceNames.indexOf(entry.resourceName) == -1,
+                        hasData: !!findEntry(content.data, entry.ref)
+                    };
+                });
+
+                var sync = new SyncRun(formList, [], {
+                    source: new PackageSource(content),
+                    trigger: trigger || 'package',
+                    unsynchronized: true
+                });
+
+                return sync.start().then(
+                    function() {
+                        var result = {success: 0, failed: 0, error: null};
+                        sync.jobs.forEach(function(job) {
+                            if (job.$result == 'error') {
+                                result.failed++;
+                                result.error = job.error;
+                            } else {
+                                result.success++;
+                            }
+                        });
+                        return result;
+                    },
+                    function(error) {
+                        // Failure
+                        return $q.reject(error || 'import failed');
+                    },
+                    function(progress) {
+                        if (progress) {
+                            // Progress Notification
+                            $rootScope.syncStage = progress.stage;
+                            $rootScope.syncActivity = progress.activity;
+                            $rootScope.syncProgress = [
+                                progress.completed,
+                                progress.total
+                            ];
+                        }
+                    });
+
+            }).finally(function() {
+
+                $rootScope.syncStage = null;
+                $rootScope.syncActivity = null;
+                $rootScope.syncProgress = null;
+
+                $rootScope.syncInProgress = false;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Import a data package: installs the forms not yet installed on
+         * this device, and imports the data
+         *
+         * @param {string} fileURI - the URI of the package file
+         *
+         * @returns {promise} - a promise that resolves into the import
+         *                      result {success, failed, error}
+         */
+        var importPackage = function(fileURI) {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            return readPackage(fileURI).then(function(content) {
+                return importContent(content, 'package');
+            });
+        };
+
+        // ====================================================================
+        // Upload
+        // ====================================================================
+        /**
+         * Upload one chunk of package data to the server
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {object} chunk - the S3JSON data
+         * @param {object} files - the files embedded in the package
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      upload is complete
+         */
+        var uploadChunk = function(ref, chunk, files) {
+
+            // Write the attachments to temporary files
+            var fileHooks = [];
+            var pending = referencedFiles(chunk).map(function(fileName) {
+
+                var file = files[fileName];
+                if (!file) {
+                    return $q.resolve();
+                }
+
+                var deferred = $q.defer();
+                emFiles.createTempFile(file.name, decodeBase64(file.data), function(fileURI) {
+                    fileHooks.push([fileName, fileURI]);
+                    deferred.resolve();
+                }, function(error) {
+                    deferred.reject(error);
+                });
+                return deferred.promise;
+            });
+
+            return $q.all(pending).catch(function(error) {
+
+                // Remove the temporary files created so far
+                $q.all(pending.map(function(promise) {
+                    return promise.catch(angular.noop);
+                })).then(function() {
+                    emFiles.removeAll(fileHooks.map(function(hook) {
+                        return hook[1];
+                    }));
+                });
+                return $q.reject(error);
+
+            }).then(function() {
+
+                var uploadData = JSON.stringify(chunk);
+                if (fileHooks.length) {
+                    uploadData = {
+                        'data.s3json': uploadData,
+                        '_files': fileHooks
+                    };
+                }
+
+                var deferred = $q.defer(),
+                    uploadRef = angular.extend({}, ref, {
+                        v: {ignore_errors: 'True'}
+                    });
+
+                emServer.postData(uploadRef, uploadData,
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(emServer.parseServerError(error));
+                    });
+
+                return deferred.promise.finally(function() {
+                    emFiles.removeAll(fileHooks.map(function(hook) {
+                        return hook[1];
+                    }));
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Upload the data in a data package to the server, e.g. from a
+         * supervisor device which has not imported the package
+         *
+         * - the chunks of each resource are uploaded one after another,
+         *   and if one fails, the remaining chunks of the resource are
+         *   skipped
+         * - records on this device are not affected
+         *
+         * @param {string} fileURI - the URI of the package file
+         *
+         * @returns {promise} - a promise that resolves into the upload
+         *                      result {success, failed, error}
+         */
+        var uploadPackage = function(fileURI) {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            $rootScope.syncInProgress = true;
+            $rootScope.syncStage = 'Data Package Upload';
+
+            return readPackage(fileURI).then(function(content) {
+
+                var result = {success: 0, failed: 0, error: null},
+                    chain = $q.resolve();
+
+                content.data.forEach(function(entry) {
+
+                    var chunks = entry.chunks,
+                        numChunks = chunks.length,
+                        failed = false;
+
+                    chunks.forEach(function(chunk, index) {
+                        chain = chain.then(function() {
+                            if (failed) {
+                                return;
+                            }
+                            $rootScope.syncActivity = entry.resourceName;
+                            $rootScope.syncProgress = [index + 1, numChunks];
+
+                            return uploadChunk(entry.ref, chunk, content.files).catch(function(error) {
+                                failed = true;
+                                result.failed++;
+                                result.error = error;
+                            });
+                        });
+                    });
+                    chain = chain.then(function() {
+                        if (!failed) {
+                            result.success++;
+                        }
+                    });
+                });
+
+                return chain.then(function() {
+                    return result;
+                });
+
+            }).finally(function() {
+
+                $rootScope.syncStage = null;
+                $rootScope.syncActivity = null;
+                $rootScope.syncProgress = null;
+
+                $rootScope.syncInProgress = false;
+            });
+        };
+
+        // ====================================================================
+        // API
+        // ====================================================================
+        var api = {
+
+            available: available,
+            exportPackage: exportPackage,
+            importPackage: importPackage,
+            uploadPackage: uploadPackage,
+
+            // Encoding and import of package content (used by emPeerSync)
+            getKey: getKey,
+            sign: sign,
+            readBase64: readBase64,
+            decodeBase64: decodeBase64,
+            encodeForm: encodeForm,
+            lookupData: lookupData,
+            importContent: importContent
+
+        };
+        return api;
+    }
+]);
+
+// END ========================================================================
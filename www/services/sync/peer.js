@@ -0,0 +1,990 @@
+/**
+ * Sahana Eden Mobile - Peer Synchronization
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emPeerSync - Service for device-to-device synchronization over a local
+ * network, e.g. for a supervisor to collect the data of a field team in
+ * a camp without internet, and relay them to the server later
+ *
+ * One device acts as hub: it runs an HTTP endpoint (cordova-plugin-webserver)
+ * which implements the subset of the server routes used by emServer:
+ *
+ *  - GET  <a>/mobile/forms.json            the list of forms
+ *  - GET  <a>/<c>/<f>/mform.json           a form (schema)
+ *  - GET  <a>/<c>/<f>.s3json               the data of a form
+ *  - POST <a>/<c>/<f>.s3json               upload data
+ *  - GET  <a>/default/download.json?name=  a file (JSON, Base64-encoded)
+ *
+ * The other devices synchronize with the hub like with the server, using
+ * a PeerSource as source for the SyncRun. Data uploaded to the hub are
+ * not marked as synchronized there, so the hub uploads them to the server
+ * with its next synchronization. The hub shares its own data with peers
+ * only if configured to do so (sync.peerShareData setting).
+ *
+ * All requests are signed with the data package key (see emPackages), so
+ * that the hub only accepts requests from devices with the same key. The
+ * signature covers method, path, query, a digest of the body, a time stamp
+ * and a nonce; the hub rejects requests that are stale, or that reuse the
+ * nonce of a previous request.
+ *
+ * Differences from the server protocol:
+ *  - files are transferred as Base64-encoded JSON, both ways (uploads
+ *    with attachments are {"data.s3json": data, "files": {name: file}})
+ *  - the hub only serves the master records of a form (no components)
+ *
+ * @class emPeerSync
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emPeerSync', [
+    '$http', '$q', '$rootScope', '$timeout', 'emConfig', 'emDB', 'emPackages', 'emResources', 'emServer', 'emSync',
+    function ($http, $q, $rootScope, $timeout, emConfig, emDB, emPackages, emResources, emServer, emSync) {
+
+        "use strict";
+
+        // The port for the hub to listen on
+        var hubPort = 8080;
+
+        // The request headers for authentication
+        var signatureHeader = 'PeerSignature',
+            timestampHeader = 'PeerTimestamp',
+            nonceHeader = 'PeerNonce';
+
+        // Maximum age of a signed request (milliseconds), allowing
+        // for some clock skew between the devices
+        var maxRequestAge = 300000;
+
+        // ====================================================================
+        // Helpers
+        // ====================================================================
+        /**
+         * Generate the signature for a request
+         *
+         * @param {object} request - the request details:
+         *   @property {string} method - the HTTP method
+         *   @property {string} path - the URL path (without query)
+         *   @property {object} vars - the query vars {key: value}
+         *   @property {string} body - the request body
+         *   @property {string} timestamp - the time stamp (milliseconds)
+         *   @property {string} nonce - the nonce
+         * @param {string} key - the package key
+         *
+         * @returns {string} - the signature
+         */
+        var signRequest = function(request, key) {
+
+            var vars = request.vars || {},
+                query = Object.keys(vars).sort().map(function(name) {
+                    return encodeURIComponent(name) + '=' + encodeURIComponent(vars[name]);
+                }).join('&'),
+                digest = CryptoJS.SHA256(request.body || '').toString(CryptoJS.enc.Hex);
+
+            return emPackages.sign([
+                request.method.toUpperCase(),
+                request.path,
+                query,
+                digest,
+                request.timestamp,
+                request.nonce
+            ].join('\n'), key);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Compare two signatures in constant time
+         *
+         * @param {string} a - the first signature
+         * @param {string} b - the second signature
+         *
+         * @returns {boolean} - whether the signatures are equal
+         */
+        var sameSignature = function(a, b) {
+
+            if (typeof a != 'string' || typeof b != 'string' || a.length != b.length) {
+                return false;
+            }
+
+            var diff = 0;
+            for (var i = 0; i < a.length; i++) {
+                diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+            }
+            return diff === 0;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the settings for peer synchronization
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      with the settings
+         */
+        var getSettings = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                deferred.resolve({
+                    hubURL: settings.get('sync.peerURL'),
+                    shareData: !!settings.get('sync.peerShareData')
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Remember the hub address (sync.peerURL setting)
+         *
+         * @param {string} hubURL - the hub URL
+         */
+        var rememberHub = function(hubURL) {
+
+            emConfig.apply(function(settings) {
+                if (settings.get('sync.peerURL') != hubURL) {
+                    settings.set('sync.peerURL', hubURL);
+                    settings.save();
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Parse a query string
+         *
+         * @param {string} query - the query string
+         *
+         * @returns {object} - the query vars {key: value}
+         */
+        var parseQuery = function(query) {
+
+            var vars = {};
+
+            if (query) {
+                query.replace(/^\?/, '').split('&').forEach(function(item) {
+                    var index = item.indexOf('=');
+                    if (index > 0) {
+                        vars[decodeURIComponent(item.slice(0, index))] = decodeURIComponent(item.slice(index + 1));
+                    }
+                });
+            }
+            return vars;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Parse a request path into controller, function, args and
+         * extension (first path element is the application name)
+         *
+         * @param {string} path - the request path
+         *
+         * @returns {object} - the route {c, f, args, extension}, or null
+         *                     if the path is invalid
+         */
+        var parseRoute = function(path) {
+
+            var elements = (path || '').split('/').filter(function(element) {
+                return !!element;
+            }).slice(1);
+
+            if (elements.length < 2) {
+                return null;
+            }
+
+            // Extension of the last element
+            var last = elements.pop(),
+                index = last.lastIndexOf('.'),
+                extension = 'html';
+            if (index > 0) {
+                extension = last.slice(index + 1).toLowerCase();
+                last = last.slice(0, index);
+            }
+            elements.push(last);
+
+            return {
+                c: elements[0],
+                f: elements[1],
+                args: elements.slice(2),
+                extension: extension
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a request header (case-insensitive)
+         *
+         * @param {object} headers - the request headers
+         * @param {string} name - the header name
+         *
+         * @returns {string} - the header value
+         */
+        var getHeader = function(headers, name) {
+
+            name = name.toLowerCase();
+            for (var key in headers) {
+                if (key.toLowerCase() == name) {
+                    return headers[key];
+                }
+            }
+        };
+
+        // ====================================================================
+        // Hub
+        // ====================================================================
+
+        // The hub status
+        var hub = {
+            running: false,
+            address: null
+        };
+
+        // Files the hub has referenced in its responses, {name: fileURI}
+        var hubFiles = {};
+
+        // Queue to process requests one after another
+        var hubQueue = $q.resolve();
+
+        // Nonces of recently accepted requests, {nonce: timestamp}
+        var hubNonces = {};
+
+        // --------------------------------------------------------------------
+        /**
+         * Verify the signature of a request to the hub
+         *
+         * @param {object} request - the request (from webserver)
+         * @param {string} method - the HTTP method
+         * @param {object} vars - the query vars
+         * @param {string} key - the package key
+         *
+         * @returns {string} - an error message if the request is not
+         *                     acceptable, otherwise null
+         */
+        var hubVerify = function(request, method, vars, key) {
+
+            var headers = request.headers,
+                signature = getHeader(headers, signatureHeader),
+                timestamp = getHeader(headers, timestampHeader),
+                nonce = getHeader(headers, nonceHeader);
+
+            if (!signature || !timestamp || !nonce) {
+                return 'request not signed';
+            }
+
+            // Reject stale requests
+            var now = new Date().getTime(),
+                time = parseInt(timestamp);
+            if (isNaN(time) || Math.abs(now - time) > maxRequestAge) {
+                return 'request expired';
+            }
+
+            // Forget nonces of requests that would be stale by now
+            for (var used in hubNonces) {
+                if (now - hubNonces[used] > maxRequestAge) {
+                    delete hubNonces[used];
+                }
+            }
+            if (hubNonces.hasOwnProperty(nonce)) {
+                return 'request replayed';
+            }
+
+            var expected = signRequest({
+                method: method,
+                path: request.path,
+                vars: vars,
+                body: request.body,
+                timestamp: timestamp,
+                nonce: nonce
+            }, key);
+            if (!sameSignature(signature, expected)) {
+                return 'invalid signature';
+            }
+
+            hubNonces[nonce] = time;
+            return null;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Find the active main resource linked to a server-side resource
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         *
+         * @returns {promise} - a promise that resolves into the Resource,
+         *                      or is rejected if not found
+         */
+        var findResource = function(ref) {
+
+            return emResources.names().then(function(resourceNames) {
+
+                return $q.all(resourceNames.map(function(resourceName) {
+                    return emResources.open(resourceName);
+                }));
+
+            }).then(function(resources) {
+
+                for (var i = 0; i < resources.length; i++) {
+                    var resource = resources[i];
+                    if (resource && resource.main && !resource.inactive &&
+                        resource.controller == ref.c && resource.function == ref.f) {
+                        return resource;
+                    }
+                }
+                return $q.reject({status: 404, message: 'form not found'});
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Produce the list of forms available on the hub
+         *
+         * @returns {promise} - a promise that resolves into the form list
+         *                      (same format as from the server)
+         */
+        var hubFormList = function() {
+
+            return $q.all([getSettings(), emResources.names()]).then(function(results) {
+
+                var shareData = results[0].shareData,
+                    resourceNames = results[1];
+
+                return $q.all(resourceNames.map(function(resourceName) {
+                    return emResources.open(resourceName);
+                })).then(function(resources) {
+
+                    return resources.filter(function(resource) {
+                        return resource && resource.main && !resource.inactive &&
+                               resource.controller && resource.function;
+                    }).map(function(resource) {
+                        return {
+                            n: resource.name,
+                            l: resource.getLabel(true),
+                            t: resource.tableName,
+                            r: {c: resource.controller, f: resource.function},
+                            d: shareData
+                        };
+                    });
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Produce a form (mform) from the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         *
+         * @returns {promise} - a promise that resolves into the form data
+         */
+        var hubForm = function(ref) {
+
+            return $q.all([emDB.tables(), findResource(ref)]).then(function(results) {
+
+                var images = {};
+
+                return emPackages.encodeForm(results[0], results[1], images).then(function(form) {
+                    // Peers request the images by their original URL
+                    angular.extend(hubFiles, images);
+                    return form;
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Produce the data of a form from the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {object} vars - the request vars
+         *
+         * @returns {promise} - a promise that resolves into the S3JSON data
+         */
+        var hubData = function(ref, vars) {
+
+            return $q.all([getSettings(), emDB.tables(), findResource(ref)]).then(function(results) {
+
+                var shareData = results[0].shareData,
+                    tables = results[1],
+                    resource = results[2],
+                    tableName = resource.tableName;
+
+                if (!shareData) {
+                    return $q.reject({status: 403, message: 'data not shared'});
+                }
+
+                // Only complete records, modified since msince if specified
+                var table = tables[tableName],
+                    query = table.$('em_incomplete').is(false),
+                    msince = vars.msince;
+                if (msince) {
+                    if (!msince.match(/(Z|[+\-]\d{2}:?\d{2})$/)) {
+                        // Server time stamps are UTC
+                        msince += 'Z';
+                    }
+                    query = query.and(table.$('modified_on').greaterThan(new Date(msince)));
+                }
+
+                return emPackages.lookupData(tables, tableName, {
+                    query: query,
+                    files: hubFiles
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Import data uploaded to the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {string} body - the request body (JSON)
+         *
+         * @returns {promise} - a promise that resolves into the response
+         *                      message
+         */
+        var hubImport = function(ref, body) {
+
+            var data;
+            try {
+                data = JSON.parse(body);
+            } catch(e) {
+                return $q.reject({status: 400, message: 'invalid data'});
+            }
+
+            var files = {};
+            if (data && data.hasOwnProperty('data.s3json')) {
+                // Upload with attachments
+                files = data.files || {};
+                try {
+                    data = JSON.parse(data['data.s3json']);
+                } catch(e) {
+                    return $q.reject({status: 400, message: 'invalid data'});
+                }
+            }
+
+            return findResource(ref).then(function(resource) {
+
+                var entry = {
+                    label: resource.getLabel(true),
+                    resourceName: resource.name,
+                    tableName: resource.tableName,
+                    ref: {c: resource.controller, f: resource.function}
+                };
+
+                // Import as package content (=not marked as synchronized,
+                // so it gets uploaded to the server later)
+                var content = {
+                    forms: [entry],
+                    data: [angular.extend({chunks: [data]}, entry)],
+                    files: files
+                };
+                return emPackages.importContent(content, 'peer').then(function(result) {
+                    if (!result || result.failed) {
+                        return $q.reject({status: 400, message: result && result.error || 'import failed'});
+                    }
+                    return {
+                        status: 'success',
+                        statuscode: '200',
+                        message: 'Data imported'
+                    };
+                }, function(error) {
+                    // Hub busy (e.g. synchronizing itself), or import failed
+                    var status = error == 'Sync already in progress' ? 503 : 500;
+                    return $q.reject({status: status, message: error || 'import failed'});
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Produce a file from the hub
+         *
+         * @param {string} name - the file name (or original URL)
+         *
+         * @returns {promise} - a promise that resolves into the file
+         *                      {name, data} (data Base64-encoded)
+         */
+        var hubFile = function(name) {
+
+            var fileURI = name && hubFiles[name];
+            if (!fileURI) {
+                return $q.reject({status: 404, message: 'file not found'});
+            }
+            return emPackages.readBase64(fileURI).then(null, function() {
+                return $q.reject({status: 404, message: 'file not found'});
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Send a response from the hub
+         *
+         * @param {string} requestId - the request ID
+         * @param {integer} status - the HTTP status
+         * @param {object} data - the response data (JSON-serializable)
+         */
+        var hubRespond = function(requestId, status, data) {
+
+            var headers = {},
+                body = '';
+            if (data !== undefined) {
+                body = JSON.stringify(data);
+                headers['Content-Type'] = 'application/json';
+            }
+
+            window.webserver.sendResponse(requestId, {
+                status: status,
+                body: body,
+                headers: headers
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Handle a request to the hub
+         *
+         * @param {object} request - the request (from webserver)
+         * @param {string} key - the package key to verify signatures
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      response has been sent
+         */
+        var hubHandle = function(request, key) {
+
+            var requestId = request.requestId,
+                method = (request.method || 'GET').toUpperCase(),
+                path = request.path,
+                vars = parseQuery(request.query);
+
+            // Verify the signature
+            var invalid = hubVerify(request, method, vars, key);
+            if (invalid) {
+                // Not 401, as peers cannot authenticate other than by key
+                hubRespond(requestId, 403, {
+                    status: 'failed',
+                    statuscode: '403',
+                    message: invalid
+                });
+                return $q.resolve();
+            }
+
+            var route = parseRoute(path),
+                result;
+
+            if (!route) {
+                result = $q.reject({status: 404, message: 'invalid path'});
+            } else {
+                var ref = {c: route.c, f: route.f},
+                    args = route.args,
+                    extension = route.extension;
+
+                if (method == 'GET' && ref.c == 'mobile' && ref.f == 'forms' && extension == 'json') {
+                    result = hubFormList();
+                } else if (method == 'GET' && ref.c == 'default' && ref.f == 'download') {
+                    result = hubFile(vars.name);
+                } else if (method == 'GET' && args[0] == 'mform' && extension == 'json') {
+                    result = hubForm(ref);
+                } else if (method == 'GET' && !args.length && extension == 's3json') {
+                    result = hubData(ref, vars);
+                } else if (method == 'POST' && !args.length && extension == 's3json') {
+                    result = hubImport(ref, request.body);
+                } else {
+                    result = $q.reject({status: 404, message: 'invalid path'});
+                }
+            }
+
+            return result.then(
+                function(data) {
+                    hubRespond(requestId, 200, data);
+                },
+                function(error) {
+                    var status = error && error.status || 500;
+                    hubRespond(requestId, status, {
+                        status: 'failed',
+                        statuscode: status + '',
+                        message: error && error.message || error + ''
+                    });
+                });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Start the hub
+         *
+         * @returns {promise} - a promise that resolves into the hub
+         *                      status {running, address}
+         */
+        var startHub = function() {
+
+            if (hub.running) {
+                return $q.resolve(hub);
+            }
+
+            var webserver = window.webserver;
+            if (!webserver) {
+                return $q.reject('Peer hub not supported on this device');
+            }
+
+            return emPackages.getKey().then(function(key) {
+
+                var deferred = $q.defer();
+
+                webserver.onRequest(function(request) {
+                    // Callback from the plugin => enter the digest cycle
+                    $timeout(function() {
+                        hubQueue = hubQueue.then(function() {
+                            return hubHandle(request, key);
+                        }).catch(function(e) {
+                            // Keep the queue going
+                            hubRespond(request.requestId, 500, {
+                                status: 'failed',
+                                statuscode: '500',
+                                message: e + ''
+                            });
+                        });
+                    });
+                });
+
+                webserver.start(
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error || 'Peer hub could not be started');
+                    },
+                    hubPort);
+
+                return deferred.promise;
+
+            }).then(function() {
+
+                hub.running = true;
+
+                // Determine the address for peers to connect to
+                var deferred = $q.defer(),
+                    networkinterface = window.networkinterface;
+
+                if (networkinterface) {
+                    networkinterface.getWiFiIPAddress(
+                        function(info) {
+                            var ip = info && info.ip || info;
+                            hub.address = 'http://' + ip + ':' + hubPort;
+                            deferred.resolve(hub);
+                        },
+                        function() {
+                            deferred.resolve(hub);
+                        });
+                } else {
+                    deferred.resolve(hub);
+                }
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Stop the hub
+         *
+         * @returns {promise} - a promise that resolves into the hub
+         *                      status {running, address}
+         */
+        var stopHub = function() {
+
+            if (!hub.running) {
+                return $q.resolve(hub);
+            }
+
+            var deferred = $q.defer();
+
+            window.webserver.stop(
+                function() {
+                    deferred.resolve();
+                },
+                function() {
+                    deferred.resolve();
+                });
+
+            return deferred.promise.then(function() {
+
+                hub.running = false;
+                hub.address = null;
+                hubFiles = {};
+
+                return hub;
+            });
+        };
+
+        // ====================================================================
+        // Peer
+        // ====================================================================
+        /**
+         * Source for SyncRuns to synchronize with a hub instead of the
+         * server (same API as emServer)
+         *
+         * @param {string} hubURL - the hub URL (e.g. http://192.168.43.1:8080)
+         * @param {string} key - the package key to sign requests
+         */
+        function PeerSource(hubURL, key) {
+
+            this.hubURL = hubURL;
+            this.key = key;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Send a request to the hub
+         *
+         * @param {string} method - the HTTP method
+         * @param {object} options - the URL options (see emServer.URL)
+         * @param {string} data - the request body (JSON)
+         *
+         * @returns {promise} - a promise that resolves into the $http
+         *                      response (or rejection, respectively)
+         */
+        PeerSource.prototype.request = function(method, options, data) {
+
+            var url = emServer.URL(options).extend(this.hubURL);
+            if (url === null) {
+                return $q.reject('Invalid Hub URL');
+            }
+
+            var parsed = new URL(url),
+                timestamp = new Date().getTime() + '',
+                nonce = CryptoJS.lib.WordArray.random(16).toString(CryptoJS.enc.Hex),
+                headers = {};
+
+            headers[timestampHeader] = timestamp;
+            headers[nonceHeader] = nonce;
+            headers[signatureHeader] = signRequest({
+                method: method,
+                path: parsed.pathname,
+                vars: parseQuery(parsed.search),
+                body: data,
+                timestamp: timestamp,
+                nonce: nonce
+            }, this.key);
+
+            var config = {
+                method: method,
+                url: url,
+                headers: headers,
+                responseType: 'json'
+            };
+            if (data !== undefined) {
+                config.data = data;
+                headers['Content-Type'] = 'application/json';
+            }
+
+            return $http(config);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the list of forms available on the hub
+         *
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(response)
+         */
+        PeerSource.prototype.formList = function(onSuccess, onError) {
+
+            this.request('GET', {
+                c: 'mobile',
+                f: 'forms',
+                extension: 'json'
+            }).then(function(response) {
+                onSuccess(response.data);
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a form from the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function}
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(response)
+         */
+        PeerSource.prototype.getForm = function(ref, onSuccess, onError) {
+
+            this.request('GET', {
+                c: ref.c,
+                f: ref.f,
+                args: ['mform'],
+                extension: 'json'
+            }).then(function(response) {
+                onSuccess(response.data);
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the data for a resource from the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function, v:vars}
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(response)
+         */
+        PeerSource.prototype.getData = function(ref, onSuccess, onError) {
+
+            this.request('GET', {
+                c: ref.c,
+                f: ref.f,
+                vars: ref.v,
+                extension: 's3json'
+            }).then(function(response) {
+                onSuccess(response.data);
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get a file from the hub
+         *
+         * @param {string} url - the file name or original URL
+         * @param {function} onSuccess - success callback, function(data, fileName)
+         * @param {function} onError - error callback, function(response)
+         */
+        PeerSource.prototype.getFile = function(url, onSuccess, onError) {
+
+            this.request('GET', {
+                c: 'default',
+                f: 'download',
+                vars: {name: encodeURIComponent(url)},
+                extension: 'json'
+            }).then(function(response) {
+                var file = response.data;
+                if (file && file.data) {
+                    onSuccess(emPackages.decodeBase64(file.data), file.name);
+                } else {
+                    onError('no data received from hub');
+                }
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Upload data to the hub
+         *
+         * @param {object} ref - the reference {c:controller, f:function, v:vars}
+         * @param {object|string} data - the data to upload, a JSON string,
+         *                               or an object with the JSON data as
+         *                               'data.s3json' and file hooks as
+         *                               '_files' (same as for emServer)
+         * @param {function} onSuccess - success callback, function(data)
+         * @param {function} onError - error callback, function(response)
+         */
+        PeerSource.prototype.postData = function(ref, data, onSuccess, onError) {
+
+            var body;
+
+            if (typeof data == 'string') {
+                body = $q.resolve(data);
+            } else {
+                // Embed the attachments
+                var files = {};
+                body = $q.all((data._files || []).map(function(hook) {
+                    return emPackages.readBase64(hook[1]).then(function(file) {
+                        files[hook[0]] = file;
+                    }, function() {
+                        // File not found or not readable => skip
+                    });
+                })).then(function() {
+                    return JSON.stringify({
+                        'data.s3json': data['data.s3json'],
+                        'files': files
+                    });
+                });
+            }
+
+            var self = this;
+            body.then(function(body) {
+                return self.request('POST', {
+                    c: ref.c,
+                    f: ref.f,
+                    vars: ref.v,
+                    extension: 's3json'
+                }, body);
+            }).then(function(response) {
+                onSuccess(response.data);
+            }, onError);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Synchronize with a hub (forms, data, or both, as selected)
+         *
+         * @param {string} hubURL - the hub URL (default: sync.peerURL setting)
+         * @param {object} forms - the selected forms list
+         * @param {object} resources - the selected resources list
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      synchronization is complete
+         */
+        var synchronize = function(hubURL, forms, resources) {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            if (hub.running) {
+                return $q.reject('Cannot synchronize with a hub while acting as hub');
+            }
+
+            return $q.all([getSettings(), emPackages.getKey()]).then(function(results) {
+
+                if (hubURL) {
+                    rememberHub(hubURL);
+                } else {
+                    hubURL = results[0].hubURL;
+                }
+                if (!hubURL) {
+                    return $q.reject('No hub address configured');
+                }
+
+                return emSync.synchronize(forms || [], resources || [], {
+                    source: new PeerSource(hubURL, results[1]),
+                    trigger: 'peer'
+                });
+            });
+        };
+
+        // ====================================================================
+        // API
+        // ====================================================================
+        var api = {
+
+            // Hub
+            startHub: startHub,
+            stopHub: stopHub,
+            hubStatus: function() {
+                return hub;
+            },
+
+            // Peer
+            synchronize: synchronize
+
+        };
+        return api;
+    }
+]);
+
+// END ========================================================================
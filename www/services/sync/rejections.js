@@ -0,0 +1,268 @@
+/**
+ * Sahana Eden Mobile - Synchronization Conflicts
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emRejections - Service to keep track of records that have been rejected
+ * by the server during upload (e.g. failed server-side validation), so they
+ * can be corrected and resubmitted
+ *
+ * @class emRejections
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emRejections', [
+    '$q', 'emDB',
+    function ($q, emDB) {
+
+        "use strict";
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove the rejections for records of a table
+         *
+         * @param {string} tableName - the table name
+         * @param {Array} uuids - the record UUIDs
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      rejections have been removed
+         */
+        var clear = function(tableName, uuids) {
+
+            var deferred = $q.defer();
+
+            if (!uuids || !uuids.length) {
+                deferred.resolve();
+                return deferred.promise;
+            }
+
+            emDB.table('em_rejection').then(function(table) {
+
+                var query = allOf(
+                    table.$('tablename').equals(tableName),
+                    table.$('uuid').in(uuids)
+                );
+                table.where(query).delete(
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Register rejected records (replacing any previous rejections
+         * for the same records)
+         *
+         * @param {object} rejected - the rejected records, as returned
+         *                            from DataUpload.rejectedItems:
+         *                            {tableName: {uuid: {error, fields}}}
+         *
+         * @returns {promise} - a promise that is resolved when all
+         *                      rejections have been registered
+         */
+        var register = function(rejected) {
+
+            var now = new Date(),
+                pending = [];
+
+            var insert = function(table, rejection) {
+
+                var deferred = $q.defer();
+                table.insert(rejection,
+                    function(insertID) {
+                        deferred.resolve(insertID);
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+                return deferred.promise;
+            };
+
+            Object.keys(rejected || {}).forEach(function(tableName) {
+
+                var items = rejected[tableName],
+                    uuids = Object.keys(items);
+                if (!uuids.length) {
+                    return;
+                }
+
+                pending.push(clear(tableName, uuids).then(function() {
+                    return emDB.table('em_rejection');
+                }).then(function(table) {
+                    return $q.all(uuids.map(function(uuid) {
+                        var item = items[uuid];
+                        return insert(table, {
+                            tablename: tableName,
+                            uuid: uuid,
+                            error: item.error,
+                            field_errors: item.fields || {},
+                            rejected_on: now
+                        });
+                    }));
+                }));
+            });
+
+            return $q.all(pending);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the rejections for the records of a table
+         *
+         * @param {string} tableName - the table name
+         * @param {Array} recordIDs - the record IDs (optional, default
+         *                            all records in the table)
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {recordID: {error: message,
+         *                                  fields: {fieldName: message},
+         *                                  rejectedOn: Date}}
+         */
+        var records = function(tableName, recordIDs) {
+
+            var deferred = $q.defer();
+
+            emDB.table('em_rejection').then(function(rejectionTable) {
+
+                var fields = ['uuid', 'error', 'field_errors', 'rejected_on'];
+
+                rejectionTable.where(rejectionTable.$('tablename').equals(tableName))
+                              .select(fields, function(rows) {
+
+                    var rejections = {};
+                    rows.forEach(function(row) {
+                        rejections[row.$('uuid')] = {
+                            error: row.$('error'),
+                            fields: row.$('field_errors') || {},
+                            rejectedOn: row.$('rejected_on')
+                        };
+                    });
+
+                    var uuids = Object.keys(rejections);
+                    if (!uuids.length) {
+                        deferred.resolve({});
+                        return;
+                    }
+
+                    emDB.table(tableName).then(function(table) {
+
+                        if (!table) {
+                            deferred.resolve({});
+                            return;
+                        }
+
+                        var query = table.$('uuid').in(uuids);
+                        if (recordIDs) {
+                            query = query.and(table.$('id').in(recordIDs));
+                        }
+                        table.where(query).select(['id', 'uuid'], function(rows) {
+                            var result = {};
+                            rows.forEach(function(row) {
+                                result[row.$('id')] = rejections[row.$('uuid')];
+                            });
+                            deferred.resolve(result);
+                        });
+                    });
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the rejection for a particular record
+         *
+         * @param {string} tableName - the table name
+         * @param {integer} recordID - the record ID
+         *
+         * @returns {promise} - a promise that resolves into the rejection
+         *                      {error, fields, rejectedOn}, or null if the
+         *                      record has not been rejected
+         */
+        var record = function(tableName, recordID) {
+
+            return records(tableName, [recordID]).then(function(rejections) {
+                return rejections[recordID] || null;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove the rejection for a record (e.g. after correction by
+         * the user); if the record gets rejected again during the next
+         * upload, a new rejection will be registered
+         *
+         * @param {string} tableName - the table name
+         * @param {integer} recordID - the record ID
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      rejection has been removed
+         */
+        var remove = function(tableName, recordID) {
+
+            var deferred = $q.defer();
+
+            emDB.table(tableName).then(function(table) {
+                table.where(table.$('id').equals(recordID)).select(['uuid'], {limitby: 1},
+                    function(rows) {
+                        if (rows.length) {
+                            clear(tableName, [rows[0].$('uuid')]).then(
+                                function() {
+                                    deferred.resolve();
+                                },
+                                function(error) {
+                                    deferred.reject(error);
+                                });
+                        } else {
+                            deferred.resolve();
+                        }
+                    });
+            });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+            register: register,
+            clear: clear,
+            records: records,
+            record: record,
+            remove: remove
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -25,10 +25,10 @@
 
 EdenMobile.factory('SyncRun', [
     '$q', '$rootScope', '$timeout',
-    'emDB', 'emResources', 'emS3JSON',
+    'emDB', 'emResources', 'emS3JSON', 'emSyncLog',
     'DataImport', 'DataExport', 'Dependency', 'FileDownload', 'SyncJob',
     function ($q, $rootScope, $timeout,
-              emDB, emResources, emS3JSON,
+              emDB, emResources, emS3JSON, emSyncLog,
               DataImport, DataExport, Dependency, FileDownload, SyncJob) {
 
         "use strict";
@@ -38,10 +38,29 @@ EdenMobile.factory('SyncRun', [
          *
          * @param {Array} downloads - array download requirements (forms)
          * @param {Array} uploads - array of upload requirements (resources)
+         * @param {object} options - synchronization options:
+         *   @property {boolean} fullRefresh - download all data rather than
+         *                                     only changes since last sync
+         *   @property {string} trigger - what triggered the run (for the
+         *                                sync log), default 'manual'
+         *   @property {object} source - alternative source for forms, data
+         *                               and files (e.g. a data package),
+         *                               with the same getForm, getData and
+         *                               getFile methods as emServer
+         *                             - if the source also has a postData
+         *                               method (e.g. a peer hub), data are
+         *                               uploaded to the source instead of
+         *                               the server
+         *   @property {boolean} unsynchronized - do not mark imported
+         *                                        records as synchronized
+         *                                        (e.g. from data packages,
+         *                                        so that they will still
+         *                                        be uploaded to the server)
          */
-        function SyncRun(downloads, uploads) {
+        function SyncRun(downloads, uploads, options) {
 
             this.isFinalized = false;
+            this.options = options || {};
 
             // The job queue
             this.jobs = [];
@@ -83,6 +102,9 @@ EdenMobile.factory('SyncRun', [
             var deferred = $q.defer();
             this.completion = deferred;
 
+            // Register the run in the sync log
+            this.logID = emSyncLog.startRun(this);
+
             this.stage = null;
             this.currentActivity = null;
             this.currentQueue = null;
@@ -127,6 +149,9 @@ EdenMobile.factory('SyncRun', [
                 });
             }
 
+            // Log the results
+            emSyncLog.endRun(this);
+
             var completion = this.completion;
 
             // Resolve completion promise
@@ -168,6 +193,7 @@ EdenMobile.factory('SyncRun', [
                         form.tableName,
                         form.ref
                     );
+                    dataJob.fullRefresh = !!this.options.fullRefresh;
                     this.jobs.push(dataJob);
                 }
             }, this);
@@ -384,10 +410,12 @@ EdenMobile.factory('SyncRun', [
                             jobs.forEach(function(job) {
                                 if (!job.$result) {
 
-                                    // Update schemaDate
-                                    emResources.open(job.resourceName).then(function(resource) {
-                                        resource.setSchemaDate(new Date());
-                                    });
+                                    // Update schemaDate (unless from another source)
+                                    if (!self.options.source) {
+                                        emResources.open(job.resourceName).then(function(resource) {
+                                            resource.setSchemaDate(new Date());
+                                        });
+                                    }
 
                                     job.result('success');
                                 }
@@ -434,6 +462,11 @@ EdenMobile.factory('SyncRun', [
 
                 return self.importData(dataImports).then(function() {
 
+                    return $q.all(jobs.map(function(job) {
+                        return job.updateLastSync(dataImports);
+                    }));
+                }).then(function() {
+
                     jobs.forEach(function(job) {
                         if (!job.$result) {
                             job.result('success');
@@ -973,9 +1006,9 @@ EdenMobile.factory('SyncRun', [
                 self = this;
 
             dataExports.forEach(function(dataExport) {
-                dataExport.done().then(function(dataUpload) {
-                    if (!!dataUpload) {
-                        dataUploads.push(dataUpload);
+                dataExport.done().then(function(chunks) {
+                    if (chunks && chunks.length) {
+                        dataUploads = dataUploads.concat(chunks);
                     } else {
                         // No data to upload => job done
                         dataExport.job.result('success');
@@ -994,6 +1027,11 @@ EdenMobile.factory('SyncRun', [
         /**
          * Sub-process to upload data to the server
          *
+         * - the chunks of each job are uploaded one after another, and
+         *   if one fails, the remaining chunks of the job are skipped
+         *   (successfully uploaded chunks are marked as synchronized,
+         *   so the next run resumes with the first chunk not uploaded)
+         *
          * @param {Array} dataUploads - array of DataUpload tasks
          *
          * @returns {promise} - a promise that will be resolved upon
@@ -1006,26 +1044,57 @@ EdenMobile.factory('SyncRun', [
                 return $q.resolve();
             }
 
-            this.currentStage('Data Upload', null, dataUploads);
+            var stage = 'Data Upload';
 
-            var deferred = $q.defer(),
-                self = this;
+            this.currentStage(stage, null, dataUploads);
 
+            // Group the chunks by job
+            var jobs = [],
+                chunks = [];
             dataUploads.forEach(function(dataUpload) {
-                dataUpload.done().then(
+                var index = jobs.indexOf(dataUpload.job);
+                if (index == -1) {
+                    jobs.push(dataUpload.job);
+                    chunks.push([dataUpload]);
+                } else {
+                    chunks[index].push(dataUpload);
+                }
+            });
+
+            var self = this;
+
+            // Upload chunks of a job sequentially
+            var uploadChunks = function(job, jobChunks, index) {
+
+                var numChunks = jobChunks.length;
+                if (index >= numChunks) {
+                    job.result('success');
+                    return $q.resolve();
+                }
+
+                if (numChunks > 1) {
+                    self.currentActivity = job.resourceName + ' ' + (index + 1) + '/' + numChunks;
+                    self.checkProgress();
+                }
+
+                return jobChunks[index].done().then(
                     function() {
-                        dataUpload.job.result('success');
+                        self.checkProgress();
+                        return uploadChunks(job, jobChunks, index + 1);
                     },
                     function(error) {
-                        dataUpload.job.result('error', error);
-                    }).finally(function() {
-                        if (self.checkProgress()) {
-                            deferred.resolve();
-                        }
+                        // Skip the remaining chunks
+                        jobChunks.slice(index + 1).forEach(function(dataUpload) {
+                            dataUpload.reject('skipped');
+                        });
+                        self.checkProgress();
+                        job.result('error', error);
                     });
-            });
+            };
 
-            return deferred.promise;
+            return $q.all(jobs.map(function(job, index) {
+                return uploadChunks(job, chunks[index], 0);
+            }));
         };
 
         // --------------------------------------------------------------------
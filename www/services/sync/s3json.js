@@ -154,6 +154,7 @@ EdenMobile.factory('emS3JSON', [
 
             this.tableName = table.name;
             this.uuid = null;
+            this.deleted = false;   // record has been deleted on the server
 
             var key,
                 value,
@@ -190,6 +191,9 @@ EdenMobile.factory('emS3JSON', [
                         case 'llrepr':
                             this.data.llrepr = value;
                             break;
+                        case 'deleted':
+                            this.deleted = (value + '').toLowerCase() == 'true';
+                            break;
                         default:
                             break;
                     }
@@ -206,6 +210,14 @@ EdenMobile.factory('emS3JSON', [
                 this.uuid = emUtils.uuid();
                 this.data.uuid = this.uuid;
             }
+
+            // Deleted records (tombstones) only need to be identified,
+            // so their references, files and components can be ignored
+            if (this.deleted) {
+                this.references = {};
+                this.components = [];
+                this.files = {};
+            }
         }
 
         // --------------------------------------------------------------------
@@ -69,6 +69,7 @@ EdenMobile.factory('SchemaDownload', [
 
             var job = this.job,
                 ref = job.ref,
+                source = this.run.options.source || emServer,
                 self = this;
 
             // Apply msince
@@ -81,7 +82,7 @@ EdenMobile.factory('SchemaDownload', [
 
             console.log('Downloading ' + ref.c + '/' + ref.f);
 
-            emServer.getForm(ref,
+            source.getForm(ref,
                 function(data) {
 
                     var schemaImports = [],
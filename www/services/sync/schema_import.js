@@ -24,11 +24,91 @@
  */
 
 EdenMobile.factory('SchemaImport', [
-    '$q', 'emResources', 'emUtils', 'DefaultLookup', 'SyncTask',
-    function ($q, emResources, emUtils, DefaultLookup, SyncTask) {
+    '$q', 'emCalculate', 'emResources', 'emUtils', 'DefaultLookup', 'SyncTask',
+    function ($q, emCalculate, emResources, emUtils, DefaultLookup, SyncTask) {
 
         "use strict";
 
+        // --------------------------------------------------------------------
+        /**
+         * Translation of server-side validators into validation rules
+         * (see emValidate), {VALIDATOR: function(options) => [rule, options]}
+         */
+        var serverValidators = {
+
+            IS_EMAIL: function(options) {
+                return ['isEmail', {
+                    error: options.error_message || options.error
+                }];
+            },
+
+            IS_MATCH: function(options) {
+                return ['isMatch', {
+                    pattern: options.expression || options.regex,
+                    search: !!options.search,
+                    strict: !!options.strict,
+                    error: options.error_message || options.error
+                }];
+            },
+
+            IS_LENGTH: function(options) {
+                return ['isLength', {
+                    min: options.minsize,
+                    max: options.maxsize,
+                    error: options.error_message || options.error
+                }];
+            },
+
+            IS_IN_SET: function(options) {
+
+                // The set can be an Array of values, an Array of
+                // [value, label] pairs, or an object {value: label}
+                var theset = options.theset || options.options,
+                    values = [];
+                if (theset && theset.constructor === Array) {
+                    values = theset.map(function(item) {
+                        return item && item.constructor === Array ? item[0] : item;
+                    });
+                } else if (theset) {
+                    values = Object.keys(theset);
+                }
+                return ['isInSet', {
+                    options: values,
+                    multiple: !!options.multiple,
+                    error: options.error_message || options.error
+                }];
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Translate server-side validators in a requires-object into
+         * validation rules, keep other rules as they are
+         *
+         * @param {object} requires - the validation rules {name: options}
+         *
+         * @returns {object} - the translated validation rules
+         */
+        var translateValidators = function(requires) {
+
+            var translated = {},
+                name,
+                options,
+                rule;
+
+            for (name in requires) {
+                options = requires[name];
+                if (serverValidators.hasOwnProperty(name)) {
+                    rule = serverValidators[name](options || {});
+                    translated[rule[0]] = rule[1];
+                } else {
+                    translated[name] = options;
+                }
+            }
+            return translated;
+        };
+
+        // --------------------------------------------------------------------
         /**
          * SyncTask to
          * - import a table schema
@@ -104,6 +184,14 @@ EdenMobile.factory('SchemaImport', [
                 run = this.run;
             $q.all(resolved).then(
                 function() {
+                    // Reject forms with invalid expressions, which would
+                    // otherwise fail silently in the form
+                    var errors = self.checkExpressions(self.schema);
+                    if (errors.length) {
+                        self.reject(errors.join('; '));
+                        return;
+                    }
+
                     // all dependencies resolved => go ahead
                     console.log('Importing schema for ' + self.tableName);
 
@@ -136,6 +224,84 @@ EdenMobile.factory('SchemaImport', [
                 });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Check the expressions in a schema (calculated fields, validation
+         * rules and display logic) for syntax errors
+         *
+         * @param {object} schema - the schema specification in internal
+         *                          format (see decode)
+         *
+         * @returns {Array} - array of error messages, empty if all
+         *                    expressions are valid
+         */
+        SchemaImport.prototype.checkExpressions = function(schema) {
+
+            var errors = [];
+
+            var check = function(expression) {
+                if (expression) {
+                    var calculation = emCalculate.parse(expression);
+                    if (calculation.error && errors.indexOf(calculation.error) == -1) {
+                        errors.push(calculation.error);
+                    }
+                }
+            };
+
+            // Calculated fields
+            var key,
+                spec;
+            for (key in schema) {
+                spec = schema[key];
+                if (key[0] != '_' && spec) {
+                    check(spec.calculate || spec.settings && spec.settings.calculate);
+                }
+            }
+
+            // Validation rules
+            var validation = schema._validation;
+            if (validation && validation.constructor === Array) {
+                validation.forEach(function(rule) {
+                    if (rule) {
+                        check(rule.expression);
+                        check(rule.when);
+                    }
+                });
+            }
+
+            // Display logic of form elements (including repeat groups),
+            // rules can be nested in arrays (see emDisplayLogic)
+            var checkRule = function(rule) {
+                if (!rule || typeof rule != 'object') {
+                    return;
+                }
+                if (rule.constructor === Array) {
+                    rule.forEach(checkRule);
+                } else {
+                    check(rule.expression);
+                }
+            };
+            var checkElements = function(element) {
+                if (!element || typeof element != 'object') {
+                    return;
+                }
+                if (element.constructor === Array) {
+                    element.forEach(checkElements);
+                    return;
+                }
+                for (var name in element) {
+                    if (name == 'displayLogic') {
+                        checkRule(element[name]);
+                    } else {
+                        checkElements(element[name]);
+                    }
+                }
+            };
+            checkElements(schema._form);
+
+            return errors;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Convert Sahana schema data to internal format
@@ -357,16 +523,26 @@ EdenMobile.factory('SchemaImport', [
 
         /**
          * Resolve dependencies in settings, schedule additional
-         * sync tasks as required
+         * sync tasks as required; translate server-side validators
          *
          * @param {string} fieldName - the field name
          * @param {object} fieldSpec - the field spec from the server
          */
         SchemaImport.prototype.resolveSettings = function(fieldName, fieldSpec) {
 
+            // Translate server-side validators
+            if (fieldSpec.requires) {
+                fieldSpec.requires = translateValidators(fieldSpec.requires);
+            }
+
             var fieldSettings = fieldSpec.settings;
             if (fieldSettings) {
 
+                // Translate server-side validators
+                if (fieldSettings.requires) {
+                    fieldSettings.requires = translateValidators(fieldSettings.requires);
+                }
+
                 // Resolve image for this field
                 var image = fieldSettings.image;
                 if (image && image.url) {
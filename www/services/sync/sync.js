@@ -101,17 +101,24 @@ EdenMobile.factory('emSync', [
          *   @property {boolean} quiet - do not report HTTP errors to the user
          *   @property {string} masterKeyUUID - the master key UUID to filter
          *                                      the form list
+         *   @property {object} source - alternative source for the form
+         *                               list (e.g. a peer hub), with the
+         *                               same formList method as emServer
          *
          * @returns {promise} - a promise that resolves into the form list
          */
         var getFormList = function(formList, options) {
 
             var deferred = $q.defer(),
+                source = emServer,
                 quiet,
                 formListOptions;
 
             if (options) {
                 quiet = options.quiet;
+                if (options.source) {
+                    source = options.source;
+                }
                 if (options.masterKeyUUID) {
                     formListOptions = {
                         masterKeyUUID: options.masterKeyUUID
@@ -124,7 +131,7 @@ EdenMobile.factory('emSync', [
                 deferred.resolve(formList);
             } else {
                 // Fetch new form list from server and select automatically
-                emServer.formList(
+                source.formList(
                     function(data) {
                         emResources.names().then(function(resourceNames) {
                             formList = updateFormList([], resourceNames, data);
@@ -295,10 +302,12 @@ EdenMobile.factory('emSync', [
          * Partial sync process to upload any pending data, without resource
          * selection by the user
          *
+         * @param {object} options - synchronization options (see SyncRun)
+         *
          * @returns {promise} - a promise that is resolved when the upload
          *                      is complete and was successful
          */
-        var uploadAllData = function() {
+        var uploadAllData = function(options) {
 
             if ($rootScope.syncInProgress) {
                 return $q.reject('Sync already in progress');
@@ -318,7 +327,7 @@ EdenMobile.factory('emSync', [
                     return $q.resolve();
                 }
 
-                var sync = new SyncRun([], resourceList);
+                var sync = new SyncRun([], resourceList, options);
                 return sync.start().then(
                     function() {
                         // Success (of the process, not necessarily of the uploads)
@@ -367,8 +376,11 @@ EdenMobile.factory('emSync', [
          *
          * @param {object} forms - the selected forms list
          * @param {object} resources - the selected resources list
+         * @param {object} options - synchronization options (see SyncRun),
+         *                           and additionally:
+         *   @property {boolean} quiet - do not report HTTP errors to the user
          */
-        var synchronize = function(forms, resources) {
+        var synchronize = function(forms, resources, options) {
 
             if ($rootScope.syncInProgress) {
                 return $q.reject('Sync already in progress');
@@ -378,12 +390,15 @@ EdenMobile.factory('emSync', [
             emSyncLog.obsolete();
 
             var lists = {
-                formList: getFormList(forms),
+                formList: getFormList(forms, {
+                    quiet: !!(options && options.quiet),
+                    source: options && options.source
+                }),
                 resourceList: getResourceList(resources)
             };
             return $q.all(lists).then(function(pending) {
 
-                var sync = new SyncRun(pending.formList, pending.resourceList);
+                var sync = new SyncRun(pending.formList, pending.resourceList, options);
 
                 return sync.start().then(
                     function() {
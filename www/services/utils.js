@@ -96,6 +96,29 @@ EdenMobile.factory('emUtils', [
             }).join(' ');
         };
 
+        // ====================================================================
+        /**
+         * Escape a value for CSV
+         *
+         * @param {mixed} value - the value
+         *
+         * @returns {string} - the CSV-escaped value
+         */
+        var csvValue = function(value) {
+
+            if (value === undefined || value === null) {
+                return '';
+            }
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+            value = '' + value;
+            if (/[",\r\n]/.test(value)) {
+                value = '"' + value.replace(/"/g, '""') + '"';
+            }
+            return value;
+        };
+
         // ====================================================================
         // Regex to decode reference field types
         //
@@ -115,7 +138,8 @@ EdenMobile.factory('emUtils', [
                 return refPattern.exec(fieldType);
             },
 
-            capitalize: capitalize
+            capitalize: capitalize,
+            csvValue: csvValue
         };
 
         return utils;